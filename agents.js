@@ -1,303 +1,298 @@
 // Financial Research Agents - Self-contained, no external AI dependencies
 
 class DataAgent {
-    constructor() {
+    constructor(config = {}) {
         this.name = "Data Agent";
-        this.cache = new Map();
+        this.config = DataAgent.resolveConfig(config);
+        const store = this.config.cacheStore || DataAgent.createDefaultStore();
+        this.cache = this.config.cache || new MarketDataCache(store, { ttls: this.config.cacheTtls });
+        this.callBudget = new CallBudget(store, this.config.callBudgets);
+        this.providers = this.config.registry || this.createDefaultRegistry();
+        if (!this.providers.budget) this.providers.budget = this.callBudget;
+        this.instruments = this.config.instrumentMaster || new InstrumentMaster();
     }
 
-    async fetchStockData(symbol) {
-        // Check cache first (1 hour expiry)
-        const cacheKey = `${symbol}_${Math.floor(Date.now() / 3600000)}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
-        }
-
-        try {
-            // Primary: Alpha Vantage (free 25 calls/day)
-            let data = await this.fetchFromAlphaVantage(symbol);
-            
-            if (!data) {
-                // Fallback: Free financial API
-                data = await this.fetchFromFreeAPI(symbol);
-            }
+    // Browsers persist across reloads; Node and tests fall back to memory
+    static createDefaultStore() {
+        return typeof localStorage !== 'undefined' ? new LocalStorageCacheStore() : new MemoryCacheStore();
+    }
 
-            if (!data) {
-                // Final fallback: Demo data for portfolio showcase
-                data = this.generateDemoData(symbol);
-            }
+    // Explicit config wins over a page-level RESEARCH_CONFIG global
+    static resolveConfig(config) {
+        const globalConfig = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {};
+        return {
+            ...globalConfig,
+            ...config,
+            apiKeys: { fmp: 'demo', ...(globalConfig.apiKeys || {}), ...(config.apiKeys || {}) }
+        };
+    }
 
-            this.cache.set(cacheKey, data);
-            return data;
+    createDefaultRegistry() {
+        const keys = this.config.apiKeys;
+        const registry = new ProviderRegistry([
+            new AlphaVantageProvider({ apiKey: keys.alphaVantage }),
+            new FMPProvider({ apiKey: keys.fmp }),
+            new YahooFinanceProvider(),
+            new PolygonProvider({ apiKey: keys.polygon }),
+            new DemoDataProvider(symbol => this.generateDemoData(symbol))
+        ]);
 
-        } catch (error) {
-            console.warn('Data fetch failed, using demo data:', error);
-            return this.generateDemoData(symbol);
+        if (this.config.providerOrder) {
+            registry.setOrder(this.config.providerOrder);
         }
+        (this.config.disabledProviders || []).forEach(id => registry.disable(id));
+        return registry;
     }
 
-    async fetchFromAlphaVantage(symbol) {
-        // Free demo API key - 25 calls per day
-        const API_KEY = 'RIBBITMEDIA'; // Free demo key
-        const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbol}&apikey=${API_KEY}`;
-        
-        try {
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data['Time Series (Daily)']) {
-                return this.parseAlphaVantageData(data, symbol);
-            }
-            if (data['Note']) {
-                console.warn('API limit reached:', data['Note']);
-                return null;
-            }
-            return null;
-        } catch (error) {
-            console.warn('Alpha Vantage fetch failed:', error);
-            return null;
+    async fetchStockData(symbol, options = {}) {
+        const range = (options.range || this.config.defaultRange || '1Y').toUpperCase();
+        const interval = (options.interval || this.config.defaultInterval || 'daily').toLowerCase();
+        if (!(range in DataAgent.RANGES)) {
+            throw new Error(`Unknown range: ${range}`);
+        }
+        if (!DataAgent.INTERVALS.includes(interval)) {
+            throw new Error(`Unknown interval: ${interval}`);
         }
+
+        const cached = this.cache.lookup(symbol, interval, range);
+        let raw;
+
+        if (cached && cached.covers && cached.fresh) {
+            raw = { ...cached.series, provenance: { ...cached.series.provenance, cache: 'hit' } };
+        } else if (cached && cached.covers) {
+            raw = await this.topUpSeries(symbol, interval, cached, options.signal);
+        } else {
+            // Providers are tried in registry order; the result records which one served it
+            const request = { range, interval, startDate: this.getRangeStart(range), signal: options.signal };
+            const fetched = await this.providers.fetchSeries(symbol, request);
+            this.cache.save(symbol, interval, range, fetched);
+            raw = { ...fetched, provenance: { ...fetched.provenance, cache: 'miss' } };
+        }
+
+        return this.shapeSeries(raw, range, interval);
     }
 
-    async fetchFromFreeAPI(symbol) {
-        // Free financial data API - always works
-        try {
-            // Using Financial Modeling Prep free tier (no signup required)
-            const url = `https://financialmodelingprep.com/api/v3/historical-price-full/${symbol}?serietype=line&apikey=demo`;
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data.historical && data.historical.length > 0) {
-                return this.parseFMPData(data, symbol);
-            }
-            return null;
-        } catch (error) {
-            console.warn('Free API fetch failed:', error);
-            return null;
+    // Cache-only read for offline work; null when the cache does not hold the range
+    getCachedSeries(symbol, options = {}) {
+        const range = (options.range || this.config.defaultRange || '1Y').toUpperCase();
+        const interval = (options.interval || this.config.defaultInterval || 'daily').toLowerCase();
+        const cached = this.cache.lookup(symbol, interval, range);
+        if (!cached || !cached.covers) return null;
+
+        const raw = { ...cached.series, provenance: { ...cached.series.provenance, cache: cached.fresh ? 'hit' : 'stale' } };
+        return this.shapeSeries(raw, range, interval);
+    }
+
+    shapeSeries(raw, range, interval) {
+        let data = this.applyRange(raw, range);
+        if ((data.interval || 'daily') === 'daily' && interval !== 'daily') {
+            data = this.resample(data, interval);
         }
+        data.range = range;
+        data.interval = interval;
+        return data;
     }
 
-    async fetchFromYahooFinance(symbol) {
-        // Backup method using Yahoo Finance
+    // Fetches only the bars after the cached history, using the shortest range that reaches back to it
+    async topUpSeries(symbol, interval, cached, signal = null) {
+        const lastDate = cached.series.dates[cached.series.dates.length - 1];
+        const gapRange = Object.keys(DataAgent.RANGES).find(range => {
+            const start = this.getRangeStart(range);
+            return start === null || start <= lastDate;
+        });
+
+        let update;
         try {
-            const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`;
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data.chart && data.chart.result && data.chart.result[0]) {
-                return this.parseYahooData(data.chart.result[0], symbol);
-            }
-            return null;
+            update = await this.providers.fetchSeries(symbol, { range: gapRange, interval, startDate: lastDate, signal });
         } catch (error) {
-            console.warn('Yahoo Finance fetch failed:', error);
-            return null;
+            update = null;
+        }
+
+        // Stale real data beats a demo fallback
+        if (!update || update.isDemo) {
+            return { ...cached.series, provenance: { ...cached.series.provenance, cache: 'stale' } };
         }
+
+        const merged = this.cache.merge(cached.series, update);
+        this.cache.save(symbol, interval, cached.range, merged);
+        return { ...merged, provenance: { ...merged.provenance, cache: 'topUp' } };
     }
 
-    parseAlphaVantageData(data, symbol) {
-        const timeSeries = data['Time Series (Daily)'];
-        const dates = Object.keys(timeSeries).slice(0, 30).reverse();
-        
-        return {
-            symbol: symbol,
-            dates: dates,
-            prices: dates.map(date => parseFloat(timeSeries[date]['4. close'])),
-            volumes: dates.map(date => parseInt(timeSeries[date]['5. volume'])),
-            highs: dates.map(date => parseFloat(timeSeries[date]['2. high'])),
-            lows: dates.map(date => parseFloat(timeSeries[date]['3. low'])),
-            currentPrice: parseFloat(timeSeries[dates[dates.length - 1]]['4. close']),
-            lastUpdate: new Date().toISOString()
-        };
+    // Start date (YYYY-MM-DD) of a range counted back from endDate; null for MAX
+    getRangeStart(range, endDate = new Date()) {
+        const months = DataAgent.RANGES[range];
+        if (months === null) return null;
+        const start = new Date(endDate);
+        start.setMonth(start.getMonth() - months);
+        return start.toISOString().split('T')[0];
     }
 
-    parseFMPData(data, symbol) {
-        const historical = data.historical.slice(0, 30).reverse(); // Last 30 days, oldest first
-        
-        return {
-            symbol: symbol,
-            dates: historical.map(h => h.date),
-            prices: historical.map(h => h.close),
-            volumes: historical.map(h => h.volume || 1000000), // Default volume if missing
-            highs: historical.map(h => h.high || h.close),
-            lows: historical.map(h => h.low || h.close),
-            currentPrice: historical[historical.length - 1].close,
-            lastUpdate: new Date().toISOString()
-        };
+    // Trims bars older than the range, measured from the last bar so stale data keeps its length
+    applyRange(data, range) {
+        if (DataAgent.RANGES[range] === null || data.dates.length === 0) return data;
+
+        const cutoff = this.getRangeStart(range, new Date(data.dates[data.dates.length - 1]));
+        const first = data.dates.findIndex(date => date >= cutoff);
+        if (first <= 0) return data;
+
+        return this.sliceSeries(data, first);
     }
 
-    parsePolygonData(data, symbol) {
-        const results = data.results.slice(-30); // Last 30 days
-        
+    sliceSeries(data, start, end = data.dates.length) {
         return {
-            symbol: symbol,
-            dates: results.map(r => new Date(r.t).toISOString().split('T')[0]),
-            prices: results.map(r => r.c), // close prices
-            volumes: results.map(r => r.v), // volumes
-            highs: results.map(r => r.h), // high prices
-            lows: results.map(r => r.l), // low prices
-            currentPrice: results[results.length - 1].c,
-            lastUpdate: new Date().toISOString()
+            ...data,
+            dates: data.dates.slice(start, end),
+            opens: data.opens.slice(start, end),
+            prices: data.prices.slice(start, end),
+            highs: data.highs.slice(start, end),
+            lows: data.lows.slice(start, end),
+            volumes: data.volumes.slice(start, end)
         };
     }
 
-    parseYahooData(result, symbol) {
-        const timestamps = result.timestamp;
-        const prices = result.indicators.quote[0].close;
-        const volumes = result.indicators.quote[0].volume;
-        const highs = result.indicators.quote[0].high;
-        const lows = result.indicators.quote[0].low;
-        
-        return {
-            symbol: symbol,
-            dates: timestamps.slice(-30).map(ts => new Date(ts * 1000).toISOString().split('T')[0]),
-            prices: prices.slice(-30),
-            volumes: volumes.slice(-30),
-            highs: highs.slice(-30),
-            lows: lows.slice(-30),
-            currentPrice: prices[prices.length - 1],
-            lastUpdate: new Date().toISOString()
+    // Aggregates daily bars into weekly (ISO week, Monday start) or monthly bars dated by their last session
+    resample(data, interval) {
+        if (interval === 'daily') return data;
+
+        const bucketOf = (date) => {
+            if (interval === 'monthly') return date.slice(0, 7);
+            const day = new Date(`${date}T00:00:00Z`);
+            day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+            return day.toISOString().split('T')[0];
         };
+
+        const result = { ...data, interval, dates: [], opens: [], prices: [], highs: [], lows: [], volumes: [] };
+        let currentBucket = null;
+
+        data.dates.forEach((date, i) => {
+            const bucket = bucketOf(date);
+            const last = result.dates.length - 1;
+
+            if (bucket !== currentBucket) {
+                currentBucket = bucket;
+                result.dates.push(date);
+                result.opens.push(data.opens[i]);
+                result.prices.push(data.prices[i]);
+                result.highs.push(data.highs[i]);
+                result.lows.push(data.lows[i]);
+                result.volumes.push(data.volumes[i]);
+            } else {
+                result.dates[last] = date;
+                result.prices[last] = data.prices[i];
+                result.highs[last] = Math.max(result.highs[last], data.highs[i]);
+                result.lows[last] = Math.min(result.lows[last], data.lows[i]);
+                result.volumes[last] += data.volumes[i];
+            }
+        });
+
+        return result;
     }
 
+    // Deterministic per symbol and seed, so demos, screenshots and tests repeat exactly
     generateDemoData(symbol) {
-        // Generate realistic demo data for portfolio showcase
-        const basePrice = this.getBasePriceForSymbol(symbol);
-        const dates = [];
-        const prices = [];
-        const volumes = [];
-        const highs = [];
-        const lows = [];
-        
-        let currentPrice = basePrice;
-        const today = new Date();
-        
-        for (let i = 29; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            dates.push(date.toISOString().split('T')[0]);
-            
-            // Simulate price movement (±3% daily volatility)
-            const change = (Math.random() - 0.5) * 0.06;
-            currentPrice *= (1 + change);
-            
-            const dayHigh = currentPrice * (1 + Math.random() * 0.02);
-            const dayLow = currentPrice * (1 - Math.random() * 0.02);
-            const volume = Math.floor(Math.random() * 10000000) + 1000000;
-            
-            prices.push(parseFloat(currentPrice.toFixed(2)));
-            highs.push(parseFloat(dayHigh.toFixed(2)));
-            lows.push(parseFloat(dayLow.toFixed(2)));
-            volumes.push(volume);
-        }
-        
-        return {
-            symbol: symbol,
-            dates: dates,
-            prices: prices,
-            volumes: volumes,
-            highs: highs,
-            lows: lows,
-            currentPrice: prices[prices.length - 1],
-            lastUpdate: new Date().toISOString(),
-            isDemo: true
-        };
+        const generator = new MarketGenerator({
+            seed: this.config.demoSeed ?? 'demo',
+            basePrice: this.getBasePriceForSymbol(symbol),
+            ...(this.config.demoOptions || {})
+        });
+        return generator.generate(symbol);
     }
 
     getBasePriceForSymbol(symbol) {
-        const knownPrices = {
-            'AAPL': 150,
-            'TSLA': 250,
-            'GOOGL': 2800,
-            'MSFT': 300,
-            'AMZN': 3200,
-            'ASML': 600,
-            'SHELL': 28,
-            'ADYEN': 1200
-        };
-        return knownPrices[symbol] || 100;
+        const instrument = this.instruments.get(symbol);
+        return (instrument && instrument.referencePrice) || 100;
     }
 }
 
+// Range lengths in months; MAX asks providers for everything they have
+DataAgent.RANGES = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12, '2Y': 24, '5Y': 60, 'MAX': null };
+DataAgent.INTERVALS = ['daily', 'weekly', 'monthly'];
+
 class AnalysisAgent {
-    constructor() {
+    constructor(options = {}) {
         this.name = "Analysis Agent";
+        this.indicators = new IndicatorEngine(options.indicatorPeriods);
+        this.signalDetector = new SignalDetector(options.signals);
+        this.patternDetector = new PatternDetector(options.patterns);
+        this.scoringModel = ScoringModel.from(options.scoringModel);
+        this.simulatedLatency = options.simulatedLatency !== false;
     }
 
-    async analyze(stockData) {
-        // Simulate processing time for UI effect
-        await this.delay(1500);
-        
+    // options.fundamentals is a FundamentalsAgent result; without it the score is price-based only
+    async analyze(stockData, options = {}) {
+        // Simulate processing time for UI effect; batch callers such as the screener turn it off
+        if (this.simulatedLatency) await this.delay(1500);
+        return this.computeAnalysis(stockData, options);
+    }
+
+    computeAnalysis(stockData, options = {}) {
+        const indicatorSeries = this.indicators.computeAll(stockData);
+        const chart = this.patternDetector.analyze(stockData);
         const analysis = {
-            technicalIndicators: this.calculateTechnicalIndicators(stockData),
+            technicalIndicators: this.calculateTechnicalIndicators(stockData, indicatorSeries),
+            indicatorSeries: indicatorSeries,
             priceAnalysis: this.analyzePriceAction(stockData),
             volatility: this.calculateVolatility(stockData),
             trend: this.determineTrend(stockData),
-            support: this.findSupportResistance(stockData),
+            support: this.findSupportResistance(stockData, chart.zones),
+            fibonacci: chart.fibonacci,
+            patterns: chart.patterns,
+            fundamentals: options.fundamentals || null,
+            signals: [],
             score: 0
         };
+        analysis.signals = this.signalDetector.detect(stockData, indicatorSeries);
         
         analysis.score = this.calculateOverallScore(analysis);
         return analysis;
     }
 
-    calculateTechnicalIndicators(data) {
+    calculateTechnicalIndicators(data, series = this.indicators.computeAll(data)) {
         const prices = data.prices;
+        const periods = this.indicators.periods;
+        const latest = values => this.round(this.indicators.latest(values));
         
         return {
-            sma20: this.calculateSMA(prices, 20),
-            sma50: this.calculateSMA(prices, Math.min(prices.length, 50)),
+            sma20: this.calculateSMA(prices, periods.smaFast),
+            sma50: this.calculateSMA(prices, Math.min(prices.length, periods.smaSlow)),
+            sma200: latest(series.smaLong),
             rsi: this.calculateRSI(prices),
-            macd: this.calculateMACD(prices),
-            bollinger: this.calculateBollingerBands(prices)
+            macd: latest(series.macd.line) ?? 0,
+            macdSignal: latest(series.macd.signal),
+            macdHistogram: latest(series.macd.histogram),
+            bollinger: this.calculateBollingerBands(prices, periods.bollinger),
+            atr: latest(series.atr),
+            stochasticK: latest(series.stochastic.k),
+            stochasticD: latest(series.stochastic.d),
+            obv: this.indicators.latest(series.obv),
+            vwap: latest(series.vwap),
+            adx: latest(series.adx.adx)
         };
     }
 
+    round(value) {
+        return value === null || value === undefined ? null : parseFloat(value.toFixed(2));
+    }
+
     calculateSMA(prices, period) {
         if (prices.length < period) period = prices.length;
         const sum = prices.slice(-period).reduce((a, b) => a + b, 0);
         return parseFloat((sum / period).toFixed(2));
     }
 
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return 50; // Neutral
-        
-        const changes = [];
-        for (let i = 1; i < prices.length; i++) {
-            changes.push(prices[i] - prices[i - 1]);
-        }
-        
-        let gains = 0, losses = 0;
-        for (let i = Math.max(0, changes.length - period); i < changes.length; i++) {
-            if (changes[i] > 0) gains += changes[i];
-            else losses -= changes[i];
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        
-        if (avgLoss === 0) return 100;
-        const rs = avgGain / avgLoss;
-        return parseFloat((100 - (100 / (1 + rs))).toFixed(2));
+    // Wilder-smoothed RSI; neutral until there is enough history
+    calculateRSI(prices, period = this.indicators.periods.rsi) {
+        const rsi = this.indicators.latest(this.indicators.rsi(prices, period));
+        return rsi === null ? 50 : this.round(rsi);
     }
 
     calculateMACD(prices) {
-        const ema12 = this.calculateEMA(prices, 12);
-        const ema26 = this.calculateEMA(prices, 26);
-        const macdLine = ema12 - ema26;
-        return parseFloat(macdLine.toFixed(2));
+        const macd = this.indicators.macd(prices);
+        return this.round(this.indicators.latest(macd.line)) ?? 0;
     }
 
     calculateEMA(prices, period) {
-        if (prices.length === 0) return 0;
-        
-        const multiplier = 2 / (period + 1);
-        let ema = prices[0];
-        
-        for (let i = 1; i < prices.length; i++) {
-            ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-        }
-        
-        return ema;
+        return this.indicators.latest(this.indicators.ema(prices, period)) ?? 0;
     }
 
     calculateBollingerBands(prices, period = 20) {
@@ -325,6 +320,7 @@ class AnalysisAgent {
         const weekAgo = prices[Math.max(0, prices.length - 7)];
         
         return {
+            close: current,
             dailyChange: parseFloat(((current - previous) / previous * 100).toFixed(2)),
             weeklyChange: parseFloat(((current - weekAgo) / weekAgo * 100).toFixed(2)),
             highLow52: this.calculate52WeekHighLow(data),
@@ -333,8 +329,14 @@ class AnalysisAgent {
     }
 
     calculate52WeekHighLow(data) {
-        const high = Math.max(...data.highs);
-        const low = Math.min(...data.lows);
+        // Only bars from the last year count, whatever range was fetched
+        const yearAgo = new Date(data.dates[data.dates.length - 1]);
+        yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+        const cutoff = yearAgo.toISOString().split('T')[0];
+        const first = Math.max(0, data.dates.findIndex(date => date > cutoff));
+
+        const high = Math.max(...data.highs.slice(first));
+        const low = Math.min(...data.lows.slice(first));
         const current = data.currentPrice;
         
         return {
@@ -371,13 +373,18 @@ class AnalysisAgent {
         return 'Sideways';
     }
 
-    findSupportResistance(data) {
-        const highs = data.highs;
-        const lows = data.lows;
-        
+    // Nearest zone of clustered swing pivots on each side of the price; with no zone on a side,
+    // the recent 10-bar range stands in, e.g. at an all-time high
+    findSupportResistance(data, zones = this.patternDetector.analyze(data).zones) {
+        const supportZone = zones.filter(zone => zone.kind === 'support').sort((a, b) => b.price - a.price)[0] || null;
+        const resistanceZone = zones.filter(zone => zone.kind === 'resistance').sort((a, b) => a.price - b.price)[0] || null;
+
         return {
-            resistance: parseFloat(Math.max(...highs.slice(-10)).toFixed(2)),
-            support: parseFloat(Math.min(...lows.slice(-10)).toFixed(2))
+            resistance: resistanceZone ? resistanceZone.price : parseFloat(Math.max(...data.highs.slice(-10)).toFixed(2)),
+            support: supportZone ? supportZone.price : parseFloat(Math.min(...data.lows.slice(-10)).toFixed(2)),
+            supportZone: supportZone,
+            resistanceZone: resistanceZone,
+            zones: zones
         };
     }
 
@@ -390,25 +397,16 @@ class AnalysisAgent {
         return parseFloat(((recent - older) / older * 100).toFixed(2));
     }
 
+    // The scoring model turns indicators and signals into a 0-100 score with a per-factor breakdown
     calculateOverallScore(analysis) {
-        let score = 50; // Start neutral
-        
-        // RSI scoring
-        if (analysis.technicalIndicators.rsi > 70) score -= 10; // Overbought
-        else if (analysis.technicalIndicators.rsi < 30) score += 10; // Oversold
-        
-        // Trend scoring
-        if (analysis.trend === 'Uptrend') score += 15;
-        else if (analysis.trend === 'Downtrend') score -= 15;
-        
-        // Momentum scoring
-        if (analysis.priceAnalysis.momentum > 5) score += 10;
-        else if (analysis.priceAnalysis.momentum < -5) score -= 10;
-        
-        // Volatility penalty
-        if (analysis.volatility > 50) score -= 5;
-        
-        return Math.max(0, Math.min(100, Math.round(score)));
+        const lastIndex = analysis.indicatorSeries.dates.length - 1;
+        const result = this.scoringModel.evaluate(analysis, {
+            signalContributions: this.signalDetector.scoreContributions(analysis.signals || [], lastIndex)
+        });
+
+        analysis.scoreBreakdown = result.breakdown;
+        analysis.scoring = this.scoringModel.describe();
+        return result.score;
     }
 
     delay(ms) {
@@ -417,80 +415,207 @@ class AnalysisAgent {
 }
 
 class SentimentAgent {
-    constructor() {
+    constructor(options = {}) {
         this.name = "Sentiment Agent";
+        this.source = options.source || SentimentAgent.createDefaultSource();
+        this.analyzer = options.analyzer || new SentimentAnalyzer(options);
+        this.simulatedLatency = options.simulatedLatency !== false;
     }
 
-    async analyzeSentiment(symbol) {
+    // A page can point RESEARCH_CONFIG.newsFeed at a JSON Feed URL template; otherwise there is no news
+    static createDefaultSource() {
+        const config = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {};
+        if (config.newsFeed) {
+            return new JsonFeedSource(config.newsFeed);
+        }
+        return new FixtureNewsSource(config.newsFixtures || {});
+    }
+
+    async analyzeSentiment(symbol, options = {}) {
         // Simulate processing time
-        await this.delay(1000);
-        
-        // For demo purposes, generate realistic sentiment based on symbol
+        if (this.simulatedLatency) await this.delay(1000);
+
+        let articles = [];
+        let error = null;
+        try {
+            articles = await this.source.fetchArticles(symbol, { signal: options.signal });
+        } catch (fetchError) {
+            console.warn('News fetch failed:', fetchError);
+            error = fetchError.message || String(fetchError);
+        }
+
+        const result = this.analyzer.aggregate(articles);
         return {
-            overall: this.generateSentimentScore(symbol),
-            social: this.generateSocialSentiment(symbol),
-            news: this.generateNewsSentiment(symbol),
-            volume: this.generateSentimentVolume(),
-            confidence: Math.round(Math.random() * 30 + 70) // 70-100%
+            overall: result.overall,
+            social: this.getSentimentLabel(result),
+            news: result.headlines.length > 0 ? result.headlines[0].title : 'No recent news found',
+            volume: this.getNewsVolume(result.recentCount),
+            confidence: result.confidence,
+            articleCount: result.articleCount,
+            headlines: result.headlines,
+            source: this.source.name,
+            error: error
         };
     }
 
-    generateSentimentScore(symbol) {
-        // Popular stocks tend to have more positive sentiment
-        const popularStocks = ['AAPL', 'TSLA', 'GOOGL', 'MSFT', 'AMZN'];
-        const baseScore = popularStocks.includes(symbol) ? 65 : 50;
-        
-        // Add some randomness
-        const variation = (Math.random() - 0.5) * 40;
-        return Math.max(0, Math.min(100, Math.round(baseScore + variation)));
+    getSentimentLabel(result) {
+        if (result.articleCount === 0) return 'Neutral';
+        if (result.overall >= 70) return 'Very Positive';
+        if (result.overall >= 57) return 'Positive';
+        if (result.overall > 43) return 'Neutral';
+        if (result.overall > 30) return 'Negative';
+        return 'Very Negative';
     }
 
-    generateSocialSentiment(symbol) {
-        const sentiments = ['Very Positive', 'Positive', 'Neutral', 'Negative', 'Very Negative'];
-        const weights = [0.2, 0.3, 0.3, 0.15, 0.05]; // Skewed toward positive
-        
-        const random = Math.random();
-        let cumulative = 0;
-        
-        for (let i = 0; i < weights.length; i++) {
-            cumulative += weights[i];
-            if (random <= cumulative) {
-                return sentiments[i];
-            }
+    // Articles in the last seven days
+    getNewsVolume(count) {
+        if (count >= 10) return 'High';
+        if (count >= 3) return 'Medium';
+        return 'Low';
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+class FundamentalsAgent {
+    constructor(options = {}) {
+        this.name = "Fundamentals Agent";
+        this.source = options.source || FundamentalsAgent.createDefaultSource();
+        this.analyzer = options.analyzer || new FundamentalsAnalyzer();
+        this.instruments = options.instruments || new InstrumentMaster();
+        this.maxPeers = options.maxPeers ?? 5;
+        // Statements change once a quarter, so they share the price cache's store with a long TTL
+        this.store = options.cacheStore || new MemoryCacheStore();
+        this.ttlMs = options.ttlMs || FundamentalsAgent.CACHE_TTL_MS;
+        // Offline agents use cached statements and local fixtures but never call a remote source
+        this.offline = Boolean(options.offline);
+        // Pass the Data Agent's budget so statements and prices draw on one daily quota
+        this.budget = options.budget || new CallBudget(this.store);
+        // Each peer from a remote source costs as much as the symbol itself, so by default only cached peers are compared
+        this.remotePeers = Boolean(options.remotePeers);
+        this.simulatedLatency = options.simulatedLatency !== false;
+    }
+
+    // RESEARCH_CONFIG.fundamentalsSource = 'fmp' uses apiKeys.fmp; fundamentalsFeed is a URL template to JSON fixtures
+    static createDefaultSource(config = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {}) {
+        if (config.fundamentalsSource === 'fmp') {
+            return new FMPFundamentalsSource({ apiKey: (config.apiKeys || {}).fmp });
         }
-        
-        return 'Neutral';
-    }
-
-    generateNewsSentiment(symbol) {
-        const newsTypes = [
-            'Positive earnings outlook',
-            'Strong quarterly results',
-            'New product launch',
-            'Analyst upgrade',
-            'Market volatility concerns',
-            'Regulatory scrutiny',
-            'Competition pressure'
-        ];
-        
-        return newsTypes[Math.floor(Math.random() * newsTypes.length)];
+        if (config.fundamentalsFeed) {
+            return new FixtureFundamentalsSource(config.fundamentalsFeed);
+        }
+        return new FixtureFundamentalsSource(config.fundamentalsFixtures || {});
     }
 
-    generateSentimentVolume() {
-        const volumes = ['High', 'Medium', 'Low'];
-        const weights = [0.3, 0.5, 0.2];
-        
-        const random = Math.random();
-        let cumulative = 0;
-        
-        for (let i = 0; i < weights.length; i++) {
-            cumulative += weights[i];
-            if (random <= cumulative) {
-                return volumes[i];
+    // Never throws: a missing or failing source gives { available: false } and the score stays price-based
+    // options.signal stops statement and peer requests when the research run is cancelled
+    async analyzeFundamentals(symbol, stockData = null, options = {}) {
+        // Simulate processing time
+        if (this.simulatedLatency) await this.delay(800);
+
+        const empty = { available: false, source: this.source.name, asOf: null, currency: null, valuation: null, growth: null, profitability: null, leverage: null, peers: [], percentiles: {}, peerPercentile: null, notes: [], error: null };
+        let statements;
+        try {
+            statements = await this.getStatements(symbol, { signal: options.signal });
+        } catch (fetchError) {
+            console.warn('Fundamentals fetch failed:', fetchError);
+            return { ...empty, error: fetchError.message || String(fetchError) };
+        }
+        if (!statements) return empty;
+
+        const notes = [];
+        const price = stockData && !stockData.isDemo ? stockData.currentPrice : statements.price;
+        const metrics = this.analyzer.analyze(statements, this.priceFor(symbol, statements, price, notes));
+        const peers = await this.loadPeers(symbol, options.signal);
+        const comparison = this.analyzer.compare(metrics, peers);
+
+        return {
+            ...empty,
+            available: true,
+            ...metrics,
+            peers: peers.map(peer => peer.symbol),
+            percentiles: comparison.percentiles,
+            peerPercentile: comparison.peerPercentile,
+            notes: notes
+        };
+    }
+
+    // Valuation needs the price and the statements in one currency; otherwise only the price-free ratios are kept
+    priceFor(symbol, statements, price, notes) {
+        const currency = this.instruments.currencyOf(symbol);
+        // Pence-quoted London listings report their statements in pounds
+        const subUnit = CurrencyConverter.SUB_UNITS[currency];
+        if (subUnit && statements.currency === subUnit.currency) {
+            return price === null || price === undefined ? price : price / subUnit.per;
+        }
+        if (statements.currency && statements.currency !== currency) {
+            notes.push(`${symbol} reports in ${statements.currency} but trades in ${currency}, so valuation ratios are left out`);
+            return null;
+        }
+        return price;
+    }
+
+    // Up to maxPeers same-sector instruments with statements, valued at the price their source reports.
+    // One at a time, so a metered source stops at its budget instead of firing every peer at once.
+    async loadPeers(symbol, signal = null) {
+        const instrument = this.instruments.get(symbol);
+        if (!instrument || instrument.sector === 'Unknown' || this.maxPeers === 0) return [];
+
+        const candidates = this.instruments.instruments
+            .filter(other => other.sector === instrument.sector && other.ticker !== instrument.ticker && other.isin !== instrument.isin);
+        const peers = [];
+        for (const peer of candidates) {
+            if (peers.length >= this.maxPeers || (signal && signal.aborted)) break;
+            try {
+                const statements = await this.getStatements(peer.ticker, { cachedOnly: !this.remotePeers, signal });
+                if (statements) {
+                    peers.push({ symbol: peer.ticker, metrics: this.analyzer.analyze(statements, this.priceFor(peer.ticker, statements, statements.price, [])) });
+                }
+            } catch (error) {
+                // A peer without statements is left out of the comparison
             }
         }
-        
-        return 'Medium';
+        return peers;
+    }
+
+    // cachedOnly skips remote sources, as offline does, for this one lookup
+    async getStatements(symbol, { cachedOnly = false, signal = null } = {}) {
+        const key = `fundamentals:${symbol}`;
+        const cached = this.store.get(key);
+        const skipRemote = !this.source.local && (this.offline || cachedOnly);
+        if (cached && (skipRemote || Date.now() - cached.fetchedAt < this.ttlMs)) return cached.statements;
+        if (skipRemote) return null;
+
+        const budgetId = this.source.budgetId;
+        if (budgetId && this.budget.remaining(budgetId) < this.source.callsPerSymbol) {
+            if (cached) return cached.statements;
+            throw new Error(`${this.source.name}: ${this.budget.describe(budgetId)}`);
+        }
+
+        let statements;
+        try {
+            for (let i = 0; budgetId && i < this.source.callsPerSymbol; i++) this.budget.record(budgetId);
+            statements = await this.source.fetchStatements(symbol, { signal });
+        } catch (error) {
+            if (budgetId && error instanceof ProviderRateLimitError) this.budget.throttle(budgetId, error);
+            // Last quarter's statements beat none
+            if (cached) return cached.statements;
+            throw error;
+        }
+        this.store.set(key, { fetchedAt: Date.now(), source: this.source.id, statements });
+        return statements;
+    }
+
+    // Budget calls that researching these symbols would spend on statements, peers aside
+    callsNeeded(symbols) {
+        if (!this.source.budgetId || this.offline) return 0;
+        const stale = symbols.filter(symbol => {
+            const cached = this.store.get(`fundamentals:${symbol}`);
+            return !(cached && Date.now() - cached.fetchedAt < this.ttlMs);
+        });
+        return stale.length * this.source.callsPerSymbol;
     }
 
     delay(ms) {
@@ -498,14 +623,20 @@ class SentimentAgent {
     }
 }
 
+FundamentalsAgent.CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 class ReportAgent {
-    constructor() {
+    constructor(options = {}) {
         this.name = "Report Agent";
+        this.instruments = options.instruments || new InstrumentMaster();
+        this.renderer = options.renderer || new HtmlReportRenderer();
+        this.simulatedLatency = options.simulatedLatency !== false;
     }
 
+    // Returns the report document plus its HTML; other formats come from ReportRenderer.create(format).render(report)
     async generateReport(stockData, analysis, sentiment, mode) {
         // Simulate processing time
-        await this.delay(800);
+        if (this.simulatedLatency) await this.delay(800);
         
         if (mode === 'beginner') {
             return this.generateBeginnerReport(stockData, analysis, sentiment);
@@ -515,192 +646,405 @@ class ReportAgent {
     }
 
     generateBeginnerReport(stockData, analysis, sentiment) {
-        const recommendation = this.getBeginnerRecommendation(analysis, sentiment);
-        
+        return this.toResult(this.buildReport(stockData, analysis, sentiment, 'beginner'));
+    }
+
+    generateAdvancedReport(stockData, analysis, sentiment) {
+        return this.toResult(this.buildReport(stockData, analysis, sentiment, 'advanced'));
+    }
+
+    toResult(report) {
         return {
-            html: `
-                <div class="recommendation ${recommendation.class}">
-                    <h3>${recommendation.icon} ${recommendation.title}</h3>
-                    <p><strong>${recommendation.summary}</strong></p>
-                    <p>${recommendation.advice}</p>
-                </div>
-                
-                <div class="analysis-grid">
-                    <div class="analysis-card">
-                        <h4>📈 Simple Metrics</h4>
-                        <div class="metric">
-                            <span class="metric-label">
-                                <span class="tooltip">Current Price
-                                    <span class="tooltiptext">The latest trading price of the stock</span>
-                                </span>
-                            </span>
-                            <span class="metric-value">$${stockData.currentPrice}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">
-                                <span class="tooltip">Daily Change
-                                    <span class="tooltiptext">How much the price changed today</span>
-                                </span>
-                            </span>
-                            <span class="metric-value ${analysis.priceAnalysis.dailyChange >= 0 ? 'text-success' : 'text-danger'}">
-                                ${analysis.priceAnalysis.dailyChange}%
-                            </span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">
-                                <span class="tooltip">Trend Direction
-                                    <span class="tooltiptext">Whether the stock is generally going up, down, or sideways</span>
-                                </span>
-                            </span>
-                            <span class="metric-value">${analysis.trend}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">
-                                <span class="tooltip">Risk Level
-                                    <span class="tooltiptext">How much the stock price typically moves up and down</span>
-                                </span>
-                            </span>
-                            <span class="metric-value">${this.getRiskLevel(analysis.volatility)}</span>
-                        </div>
-                    </div>
-                    
-                    <div class="analysis-card">
-                        <h4>💭 What People Think</h4>
-                        <div class="metric">
-                            <span class="metric-label">Market Mood</span>
-                            <span class="metric-value">${sentiment.social}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Recent News</span>
-                            <span class="metric-value">${sentiment.news}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Confidence Level</span>
-                            <span class="metric-value">${sentiment.confidence}%</span>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="analysis-card">
-                    <h4>🎯 Simple Explanation</h4>
-                    <p><strong>What this means:</strong> ${this.explainInSimpleTerms(stockData, analysis, sentiment)}</p>
-                    <p><strong>Should I invest?</strong> ${recommendation.explanation}</p>
-                    <p><strong>Risk warning:</strong> ${this.getRiskWarning(analysis.volatility)}</p>
-                </div>
-            `,
-            text: recommendation.summary
+            report,
+            html: this.renderer.render(report),
+            text: report.recommendation.summary
         };
     }
 
-    generateAdvancedReport(stockData, analysis, sentiment) {
-        const recommendation = this.getAdvancedRecommendation(analysis, sentiment);
-        
+    // The report is plain data so it can be stored, diffed and rendered in any format
+    buildReport(stockData, analysis, sentiment, mode) {
+        const instrument = this.instruments.get(stockData.symbol);
+        const beginner = mode === 'beginner';
+        const recommendation = beginner
+            ? this.getBeginnerRecommendation(analysis, sentiment)
+            : this.getAdvancedRecommendation(analysis, sentiment);
+
+        return {
+            type: 'research-report',
+            version: ReportAgent.REPORT_VERSION,
+            symbol: stockData.symbol,
+            name: instrument ? instrument.name : null,
+            mode,
+            currency: this.instruments.currencyOf(stockData.symbol),
+            generatedAt: new Date().toISOString(),
+            recommendation: {
+                rating: this.getRating(analysis, mode),
+                tone: recommendation.class === 'recommendation' ? 'positive' : recommendation.class,
+                icon: recommendation.icon,
+                title: recommendation.title,
+                headline: beginner ? recommendation.summary : `Overall Score: ${analysis.score}/100`,
+                detail: beginner ? recommendation.advice : recommendation.summary,
+                summary: recommendation.summary,
+                score: analysis.score
+            },
+            sections: beginner
+                ? this.beginnerSections(stockData, analysis, sentiment, recommendation)
+                : this.advancedSections(stockData, analysis, sentiment),
+            warnings: this.getWarnings(stockData, analysis, sentiment),
+            provenance: this.getProvenance(stockData, analysis, sentiment)
+        };
+    }
+
+    beginnerSections(stockData, analysis, sentiment, recommendation) {
+        const reasons = [...(analysis.scoreBreakdown || [])]
+            .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+            .slice(0, 3);
+        const explanation = [
+            { type: 'text', label: 'What this means', text: this.explainInSimpleTerms(stockData, analysis, sentiment) },
+            { type: 'text', label: 'Should I invest?', text: recommendation.explanation }
+        ];
+        if (reasons.length > 0) {
+            explanation.push({ type: 'text', label: 'Biggest reasons', text: `${reasons.map(item => `${item.label} (${item.points > 0 ? 'helps' : 'hurts'})`).join(', ')}.` });
+        }
+        explanation.push({ type: 'text', label: 'Risk warning', text: this.getRiskWarning(analysis.volatility) });
+
+        const sections = [
+            {
+                id: 'metrics',
+                title: 'Simple Metrics',
+                icon: '📈',
+                items: [
+                    this.metric('currentPrice', 'Current Price', stockData.currentPrice, 'currency', { hint: 'The latest trading price of the stock' }),
+                    this.metric('dailyChange', 'Daily Change', analysis.priceAnalysis.dailyChange, 'percent', { hint: 'How much the price changed today', tone: this.toneOf(analysis.priceAnalysis.dailyChange, true) }),
+                    this.metric('trend', 'Trend Direction', analysis.trend, 'text', { hint: 'Whether the stock is generally going up, down, or sideways' }),
+                    this.metric('riskLevel', 'Risk Level', this.getRiskLevel(analysis.volatility), 'text', { hint: 'How much the stock price typically moves up and down' })
+                ]
+            },
+            {
+                id: 'sentiment',
+                title: 'What People Think',
+                icon: '💭',
+                items: [
+                    this.metric('mood', 'Market Mood', sentiment.social, 'text'),
+                    this.metric('news', 'Recent News', sentiment.news, 'text'),
+                    this.metric('confidence', 'Confidence Level', sentiment.confidence, 'percent')
+                ]
+            },
+            this.companyHealthSection(analysis.fundamentals)
+        ];
+
+        const signals = this.getRecentSignals(analysis, 3);
+        if (signals.length > 0) {
+            sections.push({
+                id: 'signals',
+                title: 'What Changed Recently',
+                icon: '🔔',
+                wide: true,
+                items: [this.signalList(signals)]
+            });
+        }
+        sections.push({
+            id: 'patterns',
+            title: 'Price Floors, Ceilings & Patterns',
+            icon: '📐',
+            wide: true,
+            items: [
+                { type: 'text', label: 'Price floor', text: this.describeLevel(analysis.support.supportZone, analysis.support.support) },
+                { type: 'text', label: 'Price ceiling', text: this.describeLevel(analysis.support.resistanceZone, analysis.support.resistance) },
+                ...(analysis.patterns && analysis.patterns.length > 0 ? [this.patternList(analysis.patterns.slice(0, 3))] : [])
+            ]
+        });
+        sections.push({ id: 'explanation', title: 'Simple Explanation', icon: '🎯', wide: true, items: explanation });
+        return sections;
+    }
+
+    advancedSections(stockData, analysis, sentiment) {
+        const indicators = analysis.technicalIndicators;
+        const prices = analysis.priceAnalysis;
+        const headlines = (sentiment.headlines || []).slice(0, 5);
+        const scoring = analysis.scoring || { name: 'Balanced' };
+        const periods = (analysis.indicatorSeries && analysis.indicatorSeries.periods) || IndicatorEngine.DEFAULT_PERIODS;
+
+        return [
+            {
+                id: 'technical',
+                title: 'Technical Analysis',
+                icon: '📊',
+                items: [
+                    this.metric('rsi', `RSI (${periods.rsi})`, indicators.rsi, 'number'),
+                    this.metric('sma20', `SMA (${periods.smaFast})`, indicators.sma20, 'currency'),
+                    this.metric('macd', 'MACD', indicators.macd, 'number'),
+                    this.metric('macdSignal', 'MACD Signal', indicators.macdSignal, 'number'),
+                    this.metric('macdHistogram', 'MACD Histogram', indicators.macdHistogram, 'number'),
+                    this.metric('stochasticK', 'Stochastic %K', indicators.stochasticK, 'number'),
+                    this.metric('stochasticD', 'Stochastic %D', indicators.stochasticD, 'number'),
+                    this.metric('adx', `ADX (${periods.adx})`, indicators.adx, 'number'),
+                    this.metric('atr', `ATR (${periods.atr})`, indicators.atr, 'number'),
+                    this.metric('bollingerUpper', 'Bollinger Upper', indicators.bollinger.upper, 'currency'),
+                    this.metric('bollingerLower', 'Bollinger Lower', indicators.bollinger.lower, 'currency')
+                ]
+            },
+            {
+                id: 'priceAction',
+                title: 'Price Action',
+                icon: '💹',
+                items: [
+                    this.metric('currentPrice', 'Current Price', stockData.currentPrice, 'currency'),
+                    this.metric('dailyChange', 'Daily Change', prices.dailyChange, 'percent', { tone: this.toneOf(prices.dailyChange) }),
+                    this.metric('weeklyChange', 'Weekly Change', prices.weeklyChange, 'percent', { tone: this.toneOf(prices.weeklyChange) }),
+                    this.metric('momentum', 'Momentum', prices.momentum, 'percent', { tone: this.toneOf(prices.momentum) }),
+                    this.metric('fromHigh52', 'From 52W High', prices.highLow52.percentFromHigh, 'percent'),
+                    this.metric('fromLow52', 'From 52W Low', prices.highLow52.percentFromLow, 'percent')
+                ]
+            },
+            {
+                id: 'levels',
+                title: 'Support & Resistance',
+                icon: '📈',
+                items: [
+                    this.metric('support', 'Support Level', analysis.support.support, 'currency', { hint: this.zoneHint(analysis.support.supportZone) }),
+                    this.metric('resistance', 'Resistance Level', analysis.support.resistance, 'currency', { hint: this.zoneHint(analysis.support.resistanceZone) }),
+                    this.metric('trend', 'Trend', analysis.trend, 'text'),
+                    this.metric('volatility', 'Volatility', analysis.volatility, 'percent'),
+                    {
+                        type: 'list',
+                        empty: 'No price zone has been tested twice',
+                        entries: (analysis.support.zones || []).map(zone => ({
+                            label: `${zone.kind === 'support' ? 'Support' : 'Resistance'} zone ${zone.low}–${zone.high}`,
+                            detail: `${zone.touches} touches, last ${zone.lastDate}, strength ${Math.round(zone.strength * 100)}%`,
+                            value: zone.price,
+                            format: 'currency',
+                            tone: zone.kind === 'support' ? 'positive' : 'negative'
+                        }))
+                    },
+                    ...(analysis.fibonacci ? [{ type: 'text', label: 'Fibonacci', text: this.describeFibonacci(analysis.fibonacci) }] : [])
+                ]
+            },
+            {
+                id: 'patterns',
+                title: 'Chart Patterns',
+                icon: '📐',
+                items: [this.patternList(analysis.patterns || [])]
+            },
+            {
+                id: 'sentiment',
+                title: 'Market Sentiment',
+                icon: '💭',
+                items: [
+                    this.metric('sentimentScore', 'Overall Sentiment', sentiment.overall, 'score'),
+                    this.metric('mood', 'Social Sentiment', sentiment.social, 'text'),
+                    this.metric('news', 'News Sentiment', sentiment.news, 'text'),
+                    this.metric('newsVolume', 'Volume', sentiment.volume, 'text')
+                ]
+            },
+            {
+                id: 'headlines',
+                title: 'Headlines Driving Sentiment',
+                icon: '📰',
+                items: [
+                    {
+                        type: 'list',
+                        empty: 'No recent headlines',
+                        entries: headlines.map(headline => ({
+                            label: headline.title,
+                            url: headline.url || null,
+                            value: headline.score,
+                            format: 'points',
+                            tone: this.toneOf(headline.score)
+                        }))
+                    },
+                    { type: 'text', text: `${sentiment.articleCount || 0} articles from ${sentiment.source || 'news feed'}, confidence ${sentiment.confidence}%` }
+                ]
+            },
+            this.fundamentalsSection(analysis.fundamentals),
+            {
+                id: 'signals',
+                title: 'Recent Signals',
+                icon: '🔔',
+                items: [this.signalList(this.getRecentSignals(analysis))]
+            },
+            {
+                id: 'breakdown',
+                title: 'Score Breakdown',
+                icon: '🧮',
+                items: [
+                    this.metric('scoringModel', `Model: ${scoring.name}`, 'Base 50', 'text', { hint: scoring.description || null }),
+                    {
+                        type: 'list',
+                        entries: (analysis.scoreBreakdown || []).map(item => ({
+                            label: item.label,
+                            detail: item.detail,
+                            value: item.points,
+                            format: 'points',
+                            tone: this.toneOf(item.points, true)
+                        }))
+                    },
+                    this.metric('score', 'Total', analysis.score, 'score')
+                ]
+            }
+        ];
+    }
+
+    companyHealthSection(fundamentals) {
+        const section = { id: 'fundamentals', title: 'Company Health', icon: '🏢' };
+        if (!fundamentals || !fundamentals.available) {
+            return { ...section, items: [{ type: 'text', text: 'No company financials are available for this stock, so the advice is based on price moves and news only.' }] };
+        }
+        const { valuation, growth, profitability, leverage } = fundamentals;
+        const items = [
+            this.metric('pe', 'Price vs Profit (P/E)', valuation.pe, 'number', { hint: 'How many years of current profit the share price pays for; lower is cheaper' }),
+            this.metric('revenueGrowth', 'Sales Growth', growth.revenueCagr, 'percent', { hint: `Average yearly growth in sales over the last ${growth.years} year${growth.years === 1 ? '' : 's'}`, tone: this.toneOf(growth.revenueCagr) }),
+            this.metric('netMargin', 'Profit Margin', profitability.netMargin, 'percent', { hint: 'How much of every sale the company keeps as profit', tone: this.toneOf(profitability.netMargin) }),
+            this.metric('debtLevel', 'Debt Level', this.getDebtLevel(leverage.debtToEquity), 'text', { hint: 'Borrowing compared with what the company owns outright' })
+        ];
+        if (fundamentals.peerPercentile !== null) {
+            items.push({ type: 'text', label: 'Compared with similar companies', text: `Better than ${fundamentals.peerPercentile}% of ${fundamentals.peers.length} ${fundamentals.peers.length === 1 ? 'company' : 'companies'} in the same sector` });
+        }
+        return { ...section, items };
+    }
+
+    fundamentalsSection(fundamentals) {
+        const section = { id: 'fundamentals', title: 'Fundamentals', icon: '🏢' };
+        if (!fundamentals || !fundamentals.available) {
+            return { ...section, items: [{ type: 'text', text: `No financial statements from ${fundamentals ? fundamentals.source : 'a fundamentals source'}; the score is price-based.` }] };
+        }
+        const { valuation, growth, profitability, leverage, percentiles } = fundamentals;
+        const ranked = Object.entries(percentiles).sort((a, b) => b[1] - a[1]);
+        const describe = entries => entries.map(([metric, value]) => `${FundamentalsAnalyzer.PEER_METRICS[metric].label} ${value}`).join(', ');
+        const span = growth.years > 0 ? ` (${growth.years}y)` : '';
+        const items = [
+            this.metric('pe', 'P/E', valuation.pe, 'number'),
+            this.metric('pb', 'P/B', valuation.pb, 'number'),
+            this.metric('evToEbitda', 'EV/EBITDA', valuation.evToEbitda, 'number'),
+            this.metric('dividendYield', 'Dividend Yield', valuation.dividendYield, 'percent'),
+            this.metric('revenueCagr', `Revenue CAGR${span}`, growth.revenueCagr, 'percent', { tone: this.toneOf(growth.revenueCagr) }),
+            this.metric('epsCagr', `EPS CAGR${span}`, growth.epsCagr, 'percent', { tone: this.toneOf(growth.epsCagr) }),
+            this.metric('grossMargin', 'Gross Margin', profitability.grossMargin, 'percent'),
+            this.metric('operatingMargin', 'Operating Margin', profitability.operatingMargin, 'percent', { tone: this.toneOf(profitability.operatingMargin) }),
+            this.metric('netMargin', 'Net Margin', profitability.netMargin, 'percent', { tone: this.toneOf(profitability.netMargin) }),
+            this.metric('roe', 'Return on Equity', profitability.roe, 'percent'),
+            this.metric('roa', 'Return on Assets', profitability.roa, 'percent'),
+            this.metric('debtToEquity', 'Debt/Equity', leverage.debtToEquity, 'number'),
+            this.metric('netDebtToEbitda', 'Net Debt/EBITDA', leverage.netDebtToEbitda, 'number'),
+            this.metric('peerPercentile', 'Peer Percentile', fundamentals.peerPercentile, 'number', { hint: 'Average rank against same-sector peers across the ratios above; 100 beats every peer' })
+        ];
+        if (ranked.length > 0) {
+            items.push({ type: 'text', label: `Percentiles vs ${fundamentals.peers.join(', ')}`, text: describe(ranked) });
+        }
+        return { ...section, items };
+    }
+
+    metric(id, label, value, format, extra = {}) {
+        return { type: 'metric', id, label, value: value ?? null, format, hint: extra.hint || null, tone: extra.tone || null };
+    }
+
+    // Zero counts as positive where the old cards coloured it green
+    toneOf(value, zeroIsPositive = false) {
+        if (value > 0 || (zeroIsPositive && value === 0)) return 'positive';
+        if (value < 0) return 'negative';
+        return null;
+    }
+
+    signalList(signals) {
+        const icons = { bullish: '🟢', bearish: '🔴', neutral: '⚪' };
         return {
-            html: `
-                <div class="recommendation ${recommendation.class}">
-                    <h3>${recommendation.icon} ${recommendation.title}</h3>
-                    <p><strong>Overall Score: ${analysis.score}/100</strong></p>
-                    <p>${recommendation.summary}</p>
-                </div>
-                
-                <div class="analysis-grid">
-                    <div class="analysis-card">
-                        <h4>📊 Technical Analysis</h4>
-                        <div class="metric">
-                            <span class="metric-label">RSI (14)</span>
-                            <span class="metric-value">${analysis.technicalIndicators.rsi}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">SMA (20)</span>
-                            <span class="metric-value">$${analysis.technicalIndicators.sma20}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">MACD</span>
-                            <span class="metric-value">${analysis.technicalIndicators.macd}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Bollinger Upper</span>
-                            <span class="metric-value">$${analysis.technicalIndicators.bollinger.upper}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Bollinger Lower</span>
-                            <span class="metric-value">$${analysis.technicalIndicators.bollinger.lower}</span>
-                        </div>
-                    </div>
-                    
-                    <div class="analysis-card">
-                        <h4>💹 Price Action</h4>
-                        <div class="metric">
-                            <span class="metric-label">Daily Change</span>
-                            <span class="metric-value">${analysis.priceAnalysis.dailyChange}%</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Weekly Change</span>
-                            <span class="metric-value">${analysis.priceAnalysis.weeklyChange}%</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Momentum</span>
-                            <span class="metric-value">${analysis.priceAnalysis.momentum}%</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">From 52W High</span>
-                            <span class="metric-value">${analysis.priceAnalysis.highLow52.percentFromHigh}%</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">From 52W Low</span>
-                            <span class="metric-value">${analysis.priceAnalysis.highLow52.percentFromLow}%</span>
-                        </div>
-                    </div>
-                    
-                    <div class="analysis-card">
-                        <h4>📈 Support & Resistance</h4>
-                        <div class="metric">
-                            <span class="metric-label">Support Level</span>
-                            <span class="metric-value">$${analysis.support.support}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Resistance Level</span>
-                            <span class="metric-value">$${analysis.support.resistance}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Trend</span>
-                            <span class="metric-value">${analysis.trend}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Volatility</span>
-                            <span class="metric-value">${analysis.volatility}%</span>
-                        </div>
-                    </div>
-                    
-                    <div class="analysis-card">
-                        <h4>💭 Market Sentiment</h4>
-                        <div class="metric">
-                            <span class="metric-label">Overall Sentiment</span>
-                            <span class="metric-value">${sentiment.overall}/100</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Social Sentiment</span>
-                            <span class="metric-value">${sentiment.social}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">News Sentiment</span>
-                            <span class="metric-value">${sentiment.news}</span>
-                        </div>
-                        <div class="metric">
-                            <span class="metric-label">Volume</span>
-                            <span class="metric-value">${sentiment.volume}</span>
-                        </div>
-                    </div>
-                </div>
-            `,
-            text: recommendation.summary
+            type: 'list',
+            empty: 'No signals in the last 30 bars',
+            entries: signals.map(signal => ({
+                label: `${icons[signal.direction] || ''} ${signal.label}`.trim(),
+                detail: signal.explanation,
+                value: `${signal.date} · ${Math.round(signal.strength * 100)}%`,
+                format: 'text',
+                tone: signal.direction === 'bullish' ? 'positive' : signal.direction === 'bearish' ? 'negative' : null
+            }))
+        };
+    }
+
+    patternList(patterns) {
+        return {
+            type: 'list',
+            empty: 'No classic chart patterns in the recent bars',
+            entries: patterns.map(pattern => ({
+                label: `${pattern.label}${pattern.status === 'forming' ? ' (forming)' : ''}`,
+                detail: `${pattern.explanation}${pattern.target !== null ? ` Measured target: ${pattern.target}.` : ''}`,
+                value: `${pattern.startDate} → ${pattern.endDate} · ${Math.round(pattern.confidence * 100)}%`,
+                format: 'text',
+                tone: pattern.direction === 'bullish' ? 'positive' : pattern.direction === 'bearish' ? 'negative' : null
+            }))
+        };
+    }
+
+    zoneHint(zone) {
+        if (!zone) return 'No tested zone on this side; this is the edge of the last 10 bars';
+        return `${zone.touches} swing points between ${zone.low} and ${zone.high}, last on ${zone.lastDate}`;
+    }
+
+    describeLevel(zone, price) {
+        if (!zone) return `No tested level nearby; the recent range ends around ${price}.`;
+        return `Around ${zone.price}, where the price has turned ${zone.touches} times since ${zone.firstDate}.`;
+    }
+
+    describeFibonacci(fibonacci) {
+        const swing = fibonacci.direction === 'up'
+            ? `Rally from ${fibonacci.low.price} (${fibonacci.low.date}) to ${fibonacci.high.price} (${fibonacci.high.date})`
+            : `Decline from ${fibonacci.high.price} (${fibonacci.high.date}) to ${fibonacci.low.price} (${fibonacci.low.date})`;
+        const levels = fibonacci.levels
+            .filter(level => level.ratio > 0 && level.ratio < 1)
+            .map(level => `${this.round(level.ratio * 100)}% ${level.price}`)
+            .join(', ');
+        return `${swing}: ${levels}. The price is nearest the ${this.round(fibonacci.nearest.ratio * 100)}% level.`;
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(1));
+    }
+
+    // Things a reader should know before trusting the numbers
+    getWarnings(stockData, analysis, sentiment) {
+        const warnings = [];
+        const provenance = stockData.provenance || {};
+        if (stockData.isDemo) warnings.push('Prices are generated demo data, not market data');
+        if (provenance.cache === 'stale') warnings.push('Prices come from a stale cache because no provider could be reached');
+        if (sentiment.error) warnings.push(`News could not be loaded: ${sentiment.error}`);
+        else if (!sentiment.articleCount) warnings.push('No recent news; sentiment is neutral by default');
+        if (analysis.volatility > 40) warnings.push(`Volatility is ${analysis.volatility}%, so prices can move sharply`);
+
+        const fundamentals = analysis.fundamentals;
+        if (fundamentals && fundamentals.error) warnings.push(`Company financials could not be loaded: ${fundamentals.error}`);
+        if (fundamentals && fundamentals.available) {
+            const cutoff = new Date();
+            cutoff.setMonth(cutoff.getMonth() - ReportAgent.STALE_STATEMENT_MONTHS);
+            if (fundamentals.asOf < cutoff.toISOString().split('T')[0]) warnings.push(`The latest financial statements are from ${fundamentals.asOf}`);
+            fundamentals.notes.forEach(note => warnings.push(note));
+        }
+        return warnings;
+    }
+
+    getProvenance(stockData, analysis, sentiment) {
+        const provenance = stockData.provenance || {};
+        const dates = stockData.dates || [];
+        return {
+            provider: provenance.provider || null,
+            providerName: provenance.providerName || null,
+            isDemo: Boolean(stockData.isDemo),
+            cache: provenance.cache || null,
+            fetchedAt: provenance.fetchedAt || null,
+            range: stockData.range || null,
+            interval: stockData.interval || null,
+            asOf: dates.length > 0 ? dates[dates.length - 1] : null,
+            bars: (stockData.prices || []).length,
+            newsSource: sentiment.source || null,
+            articleCount: sentiment.articleCount || 0,
+            fundamentalsSource: analysis.fundamentals ? analysis.fundamentals.source : null,
+            fundamentalsAsOf: analysis.fundamentals ? analysis.fundamentals.asOf : null,
+            scoringModel: analysis.scoring ? analysis.scoring.name : null
         };
     }
 
     getBeginnerRecommendation(analysis, sentiment) {
-        const score = analysis.score;
+        const rating = this.getRating(analysis, 'beginner');
         
-        if (score >= 70) {
+        if (rating === 'positive') {
             return {
                 class: 'recommendation',
                 icon: '✅',
@@ -709,7 +1053,7 @@ class ReportAgent {
                 advice: 'Consider adding this to your portfolio, but start with a small amount',
                 explanation: 'The numbers look good and people are generally positive about this stock.'
             };
-        } else if (score >= 50) {
+        } else if (rating === 'caution') {
             return {
                 class: 'warning',
                 icon: '⚠️',
@@ -731,30 +1075,30 @@ class ReportAgent {
     }
 
     getAdvancedRecommendation(analysis, sentiment) {
-        const score = analysis.score;
+        const rating = this.getRating(analysis, 'advanced');
         
-        if (score >= 75) {
+        if (rating === 'strongBuy') {
             return {
                 class: 'recommendation',
                 icon: '🚀',
                 title: 'Strong Buy',
                 summary: 'Multiple positive indicators align for potential upside'
             };
-        } else if (score >= 60) {
+        } else if (rating === 'buy') {
             return {
                 class: 'recommendation',
                 icon: '👍',
                 title: 'Buy',
                 summary: 'Generally positive outlook with manageable risks'
             };
-        } else if (score >= 40) {
+        } else if (rating === 'hold') {
             return {
                 class: 'warning',
                 icon: '📊',
                 title: 'Hold/Neutral',
                 summary: 'Mixed technical signals suggest sideways movement'
             };
-        } else if (score >= 25) {
+        } else if (rating === 'sell') {
             return {
                 class: 'warning',
                 icon: '👎',
@@ -771,12 +1115,29 @@ class ReportAgent {
         }
     }
 
+    // Cutoffs come from the scoring model that produced the score
+    getRating(analysis, mode) {
+        const thresholds = (analysis.scoring && analysis.scoring.thresholds) || ScoringModel.DEFAULT_THRESHOLDS;
+        return ScoringModel.rateWith(thresholds, analysis.score, mode);
+    }
+
+    getRecentSignals(analysis, limit = 5) {
+        return (analysis.signals || []).slice(0, limit);
+    }
+
     getRiskLevel(volatility) {
         if (volatility > 40) return 'High Risk';
         if (volatility > 20) return 'Medium Risk';
         return 'Low Risk';
     }
 
+    getDebtLevel(debtToEquity) {
+        if (debtToEquity === null || debtToEquity === undefined) return null;
+        if (debtToEquity > 2) return 'High';
+        if (debtToEquity > 0.5) return 'Moderate';
+        return 'Low';
+    }
+
     getRiskWarning(volatility) {
         if (volatility > 40) {
             return 'This stock moves a lot! You could lose money quickly.';
@@ -791,19 +1152,26 @@ class ReportAgent {
         const trend = analysis.trend.toLowerCase();
         const risk = this.getRiskLevel(analysis.volatility).toLowerCase();
         
-        return `This stock is currently in a ${trend} and has ${risk}. 
-                The current mood around this stock is ${sentiment.social.toLowerCase()}. 
-                Based on recent price movements and what people are saying, 
-                it ${this.getSimpleOutlook(analysis.score)}.`;
+        return `This stock is currently in a ${trend} and has ${risk}. ` +
+            `The current mood around this stock is ${sentiment.social.toLowerCase()}. ` +
+            `Based on recent price movements and what people are saying, ` +
+            `it ${this.getSimpleOutlook(analysis)}.`;
     }
 
-    getSimpleOutlook(score) {
-        if (score >= 70) return 'looks like a good opportunity';
-        if (score >= 50) return 'has mixed signals';
+    getSimpleOutlook(analysis) {
+        const rating = this.getRating(analysis, 'beginner');
+        if (rating === 'positive') return 'looks like a good opportunity';
+        if (rating === 'caution') return 'has mixed signals';
         return 'shows some warning signs';
     }
 
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
-}
\ No newline at end of file
+}
+
+// Bumped when the report document changes shape, so stored reports can be told apart
+ReportAgent.REPORT_VERSION = 2;
+
+// Annual statements older than this are flagged; a new fiscal year should have been filed by then
+ReportAgent.STALE_STATEMENT_MONTHS = 18;
@@ -0,0 +1,406 @@
+// Watchlists and Alerts - named symbol lists, and user rules evaluated against Data and Analysis Agent output
+// Both persist next to keesPortfolio: the default store prefixes keys with 'kees' (keesWatchlists, keesAlerts).
+
+class WatchlistStore {
+    constructor(store = WatchlistStore.createDefaultStore()) {
+        this.store = store;
+        const saved = store.get('Watchlists');
+        this.lists = saved && Array.isArray(saved.lists) ? saved.lists : [];
+    }
+
+    // Browsers persist across reloads; Node and tests fall back to memory
+    static createDefaultStore() {
+        return typeof localStorage !== 'undefined' ? new LocalStorageCacheStore('kees') : new MemoryCacheStore();
+    }
+
+    save() {
+        this.store.set('Watchlists', { version: 1, lists: this.lists });
+    }
+
+    all() {
+        return this.lists;
+    }
+
+    get(id) {
+        return this.lists.find(list => list.id === id) || null;
+    }
+
+    create(name, symbols = []) {
+        const clean = String(name || '').trim();
+        if (!clean) {
+            throw new Error('A watchlist needs a name');
+        }
+        if (this.lists.some(list => list.name.toLowerCase() === clean.toLowerCase())) {
+            throw new Error(`There is already a watchlist called ${clean}`);
+        }
+        const list = { id: `wl-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, name: clean, symbols: [] };
+        this.lists.push(list);
+        symbols.forEach(symbol => this.addSymbol(list.id, symbol));
+        this.save();
+        return list;
+    }
+
+    rename(id, name) {
+        this.require(id).name = String(name).trim() || this.require(id).name;
+        this.save();
+    }
+
+    remove(id) {
+        this.require(id);
+        this.lists = this.lists.filter(list => list.id !== id);
+        this.save();
+    }
+
+    addSymbol(id, symbol) {
+        const list = this.require(id);
+        const ticker = String(symbol || '').trim().toUpperCase();
+        if (!ticker) {
+            throw new Error('A symbol is required');
+        }
+        if (!list.symbols.includes(ticker)) list.symbols.push(ticker);
+        this.save();
+        return list;
+    }
+
+    removeSymbol(id, symbol) {
+        const list = this.require(id);
+        const ticker = String(symbol || '').trim().toUpperCase();
+        list.symbols = list.symbols.filter(other => other !== ticker);
+        this.save();
+        return list;
+    }
+
+    // Every watched symbol once, in first-seen order
+    symbols() {
+        return [...new Set(this.lists.flatMap(list => list.symbols))];
+    }
+
+    require(id) {
+        const list = this.get(id);
+        if (!list) {
+            throw new Error(`No watchlist with id ${id}`);
+        }
+        return list;
+    }
+}
+
+// Delivery targets for fired alerts; deliver() may throw, and the engine records the failure per sink
+class AlertSink {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+    }
+
+    async deliver(alert) {
+        throw new Error(`${this.name} does not implement deliver`);
+    }
+}
+
+// Hands alerts to the page, which decides how to show them
+class InPageAlertSink extends AlertSink {
+    constructor(notify, options = {}) {
+        super('inPage', { name: 'In-page notification', ...options });
+        this.notify = notify;
+    }
+
+    async deliver(alert) {
+        this.notify(alert);
+    }
+}
+
+// POSTs each alert as JSON; `text` makes it readable by Slack- and Teams-style incoming webhooks
+class WebhookAlertSink extends AlertSink {
+    constructor(url, options = {}) {
+        super(options.id || 'webhook', { name: 'Webhook', ...options });
+        this.url = url;
+        this.headers = options.headers || {};
+    }
+
+    async deliver(alert) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({ text: alert.message, alert: alert })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+    }
+}
+
+class AlertEngine {
+    // options.positionFor(symbol) returns { avgCost } in the symbol's currency, for "from cost" rules
+    constructor(options = {}) {
+        const config = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {};
+        this.dataAgent = options.dataAgent || new DataAgent();
+        this.analysisAgent = options.analysisAgent || new AnalysisAgent();
+        this.store = options.store || WatchlistStore.createDefaultStore();
+        this.positionFor = options.positionFor || (() => null);
+        this.sinks = options.sinks || [];
+        if (!options.sinks && config.alertWebhook) {
+            this.sinks.push(new WebhookAlertSink(config.alertWebhook));
+        }
+        this.historyLimit = options.historyLimit || AlertEngine.HISTORY_LIMIT;
+
+        const saved = this.store.get('Alerts') || {};
+        this.rules = saved.rules || [];
+        this.state = saved.state || {};
+        this.history = saved.history || [];
+    }
+
+    save() {
+        this.store.set('Alerts', { version: 1, rules: this.rules, state: this.state, history: this.history });
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
+
+    // Accepts a parsed rule or text such as "RSI < 30"; cooldownMinutes defaults to a day
+    addRule(symbol, rule, options = {}) {
+        const ticker = String(symbol || '').trim().toUpperCase();
+        if (!ticker) {
+            throw new Error('An alert needs a symbol');
+        }
+        const parsed = typeof rule === 'string' ? AlertEngine.parseRule(rule) : rule;
+        if (!AlertEngine.METRICS[parsed.metric]) {
+            throw new Error(`Unknown alert metric: ${parsed.metric}`);
+        }
+        if (!AlertEngine.CONDITIONS.includes(parsed.condition)) {
+            throw new Error(`Unknown alert condition: ${parsed.condition}`);
+        }
+        if (!Number.isFinite(parsed.value)) {
+            throw new Error('An alert needs a numeric threshold');
+        }
+
+        const entry = {
+            id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            symbol: ticker,
+            metric: parsed.metric,
+            condition: parsed.condition,
+            value: parsed.value,
+            text: parsed.text || AlertEngine.describeRule(parsed),
+            cooldownMinutes: options.cooldownMinutes ?? AlertEngine.DEFAULT_COOLDOWN_MINUTES,
+            enabled: true,
+            createdAt: new Date().toISOString()
+        };
+        this.rules.push(entry);
+        this.save();
+        return entry;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        delete this.state[id];
+        this.save();
+    }
+
+    setEnabled(id, enabled) {
+        const rule = this.rules.find(candidate => candidate.id === id);
+        if (!rule) {
+            throw new Error(`No alert rule with id ${id}`);
+        }
+        rule.enabled = Boolean(enabled);
+        this.save();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.save();
+    }
+
+    // "price crosses 200", "RSI < 30", "score drops below 40", "position down 10% from cost", "down 15% from high"
+    static parseRule(text) {
+        const clean = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        let match = clean.match(/^(?:position )?(down|up) (\d+(?:\.\d+)?) ?% from (cost|high)$/);
+        if (match) {
+            const [, direction, amount, reference] = match;
+            const metric = reference === 'cost' ? 'fromCost' : 'drawdown';
+            if (metric === 'drawdown' && direction === 'up') {
+                throw new Error('Use "up N% from cost"; prices cannot be above their high');
+            }
+            return { metric, condition: direction === 'down' ? 'atOrBelow' : 'atOrAbove', value: direction === 'down' ? -Number(amount) : Number(amount), text: String(text).trim() };
+        }
+
+        match = clean.match(/^(.+?) (crosses above|crosses below|crosses|rises above|drops below|falls below|at or above|at or below|above|below|>=|<=|>|<) (-?\d+(?:\.\d+)?) ?%?$/);
+        if (!match) {
+            throw new Error(`Could not read the rule "${text}". Try "price crosses 200", "RSI < 30" or "position down 10% from cost".`);
+        }
+        const [, name, operator, amount] = match;
+        const metric = AlertEngine.METRIC_ALIASES[name];
+        if (!metric) {
+            throw new Error(`Unknown alert metric "${name}". Use one of: ${Object.keys(AlertEngine.METRIC_ALIASES).join(', ')}`);
+        }
+        return { metric, condition: AlertEngine.OPERATORS[operator], value: Number(amount), text: String(text).trim() };
+    }
+
+    static describeRule(rule) {
+        const phrases = { above: 'above', atOrAbove: 'at or above', below: 'below', atOrBelow: 'at or below', crosses: 'crosses', crossesAbove: 'crosses above', crossesBelow: 'crosses below' };
+        const metric = AlertEngine.METRICS[rule.metric];
+        return `${metric.label} ${phrases[rule.condition]} ${rule.value}${metric.unit}`;
+    }
+
+    // Fetches and analyzes each symbol that has enabled rules, once, then checks its rules
+    // Runs symbols one at a time so a long list does not burst through provider rate limits
+    async evaluate(now = new Date()) {
+        const bySymbol = {};
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            (bySymbol[rule.symbol] = bySymbol[rule.symbol] || []).push(rule);
+        });
+
+        const fired = [];
+        const errors = [];
+        for (const [symbol, rules] of Object.entries(bySymbol)) {
+            let snapshot;
+            try {
+                snapshot = await this.snapshot(symbol);
+            } catch (error) {
+                errors.push({ symbol, error: error.message });
+                continue;
+            }
+            rules.forEach(rule => {
+                const alert = this.check(rule, snapshot, now);
+                if (alert) fired.push(alert);
+            });
+        }
+
+        for (const alert of fired) {
+            await this.deliver(alert);
+        }
+        this.history = [...fired.reverse(), ...this.history].slice(0, this.historyLimit);
+        this.save();
+        return { fired, errors };
+    }
+
+    // Every metric a rule can read, plus the previous bar's value for crossing rules
+    async snapshot(symbol) {
+        const data = await this.dataAgent.fetchStockData(symbol, { range: '1Y' });
+        const analysis = this.analysisAgent.computeAnalysis(data);
+        const prices = data.prices;
+        const last = prices.length - 1;
+        const rsi = analysis.indicatorSeries.rsi;
+        const high = Math.max(...prices);
+        const position = this.positionFor(symbol);
+        const fromCost = price => position && position.avgCost > 0 ? (price / position.avgCost - 1) * 100 : null;
+        // The score has no series of its own, so the previous bar's is scored from the data without the last bar
+        const previousScore = last > 0
+            ? this.analysisAgent.computeAnalysis({ ...this.dataAgent.sliceSeries(data, 0, last), currentPrice: prices[last - 1] }).score
+            : null;
+
+        return {
+            symbol: symbol,
+            date: data.dates[last],
+            isDemo: Boolean(data.isDemo),
+            values: {
+                price: prices[last],
+                rsi: rsi[last],
+                score: analysis.score,
+                changePercent: last > 0 ? (prices[last] / prices[last - 1] - 1) * 100 : null,
+                drawdown: (prices[last] / high - 1) * 100,
+                fromCost: fromCost(prices[last])
+            },
+            previous: {
+                price: last > 0 ? prices[last - 1] : null,
+                rsi: last > 0 ? rsi[last - 1] : null,
+                score: previousScore,
+                changePercent: null,
+                drawdown: last > 0 ? (prices[last - 1] / Math.max(...prices.slice(0, last)) - 1) * 100 : null,
+                fromCost: last > 0 ? fromCost(prices[last - 1]) : null
+            }
+        };
+    }
+
+    // Level rules fire when their condition becomes true and re-arm once it is false again;
+    // crossing rules fire on the crossing. Either way nothing repeats within the cooldown or on the same bar.
+    check(rule, snapshot, now = new Date()) {
+        const value = snapshot.values[rule.metric];
+        if (value === null || value === undefined || Number.isNaN(value)) return null;
+
+        const state = this.state[rule.id] = this.state[rule.id] || { lastValue: null, active: false, lastFiredAt: null, lastDate: null };
+        const previous = state.lastValue ?? snapshot.previous[rule.metric];
+        const level = AlertEngine.LEVEL_TESTS[rule.condition];
+        let triggered;
+        if (level) {
+            const holds = level(value, rule.value);
+            triggered = holds && !state.active;
+            state.active = holds;
+        } else {
+            switch (rule.condition) {
+                case 'crossesAbove': triggered = previous !== null && previous <= rule.value && value > rule.value; break;
+                case 'crossesBelow': triggered = previous !== null && previous >= rule.value && value < rule.value; break;
+                case 'crosses': triggered = previous !== null && (previous - rule.value) * (value - rule.value) < 0; break;
+                default: triggered = false;
+            }
+        }
+        state.lastValue = value;
+
+        if (!triggered) return null;
+        const cooling = state.lastFiredAt && now - new Date(state.lastFiredAt) < rule.cooldownMinutes * 60 * 1000;
+        if (cooling || state.lastDate === snapshot.date) return null;
+
+        state.lastFiredAt = now.toISOString();
+        state.lastDate = snapshot.date;
+        const metric = AlertEngine.METRICS[rule.metric];
+        return {
+            id: `${rule.id}-${snapshot.date}`,
+            ruleId: rule.id,
+            symbol: rule.symbol,
+            rule: rule.text,
+            metric: rule.metric,
+            value: parseFloat(value.toFixed(2)),
+            dataDate: snapshot.date,
+            isDemo: snapshot.isDemo,
+            firedAt: now.toISOString(),
+            message: `${rule.symbol}: ${rule.text} (${metric.label} ${parseFloat(value.toFixed(2))}${metric.unit} on ${snapshot.date})${snapshot.isDemo ? ' [demo data]' : ''}`,
+            deliveries: {}
+        };
+    }
+
+    async deliver(alert) {
+        for (const sink of this.sinks) {
+            try {
+                await sink.deliver(alert);
+                alert.deliveries[sink.id] = 'delivered';
+            } catch (error) {
+                console.warn(`${sink.name} failed for ${alert.symbol}:`, error.message);
+                alert.deliveries[sink.id] = `failed: ${error.message}`;
+            }
+        }
+    }
+}
+
+AlertEngine.METRICS = {
+    price: { label: 'Price', unit: '' },
+    rsi: { label: 'RSI', unit: '' },
+    score: { label: 'Score', unit: '' },
+    changePercent: { label: 'Day change', unit: '%' },
+    drawdown: { label: 'From 1Y high', unit: '%' },
+    fromCost: { label: 'From cost', unit: '%' }
+};
+
+AlertEngine.METRIC_ALIASES = {
+    price: 'price', close: 'price', rsi: 'rsi', score: 'score',
+    change: 'changePercent', 'day change': 'changePercent',
+    drawdown: 'drawdown', 'from high': 'drawdown',
+    'from cost': 'fromCost', position: 'fromCost'
+};
+
+AlertEngine.OPERATORS = {
+    '>': 'above', above: 'above', '>=': 'atOrAbove', 'at or above': 'atOrAbove',
+    '<': 'below', below: 'below', '<=': 'atOrBelow', 'at or below': 'atOrBelow',
+    crosses: 'crosses', 'crosses above': 'crossesAbove', 'rises above': 'crossesAbove',
+    'crosses below': 'crossesBelow', 'drops below': 'crossesBelow', 'falls below': 'crossesBelow'
+};
+
+AlertEngine.CONDITIONS = ['above', 'atOrAbove', 'below', 'atOrBelow', 'crosses', 'crossesAbove', 'crossesBelow'];
+
+// Level conditions and when they hold; the others are crossings
+AlertEngine.LEVEL_TESTS = {
+    above: (value, level) => value > level,
+    atOrAbove: (value, level) => value >= level,
+    below: (value, level) => value < level,
+    atOrBelow: (value, level) => value <= level
+};
+
+AlertEngine.DEFAULT_COOLDOWN_MINUTES = 24 * 60;
+AlertEngine.HISTORY_LIMIT = 200;
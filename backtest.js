@@ -0,0 +1,289 @@
+// Backtester - replays a price series bar by bar and trades on AnalysisAgent output
+
+class Backtester {
+    constructor(options = {}) {
+        this.analysisAgent = options.analysisAgent || new AnalysisAgent();
+        this.reportAgent = options.reportAgent || new ReportAgent();
+        this.options = { ...Backtester.DEFAULT_OPTIONS, ...options };
+    }
+
+    // Decisions use bars up to and including i; orders fill at the next bar's open
+    run(series, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const rule = this.resolveRule(options.rule);
+        const length = series.dates.length;
+
+        if (length <= options.warmup + 1) {
+            throw new Error(`Backtest needs more than ${options.warmup + 1} bars, got ${length}`);
+        }
+
+        let cash = options.initialCapital;
+        let shares = 0;
+        let openTrade = null;
+        let pendingAction = null;
+        const trades = [];
+        const equityCurve = [];
+        const decisions = [];
+
+        for (let i = options.warmup; i < length; i++) {
+            // Fill yesterday's decision at today's open
+            if (pendingAction === 'buy' && shares === 0) {
+                const fill = this.buy(series, i, cash, options);
+                if (fill) {
+                    cash -= fill.cost;
+                    shares = fill.shares;
+                    openTrade = { entryDate: series.dates[i], entryIndex: i, entryPrice: fill.price, shares: fill.shares, commission: fill.commission };
+                }
+            } else if (pendingAction === 'sell' && shares > 0) {
+                const fill = this.sell(series, i, shares, options);
+                cash += fill.proceeds;
+                trades.push(this.closeTrade(openTrade, series.dates[i], i, fill));
+                shares = 0;
+                openTrade = null;
+            }
+            pendingAction = null;
+
+            equityCurve.push({
+                date: series.dates[i],
+                equity: cash + shares * series.prices[i],
+                cash: cash,
+                shares: shares,
+                price: series.prices[i]
+            });
+
+            if (i === length - 1) break;
+
+            const start = options.window ? Math.max(0, i + 1 - options.window) : 0;
+            const visible = this.sliceSeries(series, start, i + 1);
+            const analysis = this.analysisAgent.computeAnalysis(visible);
+            const action = rule({ analysis, series: visible, index: i, date: series.dates[i], position: shares, backtester: this });
+
+            if (action === 'buy' || action === 'sell') {
+                pendingAction = action;
+                decisions.push({ date: series.dates[i], action, score: analysis.score });
+            }
+        }
+
+        if (openTrade) {
+            const lastPrice = series.prices[length - 1];
+            trades.push({
+                ...this.closeTrade(openTrade, series.dates[length - 1], length - 1, {
+                    price: lastPrice,
+                    proceeds: shares * lastPrice,
+                    commission: 0
+                }),
+                open: true
+            });
+        }
+
+        return {
+            symbol: series.symbol,
+            options: { ...options, rule: typeof options.rule === 'function' ? 'custom' : options.rule },
+            equityCurve,
+            trades,
+            decisions,
+            metrics: this.calculateMetrics(equityCurve, trades, series, options)
+        };
+    }
+
+    resolveRule(rule) {
+        if (typeof rule === 'function') return rule;
+
+        if (rule === 'recommendation') {
+            return ({ analysis, position }) => {
+                const rating = this.reportAgent.getRating(analysis, 'advanced');
+                if (position === 0 && (rating === 'buy' || rating === 'strongBuy')) return 'buy';
+                if (position > 0 && (rating === 'sell' || rating === 'strongSell')) return 'sell';
+                return 'hold';
+            };
+        }
+
+        // { buyAbove, sellBelow } score thresholds
+        if (rule && typeof rule === 'object') {
+            return ({ analysis, position }) => {
+                if (position === 0 && analysis.score >= rule.buyAbove) return 'buy';
+                if (position > 0 && analysis.score < rule.sellBelow) return 'sell';
+                return 'hold';
+            };
+        }
+
+        throw new Error(`Unknown backtest rule: ${rule}`);
+    }
+
+    commissionFor(notional, options) {
+        return options.commission.perTrade + notional * options.commission.percent;
+    }
+
+    buy(series, i, cash, options) {
+        const price = series.opens[i] * (1 + options.slippageBps / 10000);
+        const budget = cash * options.positionSize;
+        // Solve shares * price + commission(shares * price) <= budget
+        let shares = (budget - options.commission.perTrade) / (price * (1 + options.commission.percent));
+        if (options.wholeShares) shares = Math.floor(shares);
+        if (shares <= 0) return null;
+
+        const notional = shares * price;
+        const commission = this.commissionFor(notional, options);
+        return { price, shares, commission, cost: notional + commission };
+    }
+
+    sell(series, i, shares, options) {
+        const price = series.opens[i] * (1 - options.slippageBps / 10000);
+        const notional = shares * price;
+        const commission = this.commissionFor(notional, options);
+        return { price, commission, proceeds: notional - commission };
+    }
+
+    closeTrade(openTrade, date, index, fill) {
+        const cost = openTrade.entryPrice * openTrade.shares + openTrade.commission;
+        const pnl = fill.proceeds - cost;
+        return {
+            entryDate: openTrade.entryDate,
+            entryPrice: this.round(openTrade.entryPrice),
+            exitDate: date,
+            exitPrice: this.round(fill.price),
+            shares: openTrade.shares,
+            commission: this.round(openTrade.commission + fill.commission),
+            pnl: this.round(pnl),
+            returnPct: this.round(pnl / cost * 100),
+            bars: index - openTrade.entryIndex
+        };
+    }
+
+    calculateMetrics(equityCurve, trades, series, options) {
+        const initial = options.initialCapital;
+        const final = equityCurve[equityCurve.length - 1].equity;
+        const firstDate = new Date(equityCurve[0].date);
+        const lastDate = new Date(equityCurve[equityCurve.length - 1].date);
+        const years = (lastDate - firstDate) / (365.25 * 24 * 3600 * 1000);
+
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+        }
+
+        const periodsPerYear = Backtester.PERIODS_PER_YEAR[series.interval || 'daily'];
+        const riskFreePerPeriod = options.riskFreeRate / periodsPerYear;
+        const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length > 1 ? returns.length - 1 : 1);
+        const stdDev = Math.sqrt(variance);
+
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        equityCurve.forEach(point => {
+            peak = Math.max(peak, point.equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+        });
+
+        const closed = trades.filter(trade => !trade.open);
+        const wins = closed.filter(trade => trade.pnl > 0).length;
+        const firstPrice = series.prices[options.warmup];
+        const lastPrice = series.prices[series.prices.length - 1];
+        const exposed = equityCurve.filter(point => point.shares > 0).length;
+
+        return {
+            startDate: equityCurve[0].date,
+            endDate: equityCurve[equityCurve.length - 1].date,
+            initialCapital: initial,
+            finalEquity: this.round(final),
+            totalReturn: this.round((final / initial - 1) * 100),
+            cagr: years > 0 ? this.round((Math.pow(final / initial, 1 / years) - 1) * 100) : null,
+            maxDrawdown: this.round(maxDrawdown * 100),
+            sharpe: stdDev > 0 ? this.round((mean - riskFreePerPeriod) / stdDev * Math.sqrt(periodsPerYear)) : null,
+            volatility: this.round(stdDev * Math.sqrt(periodsPerYear) * 100),
+            trades: closed.length,
+            winRate: closed.length > 0 ? this.round(wins / closed.length * 100) : null,
+            exposure: this.round(exposed / equityCurve.length * 100),
+            buyAndHoldReturn: this.round((lastPrice / firstPrice - 1) * 100)
+        };
+    }
+
+    sliceSeries(series, start, end) {
+        const slice = {
+            ...series,
+            dates: series.dates.slice(start, end),
+            opens: (series.opens || series.prices).slice(start, end),
+            prices: series.prices.slice(start, end),
+            highs: series.highs.slice(start, end),
+            lows: series.lows.slice(start, end),
+            volumes: series.volumes.slice(start, end)
+        };
+        slice.currentPrice = slice.prices[slice.prices.length - 1];
+        return slice;
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+
+    // Offline input: the DataAgent cache only, never the network
+    static fromCache(dataAgent, symbol, options = {}) {
+        const series = dataAgent.getCachedSeries(symbol, options);
+        if (!series) {
+            throw new Error(`No cached ${options.range || '1Y'} series for ${symbol}; fetch it once online or use CSV input`);
+        }
+        return series;
+    }
+
+    // Reads Date,Open,High,Low,Close[,Volume] CSV (header names are case-insensitive, any column order)
+    static seriesFromCSV(text, symbol = 'CSV') {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV has no data rows');
+        }
+
+        const split = line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const header = split(lines[0]).map(name => name.toLowerCase());
+        const column = (...names) => header.findIndex(name => names.includes(name));
+        const columns = {
+            date: column('date', 'timestamp'),
+            open: column('open'),
+            high: column('high'),
+            low: column('low'),
+            close: column('close', 'adj close', 'price'),
+            volume: column('volume')
+        };
+        if (columns.date === -1 || columns.close === -1) {
+            throw new Error('CSV needs at least Date and Close columns');
+        }
+
+        const bars = lines.slice(1).map((line, row) => {
+            const cells = split(line);
+            const number = index => index === -1 ? NaN : parseFloat(cells[index]);
+            const close = number(columns.close);
+            if (!Number.isFinite(close)) {
+                throw new Error(`CSV row ${row + 2}: close is not a number`);
+            }
+            const date = new Date(cells[columns.date]);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`CSV row ${row + 2}: date ${cells[columns.date] || '(empty)'} is not a date`);
+            }
+            return {
+                date: date.toISOString().split('T')[0],
+                open: number(columns.open),
+                high: number(columns.high),
+                low: number(columns.low),
+                close: close,
+                volume: number(columns.volume)
+            };
+        });
+
+        const series = new MarketDataProvider('csv', { name: 'CSV' }).buildSeries(symbol, bars, 'daily');
+        series.provenance = { provider: 'csv', providerName: 'CSV file', isDemo: false, skipped: [] };
+        return series;
+    }
+}
+
+Backtester.DEFAULT_OPTIONS = {
+    initialCapital: 10000,
+    rule: 'recommendation',
+    warmup: 50,
+    window: 260, // bars of history each decision sees; null for everything so far
+    positionSize: 1,
+    wholeShares: true,
+    commission: { perTrade: 1, percent: 0.001 },
+    slippageBps: 5,
+    riskFreeRate: 0
+};
+
+Backtester.PERIODS_PER_YEAR = { daily: 252, weekly: 52, monthly: 12 };
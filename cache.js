@@ -0,0 +1,258 @@
+// Market Data Cache - persistent series cache and per-provider call budgets
+
+class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    set(key, value) {
+        this.entries.set(key, value);
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+}
+
+class LocalStorageCacheStore {
+    constructor(prefix = 'researchCache:') {
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        const saved = localStorage.getItem(this.prefix + key);
+        if (!saved) return null;
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.warn('Dropping unreadable cache entry:', key);
+            this.delete(key);
+            return null;
+        }
+    }
+
+    set(key, value) {
+        const serialized = JSON.stringify(value);
+        try {
+            localStorage.setItem(this.prefix + key, serialized);
+        } catch (error) {
+            // Storage full: drop the oldest series and try once more
+            this.evictOldest();
+            try {
+                localStorage.setItem(this.prefix + key, serialized);
+            } catch (retryError) {
+                console.warn('Cache write failed:', retryError);
+            }
+        }
+    }
+
+    delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    evictOldest() {
+        const series = this.keys()
+            .filter(key => key.startsWith('series:'))
+            .map(key => ({ key, entry: this.get(key) }))
+            .filter(item => item.entry)
+            .sort((a, b) => a.entry.fetchedAt - b.entry.fetchedAt);
+
+        series.slice(0, Math.max(1, Math.ceil(series.length / 4))).forEach(item => this.delete(item.key));
+    }
+}
+
+class CallBudget {
+    constructor(store, limits = {}) {
+        this.store = store;
+        this.limits = { ...CallBudget.DEFAULT_LIMITS, ...limits };
+    }
+
+    // Budgets reset at UTC midnight
+    key(providerId, now = new Date()) {
+        return `budget:${providerId}:${now.toISOString().split('T')[0]}`;
+    }
+
+    used(providerId) {
+        const entry = this.store.get(this.key(providerId));
+        return entry ? entry.used : 0;
+    }
+
+    // An exhausted provider is skipped for the day even when it has no limit, so a 429 from Yahoo or Polygon sticks
+    remaining(providerId) {
+        const entry = this.store.get(this.key(providerId));
+        if (entry && (entry.exhausted || entry.pausedUntil > Date.now())) return 0;
+        const limit = this.limits[providerId];
+        if (limit === undefined || limit === null) return Infinity;
+        return Math.max(0, limit - this.used(providerId));
+    }
+
+    canCall(providerId) {
+        return this.remaining(providerId) > 0;
+    }
+
+    record(providerId) {
+        if (this.limits[providerId] === undefined || this.limits[providerId] === null) return;
+        const key = this.key(providerId);
+        const entry = this.store.get(key) || { used: 0, exhausted: false };
+        entry.used += 1;
+        this.store.set(key, entry);
+    }
+
+    // A daily quota answer skips the provider for the rest of the day; a per-minute throttle or a bare 429 only pauses it
+    throttle(providerId, error) {
+        if (error.daily) this.exhaust(providerId);
+        else this.pause(providerId, error.retryAfterMs || CallBudget.BACKOFF_MS);
+    }
+
+    exhaust(providerId) {
+        const key = this.key(providerId);
+        const entry = this.store.get(key) || { used: 0 };
+        entry.exhausted = true;
+        this.store.set(key, entry);
+    }
+
+    pause(providerId, ms, now = Date.now()) {
+        const key = this.key(providerId);
+        const entry = this.store.get(key) || { used: 0 };
+        entry.pausedUntil = now + ms;
+        this.store.set(key, entry);
+    }
+
+    describe(providerId) {
+        const entry = this.store.get(this.key(providerId));
+        if (entry && !entry.exhausted && entry.pausedUntil > Date.now()) {
+            return `throttled; retrying after ${new Date(entry.pausedUntil).toISOString().slice(11, 19)} UTC`;
+        }
+        const limit = this.limits[providerId];
+        if (limit === undefined || limit === null) return 'rate limited for the rest of the day';
+        return `daily call budget exhausted (${this.used(providerId)}/${limit})`;
+    }
+}
+
+// How long a throttled provider is skipped when it does not say; per-minute limits reset within this
+CallBudget.BACKOFF_MS = 60 * 1000;
+
+// Free-tier daily limits; providers not listed are unmetered
+CallBudget.DEFAULT_LIMITS = {
+    alphaVantage: 25,
+    fmp: 250
+};
+
+class MarketDataCache {
+    constructor(store = new MemoryCacheStore(), options = {}) {
+        this.store = store;
+        this.ttls = { ...MarketDataCache.DEFAULT_TTLS, ...(options.ttls || {}) };
+        this.marketCloseHourUTC = options.marketCloseHourUTC ?? 22;
+    }
+
+    key(symbol, interval) {
+        return `series:${symbol}:${interval}`;
+    }
+
+    ttlFor(providerId) {
+        return { ...this.ttls.default, ...(this.ttls[providerId] || {}) };
+    }
+
+    // Returns { series, fresh, covers } or null; covers says whether the cached history spans the range
+    lookup(symbol, interval, range, now = Date.now()) {
+        const entry = this.store.get(this.key(symbol, interval));
+        if (!entry) return null;
+
+        const cachedMonths = DataAgent.RANGES[entry.range];
+        const wantedMonths = DataAgent.RANGES[range];
+        const covers = cachedMonths === null || (wantedMonths !== null && cachedMonths >= wantedMonths);
+
+        return {
+            series: entry.series,
+            range: entry.range,
+            fresh: now < entry.expiresAt,
+            covers: covers,
+            expiresAt: entry.expiresAt
+        };
+    }
+
+    // Demo series are never cached; they would later be served as if they were real
+    save(symbol, interval, range, series, now = Date.now()) {
+        if (series.isDemo) return;
+
+        const entry = {
+            range: range,
+            series: series,
+            fetchedAt: now,
+            expiresAt: this.expiryFor(series, now)
+        };
+        this.store.set(this.key(symbol, interval), entry);
+    }
+
+    // Intraday bars go stale quickly; end-of-day bars stay valid until the next session has closed
+    expiryFor(series, now = Date.now()) {
+        const ttl = this.ttlFor(series.provenance ? series.provenance.provider : 'default');
+        const lastDate = series.dates[series.dates.length - 1];
+        const today = new Date(now).toISOString().split('T')[0];
+
+        if (lastDate >= today) {
+            return now + ttl.intradayMs;
+        }
+
+        const nextClose = this.nextSessionClose(lastDate);
+        // A provider lagging behind the calendar gets rechecked after the end-of-day TTL
+        return nextClose > now ? nextClose : now + ttl.endOfDayMs;
+    }
+
+    nextSessionClose(date) {
+        const next = new Date(`${date}T00:00:00Z`);
+        do {
+            next.setUTCDate(next.getUTCDate() + 1);
+        } while (next.getUTCDay() === 0 || next.getUTCDay() === 6);
+        next.setUTCHours(this.marketCloseHourUTC);
+        return next.getTime();
+    }
+
+    // Appends bars newer than the cached ones; a bar for the same date replaces the cached one
+    merge(cached, update) {
+        const lastCached = cached.dates[cached.dates.length - 1];
+        const start = update.dates.findIndex(date => date >= lastCached);
+        if (start === -1) return { ...cached, provenance: update.provenance };
+
+        const keep = update.dates[start] === lastCached ? cached.dates.length - 1 : cached.dates.length;
+        const fields = ['dates', 'opens', 'prices', 'highs', 'lows', 'volumes'];
+        const merged = { ...cached, provenance: update.provenance, lastUpdate: update.lastUpdate };
+
+        fields.forEach(field => {
+            merged[field] = cached[field].slice(0, keep).concat(update[field].slice(start));
+        });
+        merged.currentPrice = merged.prices[merged.prices.length - 1];
+        return merged;
+    }
+
+    clear() {
+        this.store.keys()
+            .filter(key => key.startsWith('series:'))
+            .forEach(key => this.store.delete(key));
+    }
+}
+
+MarketDataCache.DEFAULT_TTLS = {
+    default: { intradayMs: 15 * 60 * 1000, endOfDayMs: 6 * 60 * 60 * 1000 },
+    // Alpha Vantage's 25 calls/day do not stretch to 15-minute intraday refreshes
+    alphaVantage: { intradayMs: 60 * 60 * 1000 }
+};
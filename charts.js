@@ -0,0 +1,526 @@
+// Price Chart - canvas candlesticks with volume, indicator overlays and RSI/MACD panes
+// Fed by a DataAgent series and the AnalysisAgent's indicatorSeries, so it needs no chart library.
+// Scroll to zoom, drag to pan, double-click to return to the range preset.
+
+class PriceChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = {
+            ...PriceChart.DEFAULT_OPTIONS,
+            ...options,
+            overlays: { ...PriceChart.DEFAULT_OPTIONS.overlays, ...options.overlays },
+            panes: { ...PriceChart.DEFAULT_OPTIONS.panes, ...options.panes }
+        };
+        this.data = null;
+        this.view = { start: 0, end: 0 };
+        this.hover = null;
+        this.drag = null;
+        this.listeners = [];
+        this.bindEvents();
+    }
+
+    // extras: { levels: [{ price, label, kind, low?, high? }], patterns, markers: [{ date, side, label }], currency }
+    setData(stockData, analysis, extras = {}) {
+        this.data = {
+            symbol: stockData.symbol,
+            dates: stockData.dates,
+            opens: stockData.opens || stockData.prices,
+            highs: stockData.highs || stockData.prices,
+            lows: stockData.lows || stockData.prices,
+            closes: stockData.prices,
+            volumes: stockData.volumes || stockData.prices.map(() => 0),
+            series: analysis.indicatorSeries,
+            levels: extras.levels || PriceChart.levelsFrom(analysis),
+            patterns: extras.patterns || analysis.patterns || [],
+            markers: extras.markers || [],
+            currency: extras.currency || null
+        };
+        this.setRange(this.options.range);
+    }
+
+    // Presets are DataAgent range names; the view starts that many months before the last bar
+    setRange(preset) {
+        this.options.range = preset;
+        if (!this.data) return;
+        const length = this.data.dates.length;
+        const months = DataAgent.RANGES[preset];
+        let start = 0;
+        if (months) {
+            const from = new Date(this.data.dates[length - 1]);
+            from.setMonth(from.getMonth() - months);
+            const cutoff = from.toISOString().split('T')[0];
+            start = Math.max(0, this.data.dates.findIndex(date => date >= cutoff));
+        }
+        this.view = { start: Math.min(start, Math.max(0, length - this.options.minBars)), end: length };
+        this.render();
+    }
+
+    setOverlay(name, enabled) {
+        if (name in this.options.panes) this.options.panes[name] = enabled;
+        else this.options.overlays[name] = enabled;
+        this.render();
+    }
+
+    // factor > 1 zooms out; anchor is the fraction of the plot width that stays put
+    zoom(factor, anchor = 0.5) {
+        if (!this.data) return;
+        const length = this.data.dates.length;
+        const visible = this.view.end - this.view.start;
+        const next = Math.max(Math.min(this.options.minBars, length), Math.min(length, Math.round(visible * factor)));
+        const pivot = this.view.start + visible * anchor;
+        const start = Math.round(pivot - next * anchor);
+        this.setView(start, start + next);
+    }
+
+    pan(bars) {
+        this.setView(this.view.start + bars, this.view.end + bars);
+    }
+
+    setView(start, end) {
+        const length = this.data.dates.length;
+        const visible = end - start;
+        const clampedStart = Math.max(0, Math.min(start, length - visible));
+        this.view = { start: clampedStart, end: clampedStart + visible };
+        this.render();
+    }
+
+    // Pane rectangles in CSS pixels; the price pane takes what the enabled sub-panes leave
+    layout() {
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        const { axisWidth, axisHeight, gap } = PriceChart.LAYOUT;
+        const subPanes = ['volume', 'rsi', 'macd'].filter(name => this.options.panes[name]);
+        const plotHeight = height - axisHeight - gap * subPanes.length;
+        const shares = { volume: 0.14, rsi: 0.16, macd: 0.16 };
+        const priceHeight = plotHeight * (1 - subPanes.reduce((sum, name) => sum + shares[name], 0));
+
+        const panes = { price: { x: 0, y: 0, width: width - axisWidth, height: priceHeight } };
+        let y = priceHeight;
+        subPanes.forEach(name => {
+            y += gap;
+            panes[name] = { x: 0, y, width: width - axisWidth, height: plotHeight * shares[name] };
+            y += panes[name].height;
+        });
+        return { width, height, panes, barWidth: (width - axisWidth) / Math.max(1, this.view.end - this.view.start) };
+    }
+
+    render() {
+        if (!this.data) return;
+        const layout = this.layout();
+        const ratio = globalThis.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(layout.width * ratio)) {
+            this.canvas.width = Math.round(layout.width * ratio);
+            this.canvas.height = Math.round(layout.height * ratio);
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, layout.width, layout.height);
+        ctx.font = PriceChart.LAYOUT.font;
+
+        this.drawPricePane(layout);
+        if (layout.panes.volume) this.drawVolumePane(layout);
+        if (layout.panes.rsi) this.drawRsiPane(layout);
+        if (layout.panes.macd) this.drawMacdPane(layout);
+        this.drawDateAxis(layout);
+        if (this.hover !== null) this.drawCrosshair(layout);
+    }
+
+    drawPricePane(layout) {
+        const pane = layout.panes.price;
+        const { start, end } = this.view;
+        const { dates, opens, highs, lows, closes, series } = this.data;
+        const overlays = this.options.overlays;
+        const colors = PriceChart.COLORS;
+
+        // The scale covers the candles and whatever overlays are switched on
+        const values = [...highs.slice(start, end), ...lows.slice(start, end)];
+        Object.entries(PriceChart.OVERLAYS).forEach(([name, overlay]) => {
+            if (overlays[name]) values.push(...overlay.series(series).slice(start, end));
+        });
+        if (overlays.bollinger) values.push(...series.bollinger.upper.slice(start, end), ...series.bollinger.lower.slice(start, end));
+        const scale = this.scale(values, pane, 0.05);
+        this.drawGrid(pane, scale, value => value.toFixed(2));
+
+        if (overlays.bollinger) {
+            this.drawBand(series.bollinger.upper, series.bollinger.lower, pane, scale, layout, colors.band);
+        }
+
+        const ctx = this.ctx;
+        for (let i = start; i < end; i++) {
+            const x = this.xOf(i, layout);
+            const up = closes[i] >= opens[i];
+            ctx.strokeStyle = ctx.fillStyle = up ? colors.up : colors.down;
+            ctx.beginPath();
+            ctx.moveTo(x, scale.y(highs[i]));
+            ctx.lineTo(x, scale.y(lows[i]));
+            ctx.stroke();
+            const bodyWidth = Math.max(1, layout.barWidth * 0.7);
+            const top = scale.y(Math.max(opens[i], closes[i]));
+            ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, scale.y(Math.min(opens[i], closes[i])) - top));
+        }
+
+        const legend = [];
+        Object.entries(PriceChart.OVERLAYS).forEach(([name, overlay]) => {
+            if (!overlays[name]) return;
+            this.drawLine(overlay.series(series), scale, layout, overlay.color);
+            legend.push([overlay.label(this.periods()), overlay.color]);
+        });
+        if (overlays.bollinger) legend.push(['Bollinger', colors.bandLine]);
+
+        this.data.levels.forEach(level => {
+            const fibonacci = level.kind === 'fibonacci';
+            if (!(fibonacci ? overlays.fibonacci : overlays.levels)) return;
+            if (level.price < scale.min || level.price > scale.max) return;
+            const color = fibonacci ? colors.fibonacci : level.kind === 'resistance' ? colors.down : colors.up;
+            // Zones are shaded across the prices their pivots span
+            if (level.low !== undefined && level.high > level.low) {
+                ctx.fillStyle = level.kind === 'resistance' ? colors.downZone : colors.upZone;
+                ctx.fillRect(pane.x, scale.y(level.high), pane.width, Math.max(1, scale.y(level.low) - scale.y(level.high)));
+            }
+            this.drawHorizontal(scale.y(level.price), pane, color, fibonacci ? [2, 4] : [6, 4]);
+            ctx.fillStyle = color;
+            ctx.fillText(level.label, fibonacci ? pane.x + pane.width - ctx.measureText(level.label).width - 4 : pane.x + 4, scale.y(level.price) - 3);
+        });
+        if (overlays.patterns) this.drawPatterns(scale, layout);
+        if (overlays.markers) this.drawMarkers(scale, layout);
+
+        ctx.fillStyle = colors.text;
+        ctx.fillText(`${this.data.symbol || ''} ${dates[end - 1] || ''}`, pane.x + 4, pane.y + 12);
+        let x = pane.x + 4;
+        legend.forEach(([label, color]) => {
+            ctx.fillStyle = color;
+            ctx.fillText(label, x, pane.y + 26);
+            x += ctx.measureText(label).width + 12;
+        });
+    }
+
+    drawVolumePane(layout) {
+        const pane = layout.panes.volume;
+        const { start, end } = this.view;
+        const { opens, closes, volumes } = this.data;
+        const scale = this.scale([0, ...volumes.slice(start, end)], pane, 0);
+        this.drawGrid(pane, scale, PriceChart.formatVolume, 2);
+        for (let i = start; i < end; i++) {
+            this.ctx.fillStyle = closes[i] >= opens[i] ? PriceChart.COLORS.upFaint : PriceChart.COLORS.downFaint;
+            const top = scale.y(volumes[i]);
+            const width = Math.max(1, layout.barWidth * 0.7);
+            this.ctx.fillRect(this.xOf(i, layout) - width / 2, top, width, pane.y + pane.height - top);
+        }
+        this.drawPaneLabel(pane, 'Volume');
+    }
+
+    drawRsiPane(layout) {
+        const pane = layout.panes.rsi;
+        const scale = this.scale([0, 100], pane, 0);
+        this.drawGrid(pane, scale, value => value.toFixed(0), 2);
+        this.drawHorizontal(scale.y(70), pane, PriceChart.COLORS.down, [3, 3]);
+        this.drawHorizontal(scale.y(30), pane, PriceChart.COLORS.up, [3, 3]);
+        this.drawLine(this.data.series.rsi, scale, layout, PriceChart.COLORS.rsi);
+        this.drawPaneLabel(pane, `RSI ${this.periods().rsi}`);
+    }
+
+    drawMacdPane(layout) {
+        const pane = layout.panes.macd;
+        const { start, end } = this.view;
+        const { line, signal, histogram } = this.data.series.macd;
+        const scale = this.scale([...line.slice(start, end), ...signal.slice(start, end), ...histogram.slice(start, end), 0], pane, 0.1);
+        this.drawGrid(pane, scale, value => value.toFixed(2), 2);
+        for (let i = start; i < end; i++) {
+            if (histogram[i] === null) continue;
+            this.ctx.fillStyle = histogram[i] >= 0 ? PriceChart.COLORS.upFaint : PriceChart.COLORS.downFaint;
+            const zero = scale.y(0);
+            const y = scale.y(histogram[i]);
+            const width = Math.max(1, layout.barWidth * 0.7);
+            this.ctx.fillRect(this.xOf(i, layout) - width / 2, Math.min(y, zero), width, Math.abs(zero - y));
+        }
+        this.drawLine(line, scale, layout, PriceChart.COLORS.macd);
+        this.drawLine(signal, scale, layout, PriceChart.COLORS.signal);
+        const periods = this.periods();
+        this.drawPaneLabel(pane, `MACD ${periods.macdFast}/${periods.macdSlow}/${periods.macdSignal}`);
+    }
+
+    // Whatever IndicatorEngine periods computed the series, so labels match the lines
+    periods() {
+        return (this.data && this.data.series.periods) || IndicatorEngine.DEFAULT_PERIODS;
+    }
+
+    // A dashed box over each pattern's bars, labelled above
+    drawPatterns(scale, layout) {
+        const { highs, lows } = this.data;
+        const ctx = this.ctx;
+        this.data.patterns.forEach(pattern => {
+            const first = Math.max(pattern.startIndex, this.view.start);
+            const last = Math.min(pattern.endIndex, this.view.end - 1);
+            if (first > last) return;
+            const top = scale.y(Math.max(...highs.slice(first, last + 1)));
+            const bottom = scale.y(Math.min(...lows.slice(first, last + 1)));
+            const left = this.xOf(first, layout) - layout.barWidth / 2;
+            const right = this.xOf(last, layout) + layout.barWidth / 2;
+            const color = pattern.direction === 'bullish' ? PriceChart.COLORS.up : pattern.direction === 'bearish' ? PriceChart.COLORS.down : PriceChart.COLORS.text;
+            ctx.strokeStyle = ctx.fillStyle = color;
+            ctx.setLineDash([3, 3]);
+            ctx.strokeRect(left, top - 4, right - left, bottom - top + 8);
+            ctx.setLineDash([]);
+            ctx.fillText(`${pattern.label} ${Math.round(pattern.confidence * 100)}%`, left + 2, top - 7);
+        });
+    }
+
+    // Buys below the bar's low, sells above its high; markers dated on a non-trading day go to the next bar
+    drawMarkers(scale, layout) {
+        const { highs, lows } = this.data;
+        const ctx = this.ctx;
+        this.data.markers.forEach(marker => {
+            const index = this.markerIndex(marker);
+            if (index < this.view.start || index >= this.view.end) return;
+            const x = this.xOf(index, layout);
+            const buy = marker.side !== 'sell';
+            const y = buy ? scale.y(lows[index]) + 6 : scale.y(highs[index]) - 6;
+            const size = 6;
+            ctx.fillStyle = buy ? PriceChart.COLORS.buy : PriceChart.COLORS.sell;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x - size, y + (buy ? size * 1.5 : -size * 1.5));
+            ctx.lineTo(x + size, y + (buy ? size * 1.5 : -size * 1.5));
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    // -1 for trades before the first or after the last loaded bar, so they are not piled onto the edges
+    markerIndex(marker) {
+        const { dates } = this.data;
+        if (dates.length === 0 || marker.date < dates[0] || marker.date > dates[dates.length - 1]) return -1;
+        return dates.findIndex(date => date >= marker.date);
+    }
+
+    drawDateAxis(layout) {
+        const { start, end } = this.view;
+        const y = layout.height - PriceChart.LAYOUT.axisHeight + 14;
+        const step = Math.max(1, Math.ceil((end - start) / Math.max(1, Math.floor(layout.panes.price.width / 90))));
+        this.ctx.fillStyle = PriceChart.COLORS.text;
+        for (let i = start; i < end; i += step) {
+            this.ctx.fillText(this.data.dates[i], this.xOf(i, layout) - 28, y);
+        }
+    }
+
+    drawCrosshair(layout) {
+        const i = this.hover;
+        const { dates, opens, highs, lows, closes, volumes, series } = this.data;
+        const x = this.xOf(i, layout);
+        const ctx = this.ctx;
+        ctx.strokeStyle = PriceChart.COLORS.crosshair;
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, layout.height - PriceChart.LAYOUT.axisHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const number = value => value === null || value === undefined ? '—' : value.toFixed(2);
+        const lines = [
+            dates[i],
+            `O ${number(opens[i])}  H ${number(highs[i])}  L ${number(lows[i])}  C ${number(closes[i])}`,
+            `Vol ${PriceChart.formatVolume(volumes[i])}  RSI ${number(series.rsi[i])}  MACD ${number(series.macd.line[i])}`,
+            ...this.data.markers.filter(marker => this.markerIndex(marker) === i).map(marker => marker.label)
+        ];
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxX = x + width + 12 > layout.panes.price.width ? x - width - 8 : x + 8;
+        ctx.fillStyle = PriceChart.COLORS.tooltip;
+        ctx.fillRect(boxX, 36, width, lines.length * 14 + 8);
+        ctx.fillStyle = PriceChart.COLORS.tooltipText;
+        lines.forEach((line, n) => ctx.fillText(line, boxX + 6, 50 + n * 14));
+    }
+
+    // Linear value-to-y mapping over the non-null values, padded by a fraction of the span
+    scale(values, pane, padding) {
+        const finite = values.filter(value => value !== null && Number.isFinite(value));
+        let min = Math.min(...finite);
+        let max = Math.max(...finite);
+        if (finite.length === 0) { min = 0; max = 1; }
+        if (min === max) { min -= 1; max += 1; }
+        const pad = (max - min) * padding;
+        min -= pad;
+        max += pad;
+        return { min, max, y: value => pane.y + pane.height - (value - min) / (max - min) * pane.height };
+    }
+
+    drawGrid(pane, scale, format, lines = 4) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = PriceChart.COLORS.grid;
+        ctx.fillStyle = PriceChart.COLORS.text;
+        for (let n = 0; n <= lines; n++) {
+            const value = scale.min + (scale.max - scale.min) * n / lines;
+            const y = scale.y(value);
+            ctx.beginPath();
+            ctx.moveTo(pane.x, y);
+            ctx.lineTo(pane.x + pane.width, y);
+            ctx.stroke();
+            ctx.fillText(format(value), pane.x + pane.width + 4, y + 4);
+        }
+    }
+
+    drawLine(values, scale, layout, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = this.view.start; i < this.view.end; i++) {
+            if (values[i] === null || values[i] === undefined) { drawing = false; continue; }
+            const x = this.xOf(i, layout);
+            if (drawing) ctx.lineTo(x, scale.y(values[i])); else ctx.moveTo(x, scale.y(values[i]));
+            drawing = true;
+        }
+        ctx.stroke();
+    }
+
+    drawBand(upper, lower, pane, scale, layout, color) {
+        const ctx = this.ctx;
+        const indices = [];
+        for (let i = this.view.start; i < this.view.end; i++) {
+            if (upper[i] !== null && lower[i] !== null) indices.push(i);
+        }
+        if (indices.length === 0) return;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        indices.forEach((i, n) => (n === 0 ? ctx.moveTo : ctx.lineTo).call(ctx, this.xOf(i, layout), scale.y(upper[i])));
+        [...indices].reverse().forEach(i => ctx.lineTo(this.xOf(i, layout), scale.y(lower[i])));
+        ctx.closePath();
+        ctx.fill();
+        this.drawLine(upper, scale, layout, PriceChart.COLORS.bandLine);
+        this.drawLine(lower, scale, layout, PriceChart.COLORS.bandLine);
+    }
+
+    drawHorizontal(y, pane, color, dash = []) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(pane.x, y);
+        ctx.lineTo(pane.x + pane.width, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    drawPaneLabel(pane, label) {
+        this.ctx.fillStyle = PriceChart.COLORS.text;
+        this.ctx.fillText(label, pane.x + 4, pane.y + 12);
+    }
+
+    xOf(index, layout) {
+        return (index - this.view.start + 0.5) * layout.barWidth;
+    }
+
+    indexAt(offsetX) {
+        const layout = this.layout();
+        const index = this.view.start + Math.floor(offsetX / layout.barWidth);
+        return index >= this.view.start && index < this.view.end ? index : null;
+    }
+
+    bindEvents() {
+        const on = (type, handler, options) => {
+            this.canvas.addEventListener(type, handler, options);
+            this.listeners.push([type, handler]);
+        };
+        on('wheel', (e) => {
+            e.preventDefault();
+            const width = this.layout().panes.price.width;
+            this.zoom(e.deltaY > 0 ? PriceChart.ZOOM_STEP : 1 / PriceChart.ZOOM_STEP, Math.min(1, Math.max(0, e.offsetX / width)));
+        }, { passive: false });
+        on('pointerdown', (e) => {
+            this.drag = { x: e.offsetX, start: this.view.start, end: this.view.end };
+        });
+        on('pointermove', (e) => {
+            if (!this.data) return;
+            if (this.drag) {
+                const bars = Math.round((this.drag.x - e.offsetX) / this.layout().barWidth);
+                this.setView(this.drag.start + bars, this.drag.end + bars);
+                return;
+            }
+            this.hover = this.indexAt(e.offsetX);
+            this.render();
+        });
+        on('pointerup', () => { this.drag = null; });
+        on('pointerleave', () => {
+            this.drag = null;
+            this.hover = null;
+            this.render();
+        });
+        on('dblclick', () => this.setRange(this.options.range));
+    }
+
+    destroy() {
+        this.listeners.forEach(([type, handler]) => this.canvas.removeEventListener(type, handler));
+        this.listeners = [];
+    }
+
+    // Horizontal levels drawn across the price pane: every support/resistance zone, or the two plain levels
+    // when there are none, plus the Fibonacci retracements
+    static levelsFrom(analysis) {
+        const support = analysis.support || {};
+        const zones = support.zones && support.zones.length > 0
+            ? support.zones.map(zone => ({
+                price: zone.price,
+                low: zone.low,
+                high: zone.high,
+                label: `${zone.kind === 'resistance' ? 'Resistance' : 'Support'} ${zone.price} ×${zone.touches}`,
+                kind: zone.kind
+            }))
+            : [
+                ...(support.support !== undefined ? [{ price: support.support, label: `Support ${support.support}`, kind: 'support' }] : []),
+                ...(support.resistance !== undefined ? [{ price: support.resistance, label: `Resistance ${support.resistance}`, kind: 'resistance' }] : [])
+            ];
+        const fibonacci = analysis.fibonacci
+            ? analysis.fibonacci.levels.map(level => ({ price: level.price, label: `Fib ${parseFloat((level.ratio * 100).toFixed(1))}%`, kind: 'fibonacci' }))
+            : [];
+        return [...zones, ...fibonacci];
+    }
+
+    static formatVolume(value) {
+        if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+        if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+        if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+        return value.toFixed(0);
+    }
+}
+
+// Keys name the default periods; labels follow the periods the series were computed with
+PriceChart.OVERLAYS = {
+    sma20: { label: periods => `SMA ${periods.smaFast}`, color: '#2563eb', series: series => series.smaFast },
+    sma50: { label: periods => `SMA ${periods.smaSlow}`, color: '#f59e0b', series: series => series.smaSlow },
+    sma200: { label: periods => `SMA ${periods.smaLong}`, color: '#7c3aed', series: series => series.smaLong },
+    ema12: { label: periods => `EMA ${periods.macdFast}`, color: '#0891b2', series: series => series.emaFast },
+    ema26: { label: periods => `EMA ${periods.macdSlow}`, color: '#db2777', series: series => series.emaSlow }
+};
+
+PriceChart.DEFAULT_OPTIONS = {
+    range: '6M',
+    minBars: 10,
+    overlays: { sma20: true, sma50: true, sma200: false, ema12: false, ema26: false, bollinger: false, levels: true, fibonacci: false, patterns: true, markers: true },
+    panes: { volume: true, rsi: true, macd: true }
+};
+
+PriceChart.COLORS = {
+    up: '#16a34a',
+    down: '#dc2626',
+    upFaint: 'rgba(22, 163, 74, 0.35)',
+    downFaint: 'rgba(220, 38, 38, 0.35)',
+    upZone: 'rgba(22, 163, 74, 0.08)',
+    downZone: 'rgba(220, 38, 38, 0.08)',
+    fibonacci: '#a16207',
+    buy: '#2563eb',
+    sell: '#ea580c',
+    band: 'rgba(100, 116, 139, 0.12)',
+    bandLine: '#94a3b8',
+    rsi: '#7c3aed',
+    macd: '#2563eb',
+    signal: '#f59e0b',
+    grid: '#eef2f7',
+    text: '#64748b',
+    crosshair: '#94a3b8',
+    tooltip: 'rgba(15, 23, 42, 0.85)',
+    tooltipText: '#f8fafc'
+};
+
+PriceChart.LAYOUT = { axisWidth: 60, axisHeight: 20, gap: 8, font: '11px system-ui, sans-serif' };
+PriceChart.ZOOM_STEP = 1.2;
@@ -0,0 +1,248 @@
+// Fundamentals - financial statement sources and the valuation, growth, profitability and leverage ratios built from them
+// Statements are source-neutral: { symbol, currency, price, asOf, annual: [{ date, revenue, grossProfit, operatingIncome,
+// netIncome, ebitda, eps, shares, totalEquity, totalDebt, cash, totalAssets, dividendsPerShare }] } with the newest year first.
+// price is optional; the agent values the researched symbol at its last close and peers at the price their source reports.
+
+class FundamentalsSource {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        // Local sources answer without the network, so offline runs can still use them
+        this.local = false;
+        // Metered sources name the CallBudget they draw on and what one symbol costs from it
+        this.budgetId = null;
+        this.callsPerSymbol = 0;
+    }
+
+    // Resolves to statements, or null when the source has nothing for the symbol
+    // options.signal aborts the request when the research run is cancelled
+    async fetchStatements(symbol, options = {}) {
+        throw new Error(`${this.name} does not implement fetchStatements`);
+    }
+
+    resolveUrl(template, symbol) {
+        return template.replace('{symbol}', encodeURIComponent(symbol));
+    }
+
+    async fetchJSON(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (response.status === 429) {
+            throw ProviderRateLimitError.fromResponse(response);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Numbers or null for every field, years without a date dropped, newest year first
+    static normalize(symbol, data) {
+        const number = value => {
+            const parsed = typeof value === 'string' ? Number(value) : value;
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+        const annual = (data.annual || [])
+            .filter(year => year && year.date)
+            .map(year => ({
+                date: String(year.date).slice(0, 10),
+                ...Object.fromEntries(FundamentalsSource.FIELDS.map(field => [field, number(year[field])]))
+            }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        if (annual.length === 0) return null;
+        return {
+            symbol: symbol,
+            currency: data.currency ? String(data.currency).toUpperCase() : null,
+            price: number(data.price),
+            asOf: annual[0].date,
+            annual: annual
+        };
+    }
+}
+
+FundamentalsSource.FIELDS = [
+    'revenue', 'grossProfit', 'operatingIncome', 'netIncome', 'ebitda', 'eps', 'shares',
+    'totalEquity', 'totalDebt', 'cash', 'totalAssets', 'dividendsPerShare'
+];
+
+// Annual statements and a quote from Financial Modeling Prep; four calls per symbol
+class FMPFundamentalsSource extends FundamentalsSource {
+    constructor(options = {}) {
+        super('fmp', { name: 'Financial Modeling Prep', ...options });
+        this.apiKey = options.apiKey || 'demo';
+        this.years = options.years || 5;
+        // Same daily quota as the FMP price provider
+        this.budgetId = 'fmp';
+        this.callsPerSymbol = 4;
+    }
+
+    async fetchStatements(symbol, options = {}) {
+        const base = 'https://financialmodelingprep.com/api/v3';
+        const ticker = encodeURIComponent(symbol);
+        const query = `limit=${this.years}&apikey=${this.apiKey}`;
+        const [income, balance, cashFlow, quote] = await Promise.all([
+            this.fetchJSON(`${base}/income-statement/${ticker}?${query}`, options),
+            this.fetchJSON(`${base}/balance-sheet-statement/${ticker}?${query}`, options),
+            this.fetchJSON(`${base}/cash-flow-statement/${ticker}?${query}`, options),
+            this.fetchJSON(`${base}/quote/${ticker}?apikey=${this.apiKey}`, options)
+        ]);
+
+        if (!Array.isArray(income) || income.length === 0) return null;
+        const byDate = rows => new Map((Array.isArray(rows) ? rows : []).map(row => [row.date, row]));
+        const balances = byDate(balance);
+        const cashFlows = byDate(cashFlow);
+
+        return FundamentalsSource.normalize(symbol, {
+            currency: income[0].reportedCurrency,
+            price: Array.isArray(quote) && quote[0] ? quote[0].price : null,
+            annual: income.map(row => {
+                const sheet = balances.get(row.date) || {};
+                const flows = cashFlows.get(row.date) || {};
+                const shares = row.weightedAverageShsOutDil || row.weightedAverageShsOut || null;
+                return {
+                    date: row.date,
+                    revenue: row.revenue,
+                    grossProfit: row.grossProfit,
+                    operatingIncome: row.operatingIncome,
+                    netIncome: row.netIncome,
+                    ebitda: row.ebitda,
+                    eps: row.epsdiluted ?? row.eps,
+                    shares: shares,
+                    totalEquity: sheet.totalStockholdersEquity,
+                    totalDebt: sheet.totalDebt,
+                    cash: sheet.cashAndCashEquivalents,
+                    totalAssets: sheet.totalAssets,
+                    // Dividends paid are reported as a negative cash flow
+                    dividendsPerShare: shares && Number.isFinite(flows.dividendsPaid) ? Math.abs(flows.dividendsPaid) / shares : null
+                };
+            })
+        });
+    }
+}
+
+// Local fixtures in the source-neutral shape: an object keyed by symbol, or a URL template to a JSON file per symbol
+class FixtureFundamentalsSource extends FundamentalsSource {
+    constructor(fixtures = {}, options = {}) {
+        super(options.id || 'fixture', { name: 'Local Fixture', ...options });
+        this.fixtures = typeof fixtures === 'string' ? null : fixtures;
+        this.urlTemplate = typeof fixtures === 'string' ? fixtures : null;
+        this.local = Boolean(this.fixtures);
+    }
+
+    async fetchStatements(symbol, options = {}) {
+        let data;
+        if (this.fixtures) {
+            data = this.fixtures[symbol];
+        } else {
+            const response = await fetch(this.resolveUrl(this.urlTemplate, symbol), { signal: options.signal });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        }
+        return data ? FundamentalsSource.normalize(symbol, data) : null;
+    }
+}
+
+// Ratios from one set of statements, and percentiles against a peer group.
+// Percentages are in percent (12.5 means 12.5%); a ratio that makes no sense, such as P/E on a loss, is null.
+class FundamentalsAnalyzer {
+    analyze(statements, price = statements.price) {
+        const latest = statements.annual[0];
+        const span = this.yearsBetween(statements.annual[statements.annual.length - 1].date, latest.date);
+        const marketCap = Number.isFinite(price) && latest.shares ? Math.round(price * latest.shares) : null;
+        const enterpriseValue = marketCap === null || latest.totalDebt === null ? null : marketCap + latest.totalDebt - (latest.cash || 0);
+
+        return {
+            asOf: statements.asOf,
+            currency: statements.currency,
+            valuation: {
+                price: Number.isFinite(price) ? price : null,
+                marketCap: marketCap,
+                pe: this.ratio(price, latest.eps),
+                pb: marketCap === null ? null : this.ratio(marketCap, latest.totalEquity),
+                evToEbitda: enterpriseValue === null ? null : this.ratio(enterpriseValue, latest.ebitda),
+                dividendYield: latest.dividendsPerShare === null || !(price > 0) ? null : this.round(latest.dividendsPerShare / price * 100)
+            },
+            growth: {
+                revenueCagr: this.cagr(statements.annual, 'revenue', span),
+                epsCagr: this.cagr(statements.annual, 'eps', span),
+                years: Math.round(span)
+            },
+            profitability: {
+                grossMargin: this.percent(latest.grossProfit, latest.revenue),
+                operatingMargin: this.percent(latest.operatingIncome, latest.revenue),
+                netMargin: this.percent(latest.netIncome, latest.revenue),
+                roe: latest.totalEquity > 0 ? this.percent(latest.netIncome, latest.totalEquity) : null,
+                roa: this.percent(latest.netIncome, latest.totalAssets)
+            },
+            leverage: {
+                debtToEquity: latest.totalDebt === null ? null : this.ratio(latest.totalDebt, latest.totalEquity),
+                netDebtToEbitda: latest.totalDebt === null || !(latest.ebitda > 0) ? null : this.round((latest.totalDebt - (latest.cash || 0)) / latest.ebitda)
+            }
+        };
+    }
+
+    // Only defined when the divisor is positive: a negative P/E or debt-to-equity ranks nowhere sensible
+    ratio(value, divisor) {
+        if (!Number.isFinite(value) || !(divisor > 0)) return null;
+        return this.round(value / divisor);
+    }
+
+    percent(value, divisor) {
+        if (!Number.isFinite(value) || !(divisor > 0)) return null;
+        return this.round(value / divisor * 100);
+    }
+
+    // Compound annual growth from the oldest to the newest year; null when either end is not positive
+    cagr(annual, field, years) {
+        const latest = annual[0];
+        const oldest = annual[annual.length - 1];
+        if (years < 0.9 || !(latest[field] > 0) || !(oldest[field] > 0)) return null;
+        return this.round((Math.pow(latest[field] / oldest[field], 1 / years) - 1) * 100);
+    }
+
+    yearsBetween(from, to) {
+        return (new Date(to) - new Date(from)) / (365.25 * 24 * 60 * 60 * 1000);
+    }
+
+    // 0-100 per metric, higher is always better for the company; ties count half. peerPercentile averages them.
+    compare(metrics, peers) {
+        const percentiles = {};
+        Object.entries(FundamentalsAnalyzer.PEER_METRICS).forEach(([metric, { group, better }]) => {
+            const value = metrics[group][metric];
+            const others = peers.map(peer => peer.metrics[group][metric]).filter(other => other !== null && other !== undefined);
+            if (value === null || value === undefined || others.length === 0) return;
+            const beaten = others.reduce((count, other) => {
+                if (other === value) return count + 0.5;
+                return count + ((better === 'higher' ? value > other : value < other) ? 1 : 0);
+            }, 0);
+            percentiles[metric] = Math.round(beaten / others.length * 100);
+        });
+
+        const values = Object.values(percentiles);
+        return {
+            percentiles: percentiles,
+            peerPercentile: values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+        };
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+// Metrics ranked against peers, and which direction counts as better
+FundamentalsAnalyzer.PEER_METRICS = {
+    pe: { group: 'valuation', better: 'lower', label: 'P/E' },
+    pb: { group: 'valuation', better: 'lower', label: 'P/B' },
+    evToEbitda: { group: 'valuation', better: 'lower', label: 'EV/EBITDA' },
+    dividendYield: { group: 'valuation', better: 'higher', label: 'Dividend yield' },
+    revenueCagr: { group: 'growth', better: 'higher', label: 'Revenue growth' },
+    epsCagr: { group: 'growth', better: 'higher', label: 'EPS growth' },
+    operatingMargin: { group: 'profitability', better: 'higher', label: 'Operating margin' },
+    netMargin: { group: 'profitability', better: 'higher', label: 'Net margin' },
+    roe: { group: 'profitability', better: 'higher', label: 'Return on equity' },
+    debtToEquity: { group: 'leverage', better: 'lower', label: 'Debt/equity' }
+};
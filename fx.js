@@ -0,0 +1,163 @@
+// FX Rates - pluggable exchange rate sources and a converter for multi-currency portfolios
+// Rate tables are keyed by date and quote units of each currency per 1 EUR, the ECB convention.
+
+class FxRateSource {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+    }
+
+    // Returns { 'YYYY-MM-DD': { USD: 1.08, GBP: 0.85, ... } } covering startDate..endDate
+    async fetchRates(startDate, endDate) {
+        throw new Error(`${this.name} does not implement fetchRates`);
+    }
+}
+
+// ECB reference rates through the free Frankfurter API; no key needed
+class FrankfurterFxSource extends FxRateSource {
+    constructor(options = {}) {
+        super('frankfurter', { name: 'ECB (Frankfurter)', ...options });
+        this.baseUrl = options.baseUrl || 'https://api.frankfurter.app';
+    }
+
+    async fetchRates(startDate, endDate) {
+        const path = startDate ? `${startDate}..${endDate || ''}` : 'latest';
+        const response = await fetch(`${this.baseUrl}/${path}?from=EUR`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        // A range answers with { rates: { date: {...} } }, 'latest' with { date, rates: {...} }
+        return data.start_date ? data.rates : { [data.date]: data.rates };
+    }
+}
+
+// Offline rates: the built-in table, or any { date: { CUR: rate } } object
+class FixtureFxSource extends FxRateSource {
+    constructor(rates = FixtureFxSource.DEFAULT_RATES, options = {}) {
+        super(options.id || 'fixture', { name: 'Offline FX table', ...options });
+        this.rates = rates;
+    }
+
+    async fetchRates() {
+        return this.rates;
+    }
+}
+
+// Approximate ECB rates at the start of each period; good enough for offline demos, not for tax reporting
+FixtureFxSource.DEFAULT_RATES = {
+    '2020-01-02': { USD: 1.1193, GBP: 0.8508, CHF: 1.0854, JPY: 121.75, SEK: 10.4955, DKK: 7.4725, NOK: 9.8408, CAD: 1.4549 },
+    '2021-01-04': { USD: 1.2296, GBP: 0.9011, CHF: 1.0811, JPY: 126.62, SEK: 10.0263, DKK: 7.4437, NOK: 10.4703, CAD: 1.5641 },
+    '2022-01-03': { USD: 1.1355, GBP: 0.8403, CHF: 1.0372, JPY: 130.93, SEK: 10.2660, DKK: 7.4373, NOK: 9.9725, CAD: 1.4393 },
+    '2023-01-02': { USD: 1.0666, GBP: 0.8856, CHF: 0.9851, JPY: 140.66, SEK: 11.1218, DKK: 7.4365, NOK: 10.5138, CAD: 1.4440 },
+    '2024-01-02': { USD: 1.0956, GBP: 0.8662, CHF: 0.9305, JPY: 155.73, SEK: 11.1350, DKK: 7.4546, NOK: 11.2330, CAD: 1.4565 },
+    '2025-01-02': { USD: 1.0350, GBP: 0.8290, CHF: 0.9384, JPY: 163.06, SEK: 11.4890, DKK: 7.4588, NOK: 11.7395, CAD: 1.4890 },
+    '2025-07-01': { USD: 1.1787, GBP: 0.8588, CHF: 0.9343, JPY: 169.50, SEK: 11.2000, DKK: 7.4610, NOK: 11.8900, CAD: 1.6060 }
+};
+
+class CurrencyConverter {
+    constructor(options = {}) {
+        const config = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {};
+        const fixture = new FixtureFxSource(config.fxRates || FixtureFxSource.DEFAULT_RATES);
+        this.source = options.source || (config.fxSource === 'fixture' ? fixture : new FrankfurterFxSource());
+        this.fallback = options.fallback || fixture;
+        this.tables = {};
+        this.dates = [];
+        this.loadedFrom = null;
+        this.loadedOn = null;
+        this.sourceName = null;
+    }
+
+    // Loads rates from startDate (or just the latest) into memory; the fallback fills in if the source fails.
+    // Source rates hold for the day they were loaded; fallback rates are retried on the next load.
+    async load(startDate = null) {
+        const today = new Date().toISOString().split('T')[0];
+        const fromSource = this.sourceName === this.source.name;
+        const covered = this.loadedFrom && (!startDate || this.loadedFrom <= startDate) && this.dates.length > 0;
+        if (covered && fromSource && this.loadedOn === today) return;
+
+        // Source history is final, so a new day only needs the latest table
+        const from = covered && fromSource ? null : [startDate, this.loadedFrom].filter(Boolean).sort()[0] || null;
+        let tables;
+        try {
+            const [history, latest] = await Promise.all([
+                from ? this.source.fetchRates(from, null) : Promise.resolve({}),
+                this.source.fetchRates(null, null)
+            ]);
+            tables = { ...history, ...latest };
+            // Drop offline rates an earlier load filled in
+            if (!fromSource) this.tables = {};
+            this.sourceName = this.source.name;
+        } catch (error) {
+            // Yesterday's source rates beat the offline table; the next load tries again
+            if (covered && fromSource) {
+                console.warn(`${this.source.name} unavailable, keeping the rates loaded on ${this.loadedOn}:`, error.message);
+                return;
+            }
+            console.warn(`${this.source.name} unavailable, using ${this.fallback.name}:`, error.message);
+            tables = await this.fallback.fetchRates(from, null);
+            this.sourceName = this.fallback.name;
+        }
+
+        this.setRates(tables);
+        this.loadedFrom = from || this.loadedFrom || today;
+        this.loadedOn = today;
+    }
+
+    setRates(tables) {
+        this.tables = { ...this.tables, ...tables };
+        this.dates = Object.keys(this.tables).sort();
+    }
+
+    // Units of `currency` per 1 EUR on the date, or the closest earlier date; the latest when date is null
+    eurRate(currency, date = null) {
+        if (currency === 'EUR') return 1;
+        const subUnit = CurrencyConverter.SUB_UNITS[currency];
+        if (subUnit) return this.eurRate(subUnit.currency, date) * subUnit.per;
+        if (this.dates.length === 0) this.setRates(this.fallback.rates || {});
+
+        // Last table dated on or before the date (binary search; tables can span years of days)
+        let index = this.dates.length - 1;
+        if (date) {
+            let low = 0;
+            let high = this.dates.length - 1;
+            index = 0;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (this.dates[mid] <= date) { index = mid; low = mid + 1; } else { high = mid - 1; }
+            }
+        }
+        // Walk back past dates that lack this currency, then forward if nothing earlier has it
+        for (let i = index; i >= 0; i--) {
+            const rate = this.tables[this.dates[i]][currency];
+            if (rate) return rate;
+        }
+        for (let i = index + 1; i < this.dates.length; i++) {
+            const rate = this.tables[this.dates[i]][currency];
+            if (rate) return rate;
+        }
+        throw new Error(`No exchange rate for ${currency}`);
+    }
+
+    // How many `to` one unit of `from` buys
+    rate(from, to, date = null) {
+        if (from === to) return 1;
+        return this.eurRate(to, date) / this.eurRate(from, date);
+    }
+
+    convert(amount, from, to, date = null) {
+        return amount * this.rate(from, to, date);
+    }
+
+    currencies() {
+        const codes = new Set(['EUR']);
+        Object.values(this.tables).forEach(table => Object.keys(table).forEach(code => codes.add(code)));
+        return [...codes].sort();
+    }
+}
+
+// Quote units that are a fraction of a currency the rate tables carry; London listings trade in pence
+// (Yahoo writes it GBp, brokers and the instrument master GBX)
+CurrencyConverter.SUB_UNITS = {
+    GBX: { currency: 'GBP', per: 100 }
+};
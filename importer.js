@@ -0,0 +1,475 @@
+// Portfolio Import - CSV codec, broker column mappings and validated, de-duplicated import previews
+
+class CsvCodec {
+    // RFC 4180: quoted fields may contain delimiters, doubled quotes and line breaks
+    static parse(text, delimiter = null) {
+        const clean = text.replace(/^﻿/, '');
+        const separator = delimiter || CsvCodec.detectDelimiter(clean.split(/\r?\n/)[0] || '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < clean.length; i++) {
+            const char = clean[i];
+            if (quoted) {
+                if (char === '"' && clean[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && clean[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    // European exports often use semicolons so that decimal commas need no quoting
+    static detectDelimiter(headerLine) {
+        const counts = [',', ';', '\t'].map(separator => ({ separator, count: headerLine.split(separator).length }));
+        return counts.sort((a, b) => b.count - a.count)[0].separator;
+    }
+
+    static stringify(rows, delimiter = ',') {
+        return rows.map(row => row.map(value => CsvCodec.quote(value, delimiter)).join(delimiter)).join('\r\n');
+    }
+
+    static quote(value, delimiter = ',') {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+class PortfolioImporter {
+    // options: resolveSymbol(text), isKnownSymbol(symbol), lookupIsin(isin, currency), currencyFor(symbol)
+    constructor(ledger, options = {}) {
+        this.ledger = ledger;
+        this.resolveSymbol = options.resolveSymbol || (text => text.trim().toUpperCase());
+        this.isKnownSymbol = options.isKnownSymbol || (symbol => /^[A-Z0-9][A-Z0-9.\-]{0,14}$/.test(symbol));
+        this.lookupIsin = options.lookupIsin || (() => null);
+        this.currencyFor = options.currencyFor || (() => ledger.baseCurrency);
+    }
+
+    // First mapping whose detect() accepts the header row; generic needs an explicit column map
+    detectMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const match = Object.values(PortfolioImporter.MAPPINGS).find(mapping => mapping.detect && mapping.detect(normalized));
+        return match || null;
+    }
+
+    // Parses without touching the ledger; every row reports its transactions, errors and duplicates
+    preview(text, options = {}) {
+        const rows = CsvCodec.parse(text, options.delimiter);
+        if (rows.length < 2) {
+            throw new Error('The file has no data rows');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const mapping = this.resolveMapping(options.mapping, headers);
+        const column = this.columnLocator(headers);
+        const missing = mapping.required.filter(field => column(mapping.columns[field]) === -1);
+        if (missing.length > 0) {
+            throw new Error(`${mapping.name} import needs column(s): ${missing.map(field => this.describeColumn(mapping.columns[field])).join(', ')}`);
+        }
+
+        const existing = new Set(this.ledger.transactions.map(transaction => this.fingerprint(transaction)));
+        const seen = new Map();
+        // Dry run on a copy so oversells and similar history errors show up per row
+        const trial = new TransactionLedger(this.ledger.transactions, { baseCurrency: this.ledger.baseCurrency, costMethod: this.ledger.costMethod });
+
+        const results = rows.slice(1).map((cells, index) => {
+            const line = index + 2;
+            const get = field => {
+                const position = column(mapping.columns[field]);
+                return position === -1 ? '' : (cells[position] || '').trim();
+            };
+            const number = (field, label, options = {}) => this.parseNumber(get(field), label, { decimal: mapping.decimal, thousands: mapping.thousands, ...options });
+            const result = { line, cells, transactions: [], errors: [], warnings: [], duplicate: false };
+
+            try {
+                result.transactions = mapping.toTransactions(get, this, mapping, number)
+                    .map(transaction => ({ ...transaction, id: `import-${Date.now()}-${line}-${Math.random().toString(36).slice(2, 6)}` }));
+            } catch (error) {
+                result.errors.push(error.message);
+                return result;
+            }
+
+            result.transactions.forEach(transaction => {
+                const key = this.fingerprint(transaction);
+                if (existing.has(key)) {
+                    result.duplicate = true;
+                } else if (seen.has(key)) {
+                    result.warnings.push(`Same as row ${seen.get(key)}; imported again because it appears twice in the file`);
+                }
+                seen.set(key, seen.get(key) || line);
+            });
+            if (result.duplicate) return result;
+
+            try {
+                result.transactions.forEach(transaction => trial.add(transaction));
+            } catch (error) {
+                result.errors.push(error.message);
+            }
+            return result;
+        });
+
+        return {
+            mapping: { id: mapping.id, name: mapping.name },
+            headers,
+            rows: results,
+            summary: {
+                total: results.length,
+                valid: results.filter(row => row.errors.length === 0 && !row.duplicate).length,
+                errors: results.filter(row => row.errors.length > 0).length,
+                duplicates: results.filter(row => row.duplicate).length
+            }
+        };
+    }
+
+    // Adds the rows that passed the preview; returns how many transactions were stored
+    commit(preview) {
+        let added = 0;
+        preview.rows
+            .filter(row => row.errors.length === 0 && !row.duplicate)
+            .forEach(row => row.transactions.forEach(transaction => {
+                this.ledger.add(transaction);
+                added++;
+            }));
+        return added;
+    }
+
+    resolveMapping(mapping, headers) {
+        if (!mapping || mapping === 'auto') {
+            const detected = this.detectMapping(headers);
+            if (!detected) {
+                throw new Error('Unrecognised column layout; choose a format or map the columns yourself');
+            }
+            return detected;
+        }
+        if (typeof mapping === 'string') {
+            if (!PortfolioImporter.MAPPINGS[mapping]) {
+                throw new Error(`Unknown import format: ${mapping}`);
+            }
+            return PortfolioImporter.MAPPINGS[mapping];
+        }
+        // A custom column map layered over the generic format
+        return { ...PortfolioImporter.MAPPINGS.generic, ...mapping, columns: { ...PortfolioImporter.MAPPINGS.generic.columns, ...mapping.columns } };
+    }
+
+    // Columns are a header name, a list of alternatives, or { after: 'Price' } for unnamed neighbours
+    columnLocator(headers) {
+        const lower = headers.map(header => header.toLowerCase());
+        const find = spec => {
+            if (!spec) return -1;
+            if (spec.after) {
+                const index = find(spec.after);
+                return index === -1 ? -1 : index + 1;
+            }
+            const names = Array.isArray(spec) ? spec : [spec];
+            for (const name of names) {
+                const index = lower.indexOf(name.toLowerCase());
+                if (index !== -1) return index;
+            }
+            return -1;
+        };
+        return find;
+    }
+
+    describeColumn(spec) {
+        if (spec.after) return `the column after ${this.describeColumn(spec.after)}`;
+        return Array.isArray(spec) ? spec[0] : spec;
+    }
+
+    // Symbol from the row, falling back to an ISIN lookup; rejects what the instrument check does not know
+    symbolFrom(text, isin = '', currency = null) {
+        const symbol = (isin && this.lookupIsin(isin, currency || null)) || (text ? this.resolveSymbol(text) : null);
+        if (!symbol || !this.isKnownSymbol(symbol)) {
+            throw new Error(`Unknown symbol: ${text || '(empty)'}${isin ? ` (${isin})` : ''}`);
+        }
+        return symbol;
+    }
+
+    // The mapping names the decimal separator; thousands: null means the file never groups digits.
+    // decimal: 'auto' infers it per number, see inferSeparators.
+    parseNumber(text, label, { allowNegative = false, optional = false, decimal = '.', thousands = decimal === ',' ? '.' : ',' } = {}) {
+        if (text === '' || text === undefined) {
+            if (optional) return null;
+            throw new Error(`Missing ${label}`);
+        }
+        const clean = text.replace(/[^\d,.\-]/g, '');
+        if (decimal === 'auto') ({ decimal, thousands } = this.inferSeparators(clean, text, label));
+
+        const [whole, fraction, ...rest] = clean.split(decimal);
+        const grouped = thousands && new RegExp(`^-?\\d{1,3}(\\${thousands}\\d{3})+$`).test(whole);
+        if (rest.length > 0 || /[,.]/.test(fraction || '') || (/[,.]/.test(whole) && !grouped)) {
+            throw new Error(`Bad ${label}: ${text} (expected "${decimal}" as the decimal separator)`);
+        }
+        const value = parseFloat((grouped ? whole.split(thousands).join('') : whole) + (fraction === undefined ? '' : `.${fraction}`));
+        if (!Number.isFinite(value)) {
+            throw new Error(`Bad ${label}: ${text}`);
+        }
+        if (value < 0 && !allowNegative) {
+            throw new Error(`Negative ${label}: ${text}`);
+        }
+        return value;
+    }
+
+    // With two kinds of separator the last one is the decimal, and a repeated one groups thousands.
+    // A lone separator before exactly three digits ("1,234", "1.000") reads either way, so it is an error rather than a guess.
+    inferSeparators(clean, text, label) {
+        const separators = [...new Set(clean.replace(/[^,.]/g, ''))];
+        if (separators.length === 2) {
+            const decimal = clean[Math.max(clean.lastIndexOf(','), clean.lastIndexOf('.'))];
+            return { decimal, thousands: decimal === ',' ? '.' : ',' };
+        }
+        if (separators.length === 0) return { decimal: '.', thousands: null };
+
+        const [separator] = separators;
+        const other = separator === ',' ? '.' : ',';
+        if (clean.split(separator).length > 2) return { decimal: other, thousands: separator };
+        if (/^-?[1-9]\d{0,2}[,.]\d{3}$/.test(clean)) {
+            throw new Error(`Ambiguous ${label}: ${text}; "${separator}" could be a decimal or a thousands separator`);
+        }
+        return { decimal: separator, thousands: other };
+    }
+
+    // Accepts ISO dates and day-first dates (31-12-2024, 31/12/2024); US month-first needs dateFormat: 'MM/DD/YYYY'
+    parseDate(text, format = 'auto') {
+        const value = text.trim();
+        let year, month, day;
+        let match;
+        if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+            [, year, month, day] = match;
+        } else if ((match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+            [, day, month, year] = match;
+            if (format === 'MM/DD/YYYY') [day, month] = [month, day];
+        } else {
+            throw new Error(`Bad date: ${text || '(empty)'}`);
+        }
+
+        const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+        if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+            throw new Error(`Bad date: ${text}`);
+        }
+        const iso = date.toISOString().split('T')[0];
+        if (iso > new Date().toISOString().split('T')[0]) {
+            throw new Error(`Date is in the future: ${text}`);
+        }
+        return iso;
+    }
+
+    parseType(text) {
+        const type = PortfolioImporter.TYPE_ALIASES[text.trim().toLowerCase()];
+        if (!type) {
+            throw new Error(`Unknown transaction type: ${text || '(empty)'}`);
+        }
+        return type;
+    }
+
+    // Same type, date, symbol and amounts means the same transaction, whoever recorded it
+    fingerprint(transaction) {
+        const number = value => value === null || value === undefined || value === '' ? '' : parseFloat(Number(value).toFixed(6));
+        return [
+            transaction.type,
+            transaction.date,
+            transaction.symbol || '',
+            number(transaction.shares),
+            number(transaction.price),
+            number(transaction.amount),
+            number(transaction.ratio)
+        ].join('|');
+    }
+
+    // Full-fidelity backup: the ledger itself plus what wrote it
+    static backup(ledger) {
+        return JSON.stringify({ format: 'kees-portfolio-backup', exportedAt: new Date().toISOString(), ledger: ledger.toJSON() }, null, 2);
+    }
+
+    static restore(text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON backup: ${error.message}`);
+        }
+        const saved = data && data.format === 'kees-portfolio-backup' ? data.ledger : data;
+        const ledger = TransactionLedger.fromStorage(saved, options);
+        ledger.transactions.forEach((transaction, index) => {
+            try {
+                TransactionLedger.validate(transaction);
+            } catch (error) {
+                throw new Error(`Backup transaction ${index + 1}: ${error.message}`);
+            }
+        });
+        ledger.replay();
+        return ledger;
+    }
+}
+
+PortfolioImporter.TYPE_ALIASES = {
+    buy: 'buy', bought: 'buy', purchase: 'buy', koop: 'buy',
+    sell: 'sell', sold: 'sell', sale: 'sell', verkoop: 'sell',
+    dividend: 'dividend', div: 'dividend', dividends: 'dividend',
+    split: 'split', 'stock split': 'split',
+    fee: 'fee', fees: 'fee', commission: 'fee', costs: 'fee',
+    deposit: 'deposit', 'cash deposit': 'deposit', storting: 'deposit',
+    withdrawal: 'withdrawal', 'cash withdrawal': 'withdrawal', opname: 'withdrawal'
+};
+
+PortfolioImporter.MAPPINGS = {
+    // What exportPortfolio writes
+    kees: {
+        id: 'kees',
+        name: 'Kees Portfolio CSV',
+        detect: headers => ['date', 'type', 'symbol', 'shares', 'price'].every(name => headers.includes(name)),
+        columns: { date: 'Date', type: 'Type', symbol: 'Symbol', currency: 'Currency', shares: 'Shares', price: 'Price', amount: 'Amount', fee: 'Fee', ratio: 'Ratio', note: 'Note' },
+        required: ['date', 'type'],
+        // Numbers are written as plain JavaScript numbers, never grouped
+        decimal: '.',
+        thousands: null,
+        toTransactions(get, importer, mapping, number) {
+            const type = importer.parseType(get('type'));
+            const fields = TransactionLedger.TYPES[type];
+            const symbol = get('symbol') ? importer.symbolFrom(get('symbol')) : null;
+            if (fields.includes('symbol') && !symbol) throw new Error(`Missing symbol for ${type}`);
+            return [{
+                type,
+                date: importer.parseDate(get('date')),
+                symbol,
+                currency: get('currency') || (symbol ? importer.currencyFor(symbol) : importer.ledger.baseCurrency),
+                shares: fields.includes('shares') ? number('shares', 'shares') : null,
+                price: fields.includes('price') ? number('price', 'price') : null,
+                amount: fields.includes('amount') ? number('amount', 'amount') : null,
+                ratio: fields.includes('ratio') ? number('ratio', 'ratio') : null,
+                fee: number('fee', 'fee', { optional: true }) || 0,
+                note: get('note')
+            }];
+        }
+    },
+
+    // The five-column buy list exported before the transaction ledger existed
+    keesLegacy: {
+        id: 'keesLegacy',
+        name: 'Kees Portfolio CSV (before transactions)',
+        detect: headers => ['symbol', 'shares', 'purchase price', 'purchase date'].every(name => headers.includes(name)),
+        columns: { symbol: 'Symbol', shares: 'Shares', price: 'Purchase Price', date: 'Purchase Date' },
+        required: ['symbol', 'shares', 'price', 'date'],
+        // Written by the same code as kees: plain JavaScript numbers joined with commas
+        decimal: '.',
+        thousands: null,
+        toTransactions(get, importer, mapping, number) {
+            const symbol = importer.symbolFrom(get('symbol'));
+            return [{
+                type: 'buy',
+                date: importer.parseDate(get('date')),
+                symbol,
+                currency: importer.currencyFor(symbol),
+                shares: number('shares', 'shares'),
+                price: number('price', 'price'),
+                fee: 0
+            }];
+        }
+    },
+
+    // DEGIRO "Transactions" export: signed quantity, currencies in the unnamed column after each amount
+    degiro: {
+        id: 'degiro',
+        name: 'DEGIRO transactions',
+        detect: headers => headers.includes('isin') && headers.includes('product') && (headers.includes('quantity') || headers.includes('aantal')),
+        columns: {
+            date: ['Date', 'Datum'],
+            product: ['Product'],
+            isin: ['ISIN'],
+            shares: ['Quantity', 'Aantal'],
+            price: ['Price', 'Koers'],
+            currency: { after: ['Price', 'Koers'] },
+            fee: ['Transaction and/or third party fees', 'Transactiekosten en/of kosten van derden', 'Transactiekosten'],
+            feeCurrency: { after: ['Transaction and/or third party fees', 'Transactiekosten en/of kosten van derden', 'Transactiekosten'] },
+            orderId: ['Order ID', 'Order Id']
+        },
+        required: ['date', 'product', 'shares', 'price'],
+        decimal: ',',
+        toTransactions(get, importer, mapping, number) {
+            const symbol = importer.symbolFrom(get('product'), get('isin'), get('currency'));
+            const quantity = number('shares', 'quantity', { allowNegative: true });
+            if (quantity === 0) throw new Error('Quantity is zero');
+            const date = importer.parseDate(get('date'));
+            const currency = get('currency') || importer.currencyFor(symbol);
+            // DEGIRO books fees as negative amounts, often in the account currency rather than the trade's
+            const fee = Math.abs(number('fee', 'fee', { allowNegative: true, optional: true }) || 0);
+            const feeCurrency = get('feeCurrency') || currency;
+
+            const trade = {
+                type: quantity > 0 ? 'buy' : 'sell',
+                date,
+                symbol,
+                currency,
+                shares: Math.abs(quantity),
+                price: number('price', 'price'),
+                fee: feeCurrency === currency ? fee : 0,
+                note: get('orderId') ? `DEGIRO order ${get('orderId')}` : ''
+            };
+            if (fee > 0 && feeCurrency !== currency) {
+                return [trade, { type: 'fee', date, symbol, currency: feeCurrency, amount: fee, note: trade.note }];
+            }
+            return [trade];
+        }
+    },
+
+    // Any broker layout: pass { columns: { date: 'Trade Date', symbol: 'Ticker', ... }, decimal: ',' } to map it
+    generic: {
+        id: 'generic',
+        name: 'Generic CSV',
+        detect: null,
+        columns: {
+            date: ['Date', 'Trade Date', 'Transaction Date'],
+            type: ['Type', 'Action', 'Transaction Type'],
+            symbol: ['Symbol', 'Ticker'],
+            isin: ['ISIN'],
+            currency: ['Currency'],
+            shares: ['Shares', 'Quantity', 'Qty'],
+            price: ['Price', 'Unit Price'],
+            amount: ['Amount', 'Value'],
+            fee: ['Fee', 'Fees', 'Commission'],
+            ratio: ['Ratio', 'Split Ratio']
+        },
+        required: ['date', 'symbol'],
+        dateFormat: 'auto',
+        decimal: '.',
+        toTransactions(get, importer, mapping, number) {
+            const date = importer.parseDate(get('date'), mapping.dateFormat);
+            const symbol = get('symbol') || get('isin') ? importer.symbolFrom(get('symbol'), get('isin'), get('currency')) : null;
+            // Without a type column, the sign of the quantity says buy or sell
+            const signed = get('type') === '' ? number('shares', 'shares', { allowNegative: true }) : null;
+            const type = get('type') !== '' ? importer.parseType(get('type')) : signed < 0 ? 'sell' : 'buy';
+            const fields = TransactionLedger.TYPES[type];
+            if (fields.includes('symbol') && !symbol) throw new Error(`Missing symbol for ${type}`);
+
+            return [{
+                type,
+                date,
+                symbol,
+                currency: get('currency') || (symbol ? importer.currencyFor(symbol) : importer.ledger.baseCurrency),
+                shares: fields.includes('shares') ? (signed !== null ? Math.abs(signed) : number('shares', 'shares')) : null,
+                price: fields.includes('price') ? number('price', 'price') : null,
+                amount: fields.includes('amount') ? Math.abs(number('amount', 'amount', { allowNegative: true })) : null,
+                ratio: fields.includes('ratio') ? number('ratio', 'ratio') : null,
+                fee: Math.abs(number('fee', 'fee', { allowNegative: true, optional: true }) || 0)
+            }];
+        }
+    }
+};
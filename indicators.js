@@ -0,0 +1,246 @@
+// Technical Indicator Engine - full time series aligned with the input bars
+// Every series has one entry per bar; bars before an indicator's warm-up period are null.
+
+class IndicatorEngine {
+    constructor(periods = {}) {
+        this.periods = { ...IndicatorEngine.DEFAULT_PERIODS, ...periods };
+    }
+
+    sma(values, period = this.periods.sma) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) result[i] = sum / period;
+        }
+        return result;
+    }
+
+    // Seeded with the SMA of the first `period` values; leading nulls in the input are skipped
+    ema(values, period = this.periods.ema) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null && value !== undefined);
+        if (start === -1 || values.length - start < period) return result;
+
+        const multiplier = 2 / (period + 1);
+        let ema = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+        result[start + period - 1] = ema;
+
+        for (let i = start + period; i < values.length; i++) {
+            ema = (values[i] - ema) * multiplier + ema;
+            result[i] = ema;
+        }
+        return result;
+    }
+
+    // Wilder's smoothing: seed with a simple average, then avg = (prev * (n - 1) + value) / n
+    wilder(values, period, start = 0) {
+        const result = new Array(values.length).fill(null);
+        if (values.length - start < period) return result;
+
+        let avg = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+        result[start + period - 1] = avg;
+
+        for (let i = start + period; i < values.length; i++) {
+            avg = (avg * (period - 1) + values[i]) / period;
+            result[i] = avg;
+        }
+        return result;
+    }
+
+    rsi(closes, period = this.periods.rsi) {
+        const result = new Array(closes.length).fill(null);
+        if (closes.length <= period) return result;
+
+        const gains = [0];
+        const losses = [0];
+        for (let i = 1; i < closes.length; i++) {
+            const change = closes[i] - closes[i - 1];
+            gains.push(Math.max(change, 0));
+            losses.push(Math.max(-change, 0));
+        }
+
+        const avgGains = this.wilder(gains, period, 1);
+        const avgLosses = this.wilder(losses, period, 1);
+
+        for (let i = period; i < closes.length; i++) {
+            if (avgLosses[i] === 0) {
+                result[i] = avgGains[i] === 0 ? 50 : 100;
+            } else {
+                result[i] = 100 - 100 / (1 + avgGains[i] / avgLosses[i]);
+            }
+        }
+        return result;
+    }
+
+    macd(closes, fast = this.periods.macdFast, slow = this.periods.macdSlow, signal = this.periods.macdSignal) {
+        const fastEma = this.ema(closes, fast);
+        const slowEma = this.ema(closes, slow);
+        const line = closes.map((_, i) => (fastEma[i] === null || slowEma[i] === null) ? null : fastEma[i] - slowEma[i]);
+        const signalLine = this.ema(line, signal);
+        const histogram = line.map((value, i) => (value === null || signalLine[i] === null) ? null : value - signalLine[i]);
+
+        return { line, signal: signalLine, histogram };
+    }
+
+    bollinger(closes, period = this.periods.bollinger, multiplier = this.periods.bollingerStdDev) {
+        const middle = this.sma(closes, period);
+        const upper = new Array(closes.length).fill(null);
+        const lower = new Array(closes.length).fill(null);
+        const bandwidth = new Array(closes.length).fill(null);
+
+        for (let i = period - 1; i < closes.length; i++) {
+            const window = closes.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, value) => sum + Math.pow(value - middle[i], 2), 0) / period;
+            const deviation = Math.sqrt(variance) * multiplier;
+            upper[i] = middle[i] + deviation;
+            lower[i] = middle[i] - deviation;
+            bandwidth[i] = middle[i] === 0 ? null : (upper[i] - lower[i]) / middle[i];
+        }
+        return { upper, middle, lower, bandwidth };
+    }
+
+    trueRange(highs, lows, closes) {
+        return highs.map((high, i) => {
+            if (i === 0) return high - lows[i];
+            return Math.max(high - lows[i], Math.abs(high - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+        });
+    }
+
+    atr(highs, lows, closes, period = this.periods.atr) {
+        const ranges = this.trueRange(highs, lows, closes);
+        return this.wilder(ranges, period, 1);
+    }
+
+    stochastic(highs, lows, closes, kPeriod = this.periods.stochasticK, dPeriod = this.periods.stochasticD) {
+        const k = new Array(closes.length).fill(null);
+        for (let i = kPeriod - 1; i < closes.length; i++) {
+            const highest = Math.max(...highs.slice(i - kPeriod + 1, i + 1));
+            const lowest = Math.min(...lows.slice(i - kPeriod + 1, i + 1));
+            k[i] = highest === lowest ? 50 : (closes[i] - lowest) / (highest - lowest) * 100;
+        }
+
+        const d = new Array(closes.length).fill(null);
+        for (let i = kPeriod + dPeriod - 2; i < closes.length; i++) {
+            d[i] = k.slice(i - dPeriod + 1, i + 1).reduce((a, b) => a + b, 0) / dPeriod;
+        }
+        return { k, d };
+    }
+
+    obv(closes, volumes) {
+        const result = new Array(closes.length).fill(null);
+        if (closes.length === 0) return result;
+
+        result[0] = 0;
+        for (let i = 1; i < closes.length; i++) {
+            const direction = Math.sign(closes[i] - closes[i - 1]);
+            result[i] = result[i - 1] + direction * volumes[i];
+        }
+        return result;
+    }
+
+    // Anchored at the first bar by default; a period gives a rolling VWAP instead
+    vwap(highs, lows, closes, volumes, period = this.periods.vwap) {
+        const typical = closes.map((close, i) => (highs[i] + lows[i] + close) / 3);
+        const result = new Array(closes.length).fill(null);
+        let priceVolume = 0;
+        let volume = 0;
+
+        for (let i = 0; i < closes.length; i++) {
+            priceVolume += typical[i] * volumes[i];
+            volume += volumes[i];
+            if (period && i >= period) {
+                priceVolume -= typical[i - period] * volumes[i - period];
+                volume -= volumes[i - period];
+            }
+            if (!period || i >= period - 1) {
+                result[i] = volume === 0 ? typical[i] : priceVolume / volume;
+            }
+        }
+        return result;
+    }
+
+    adx(highs, lows, closes, period = this.periods.adx) {
+        const length = closes.length;
+        const plusDM = [0];
+        const minusDM = [0];
+        for (let i = 1; i < length; i++) {
+            const up = highs[i] - highs[i - 1];
+            const down = lows[i - 1] - lows[i];
+            plusDM.push(up > down && up > 0 ? up : 0);
+            minusDM.push(down > up && down > 0 ? down : 0);
+        }
+
+        const smoothedTR = this.wilder(this.trueRange(highs, lows, closes), period, 1);
+        const smoothedPlus = this.wilder(plusDM, period, 1);
+        const smoothedMinus = this.wilder(minusDM, period, 1);
+
+        const plusDI = new Array(length).fill(null);
+        const minusDI = new Array(length).fill(null);
+        const dx = new Array(length).fill(null);
+        for (let i = period; i < length; i++) {
+            if (!smoothedTR[i]) continue;
+            plusDI[i] = smoothedPlus[i] / smoothedTR[i] * 100;
+            minusDI[i] = smoothedMinus[i] / smoothedTR[i] * 100;
+            const total = plusDI[i] + minusDI[i];
+            dx[i] = total === 0 ? 0 : Math.abs(plusDI[i] - minusDI[i]) / total * 100;
+        }
+
+        const firstDX = dx.findIndex(value => value !== null);
+        const adx = firstDX === -1 ? new Array(length).fill(null) : this.wilder(dx.map(value => value ?? 0), period, firstDX);
+        return { adx, plusDI, minusDI };
+    }
+
+    // Every indicator for a DataAgent series, keyed so charts can plot them against data.dates
+    computeAll(data) {
+        const { highs, lows, prices: closes, volumes } = data;
+        const p = this.periods;
+
+        return {
+            dates: data.dates,
+            // The periods travel with the series so charts and reports can label them
+            periods: { ...p },
+            smaFast: this.sma(closes, p.smaFast),
+            smaSlow: this.sma(closes, p.smaSlow),
+            smaLong: this.sma(closes, p.smaLong),
+            emaFast: this.ema(closes, p.macdFast),
+            emaSlow: this.ema(closes, p.macdSlow),
+            rsi: this.rsi(closes),
+            macd: this.macd(closes),
+            bollinger: this.bollinger(closes),
+            atr: this.atr(highs, lows, closes),
+            stochastic: this.stochastic(highs, lows, closes),
+            obv: this.obv(closes, volumes),
+            vwap: this.vwap(highs, lows, closes, volumes),
+            adx: this.adx(highs, lows, closes)
+        };
+    }
+
+    // Last non-null value of a series
+    latest(series) {
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (series[i] !== null && series[i] !== undefined) return series[i];
+        }
+        return null;
+    }
+}
+
+IndicatorEngine.DEFAULT_PERIODS = {
+    sma: 20,
+    ema: 20,
+    smaFast: 20,
+    smaSlow: 50,
+    smaLong: 200,
+    rsi: 14,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    bollinger: 20,
+    bollingerStdDev: 2,
+    atr: 14,
+    stochasticK: 14,
+    stochasticD: 3,
+    vwap: null,
+    adx: 14
+};
@@ -0,0 +1,301 @@
+// Instrument Master - tickers, names, listings and identifiers behind symbol search and validation
+// Tickers follow Yahoo conventions: US listings are bare (ASML), other exchanges carry a suffix (ASML.AS).
+
+class InstrumentMaster {
+    // Extra records from RESEARCH_CONFIG.instruments are merged over the built-in dataset
+    constructor(instruments = InstrumentMaster.DEFAULT_INSTRUMENTS) {
+        const config = (typeof globalThis !== 'undefined' && globalThis.RESEARCH_CONFIG) || {};
+        this.instruments = [];
+        this.byTicker = new Map();
+        this.load(instruments);
+        if (config.instruments) this.load(config.instruments);
+    }
+
+    // Adds or replaces records by ticker; exchange and currency default from the ticker suffix
+    load(records) {
+        records.forEach((record, index) => {
+            const instrument = InstrumentMaster.normalize(record);
+            if (!instrument.ticker || !instrument.name) {
+                throw new Error(`Instrument ${index + 1} needs a ticker and a name`);
+            }
+            if (!/^[A-Z]{3}$/.test(instrument.currency)) {
+                throw new Error(`Instrument ${instrument.ticker} has an unknown currency: ${instrument.currency}`);
+            }
+            const existing = this.byTicker.get(instrument.ticker);
+            if (existing) {
+                this.instruments[this.instruments.indexOf(existing)] = instrument;
+            } else {
+                this.instruments.push(instrument);
+            }
+            this.byTicker.set(instrument.ticker, instrument);
+        });
+        return this;
+    }
+
+    // A JSON array of records in the same shape as DEFAULT_INSTRUMENTS
+    async loadFrom(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading instruments from ${url}`);
+        }
+        return this.load(await response.json());
+    }
+
+    static normalize(record) {
+        const ticker = String(record.ticker || '').trim().toUpperCase();
+        const exchange = InstrumentMaster.EXCHANGES[InstrumentMaster.suffixOf(ticker)] || InstrumentMaster.EXCHANGES[''];
+        return {
+            ticker: ticker,
+            name: String(record.name || '').trim(),
+            exchange: record.exchange || exchange.name,
+            currency: String(record.currency || exchange.currency).toUpperCase(),
+            sector: record.sector || 'Unknown',
+            isin: record.isin ? String(record.isin).toUpperCase() : null,
+            aliases: record.aliases || [],
+            referencePrice: record.referencePrice || null
+        };
+    }
+
+    static suffixOf(ticker) {
+        const dot = ticker.lastIndexOf('.');
+        return dot > 0 ? ticker.slice(dot + 1) : '';
+    }
+
+    static baseOf(ticker) {
+        const dot = ticker.lastIndexOf('.');
+        return dot > 0 ? ticker.slice(0, dot) : ticker;
+    }
+
+    // Exact ticker, or a bare ticker with exactly one suffixed listing (ADYEN finds ADYEN.AS)
+    get(symbol) {
+        if (!symbol) return null;
+        const ticker = String(symbol).trim().toUpperCase();
+        if (this.byTicker.has(ticker)) return this.byTicker.get(ticker);
+        if (ticker.includes('.')) return null;
+        const listings = this.instruments.filter(instrument => InstrumentMaster.baseOf(instrument.ticker) === ticker);
+        return listings.length === 1 ? listings[0] : null;
+    }
+
+    // One ISIN can be listed on several exchanges; the trade currency picks between them
+    byIsin(isin, currency = null) {
+        const code = String(isin || '').trim().toUpperCase();
+        const listings = this.instruments.filter(instrument => instrument.isin === code);
+        return listings.find(instrument => instrument.currency === currency) || listings[0] || null;
+    }
+
+    isKnown(symbol) {
+        return Boolean(this.get(symbol));
+    }
+
+    // Unknown tickers still get the currency of their exchange suffix
+    currencyOf(symbol) {
+        const instrument = this.get(symbol);
+        if (instrument) return instrument.currency;
+        const exchange = InstrumentMaster.EXCHANGES[InstrumentMaster.suffixOf(String(symbol).toUpperCase())];
+        return (exchange || InstrumentMaster.EXCHANGES['']).currency;
+    }
+
+    sectorOf(symbol) {
+        const instrument = this.get(symbol);
+        return instrument ? instrument.sector : 'Unknown';
+    }
+
+    // Whatever a user typed: ticker, ISIN, or a name that matches one instrument better than all others
+    resolve(input) {
+        const text = String(input || '').trim();
+        if (!text) return null;
+        const direct = this.get(text) || (/^[A-Z]{2}[A-Z0-9]{9}\d$/i.test(text) ? this.byIsin(text) : null);
+        if (direct) return direct;
+
+        const [best, runnerUp] = this.search(text, 2);
+        if (best && best.score >= InstrumentMaster.RESOLVE_SCORE && (!runnerUp || runnerUp.score < best.score)) {
+            return best.instrument;
+        }
+        return null;
+    }
+
+    // Ranked matches on ticker, ISIN, name and aliases; tolerates a typo or two in longer words
+    search(query, limit = 8) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+        return this.instruments
+            .map(instrument => ({ instrument, score: this.score(instrument, text) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score
+                || a.instrument.ticker.length - b.instrument.ticker.length
+                || a.instrument.ticker.localeCompare(b.instrument.ticker))
+            .slice(0, limit);
+    }
+
+    score(instrument, text) {
+        const upper = text.toUpperCase();
+        if (instrument.ticker === upper || instrument.isin === upper) return 100;
+        if (InstrumentMaster.baseOf(instrument.ticker) === upper) return 95;
+
+        const query = InstrumentMaster.normalizeName(text);
+        const aliases = instrument.aliases.map(alias => InstrumentMaster.normalizeName(alias));
+        const names = [InstrumentMaster.normalizeName(instrument.name), ...aliases];
+        let score = instrument.ticker.startsWith(upper) ? 85 : 0;
+        if (!query) return score;
+        if (aliases.includes(query)) return 92;
+
+        names.forEach(name => {
+            const words = name.split(' ');
+            if (name === query) score = Math.max(score, 90);
+            else if (name.startsWith(query)) score = Math.max(score, 80);
+            else if (words.some(word => word.startsWith(query))) score = Math.max(score, 70);
+            else if (name.includes(query)) score = Math.max(score, 60);
+            else {
+                const typos = InstrumentMaster.typoDistance(query.split(' '), words);
+                if (typos !== null) score = Math.max(score, 65 - 10 * typos);
+            }
+        });
+        return score;
+    }
+
+    // Lowercase, accents and punctuation stripped, legal-form words dropped ("Heineken N.V." -> "heineken")
+    static normalizeName(text) {
+        return String(text)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\b(n\.v\.|s\.a\.)/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(word => word && !InstrumentMaster.STOP_WORDS.includes(word))
+            .join(' ');
+    }
+
+    // Total edits when every query word matches some name word (as a prefix or within its typo allowance), else null
+    static typoDistance(queryWords, nameWords) {
+        let total = 0;
+        for (const word of queryWords) {
+            const allowed = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+            let best = Infinity;
+            nameWords.forEach(candidate => {
+                if (candidate.startsWith(word)) best = 0;
+                else if (allowed > 0) best = Math.min(best, InstrumentMaster.levenshtein(word, candidate.slice(0, word.length + allowed)), InstrumentMaster.levenshtein(word, candidate));
+            });
+            if (best > allowed) return null;
+            total += best;
+        }
+        return total;
+    }
+
+    static levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+// Best match needed before free text resolves to a ticker without the user picking it
+InstrumentMaster.RESOLVE_SCORE = 70;
+
+InstrumentMaster.STOP_WORDS = ['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'plc', 'nv', 'sa', 'se', 'ag', 'ab', 'asa', 'ltd', 'limited', 'the', 'holding', 'holdings', 'class', 'cl', 'com', 'adr'];
+
+// Yahoo-style suffix -> exchange; '' is the US market
+InstrumentMaster.EXCHANGES = {
+    '': { name: 'NASDAQ / NYSE', currency: 'USD' },
+    AS: { name: 'Euronext Amsterdam', currency: 'EUR' },
+    PA: { name: 'Euronext Paris', currency: 'EUR' },
+    BR: { name: 'Euronext Brussels', currency: 'EUR' },
+    MI: { name: 'Borsa Italiana', currency: 'EUR' },
+    MC: { name: 'Bolsa de Madrid', currency: 'EUR' },
+    DE: { name: 'Xetra', currency: 'EUR' },
+    L: { name: 'London Stock Exchange', currency: 'GBX' },
+    SW: { name: 'SIX Swiss Exchange', currency: 'CHF' },
+    TO: { name: 'Toronto Stock Exchange', currency: 'CAD' },
+    T: { name: 'Tokyo Stock Exchange', currency: 'JPY' },
+    ST: { name: 'Nasdaq Stockholm', currency: 'SEK' },
+    CO: { name: 'Nasdaq Copenhagen', currency: 'DKK' },
+    OL: { name: 'Oslo Børs', currency: 'NOK' }
+};
+
+// referencePrice is where demo series end for the symbol; instruments without one end at 100
+InstrumentMaster.DEFAULT_INSTRUMENTS = [
+    { ticker: 'AAPL', name: 'Apple Inc.', sector: 'Technology', isin: 'US0378331005', referencePrice: 150 },
+    { ticker: 'MSFT', name: 'Microsoft Corporation', sector: 'Technology', isin: 'US5949181045', referencePrice: 300 },
+    { ticker: 'GOOGL', name: 'Alphabet Inc. Class A', sector: 'Communication Services', isin: 'US02079K3059', aliases: ['Google', 'Alphabet'], referencePrice: 2800 },
+    { ticker: 'GOOG', name: 'Alphabet Inc. Class C', sector: 'Communication Services', isin: 'US02079K1079' },
+    { ticker: 'AMZN', name: 'Amazon.com Inc.', sector: 'Consumer Discretionary', isin: 'US0231351067', aliases: ['Amazon'], referencePrice: 3200 },
+    { ticker: 'META', name: 'Meta Platforms Inc.', sector: 'Communication Services', isin: 'US30303M1027', aliases: ['Meta', 'Facebook'] },
+    { ticker: 'TSLA', name: 'Tesla Inc.', sector: 'Consumer Discretionary', isin: 'US88160R1014', referencePrice: 250 },
+    { ticker: 'NVDA', name: 'NVIDIA Corporation', sector: 'Technology', isin: 'US67066G1040' },
+    { ticker: 'NFLX', name: 'Netflix Inc.', sector: 'Communication Services', isin: 'US64110L1061' },
+    { ticker: 'AMD', name: 'Advanced Micro Devices Inc.', sector: 'Technology', isin: 'US0079031078' },
+    { ticker: 'INTC', name: 'Intel Corporation', sector: 'Technology', isin: 'US4581401001' },
+    { ticker: 'ASML', name: 'ASML Holding N.V. (New York)', sector: 'Technology', isin: 'USN070592100', referencePrice: 600 },
+    { ticker: 'JPM', name: 'JPMorgan Chase & Co.', sector: 'Financials', isin: 'US46625H1005' },
+    { ticker: 'V', name: 'Visa Inc.', sector: 'Financials', isin: 'US92826C8394' },
+    { ticker: 'MA', name: 'Mastercard Inc.', sector: 'Financials', isin: 'US57636Q1040' },
+    { ticker: 'BRK-B', name: 'Berkshire Hathaway Inc. Class B', sector: 'Financials', isin: 'US0846707026' },
+    { ticker: 'JNJ', name: 'Johnson & Johnson', sector: 'Health Care', isin: 'US4781601046' },
+    { ticker: 'UNH', name: 'UnitedHealth Group Inc.', sector: 'Health Care', isin: 'US91324P1021' },
+    { ticker: 'PG', name: 'Procter & Gamble Co.', sector: 'Consumer Staples', isin: 'US7427181091' },
+    { ticker: 'KO', name: 'Coca-Cola Co.', sector: 'Consumer Staples', isin: 'US1912161007' },
+    { ticker: 'PEP', name: 'PepsiCo Inc.', sector: 'Consumer Staples', isin: 'US7134481081' },
+    { ticker: 'WMT', name: 'Walmart Inc.', sector: 'Consumer Staples', isin: 'US9311421039' },
+    { ticker: 'HD', name: 'Home Depot Inc.', sector: 'Consumer Discretionary', isin: 'US4370761029' },
+    { ticker: 'DIS', name: 'Walt Disney Co.', sector: 'Communication Services', isin: 'US2546871060' },
+    { ticker: 'XOM', name: 'Exxon Mobil Corporation', sector: 'Energy', isin: 'US30231G1022' },
+    { ticker: 'SHEL', name: 'Shell plc (ADR)', sector: 'Energy', isin: 'US7802593050' },
+    { ticker: 'SPY', name: 'SPDR S&P 500 ETF Trust', sector: 'Diversified', isin: 'US78462F1030' },
+    { ticker: 'QQQ', name: 'Invesco QQQ Trust', sector: 'Diversified', isin: 'US46090E1038' },
+    { ticker: 'VTI', name: 'Vanguard Total Stock Market ETF', sector: 'Diversified', isin: 'US9229087690' },
+
+    { ticker: 'ASML.AS', name: 'ASML Holding N.V.', sector: 'Technology', isin: 'NL0010273215', aliases: ['ASML Holding'], referencePrice: 600 },
+    { ticker: 'SHELL.AS', name: 'Shell plc', sector: 'Energy', isin: 'GB00BP6MXD84', aliases: ['Shell', 'Royal Dutch Shell'], referencePrice: 28 },
+    { ticker: 'ADYEN.AS', name: 'Adyen N.V.', sector: 'Financials', isin: 'NL0012969182', referencePrice: 1200 },
+    { ticker: 'AD.AS', name: 'Koninklijke Ahold Delhaize N.V.', sector: 'Consumer Staples', isin: 'NL0011794037', aliases: ['Ahold'] },
+    { ticker: 'HEIA.AS', name: 'Heineken N.V.', sector: 'Consumer Staples', isin: 'NL0000009165' },
+    { ticker: 'UNA.AS', name: 'Unilever plc', sector: 'Consumer Staples', isin: 'GB00B10RZP78', aliases: ['Unilever'] },
+    { ticker: 'INGA.AS', name: 'ING Groep N.V.', sector: 'Financials', isin: 'NL0011821202', aliases: ['ING'] },
+    { ticker: 'PHIA.AS', name: 'Koninklijke Philips N.V.', sector: 'Health Care', isin: 'NL0000009538', aliases: ['Philips'] },
+    { ticker: 'PRX.AS', name: 'Prosus N.V.', sector: 'Consumer Discretionary', isin: 'NL0013654783' },
+    { ticker: 'WKL.AS', name: 'Wolters Kluwer N.V.', sector: 'Industrials', isin: 'NL0000395903' },
+    { ticker: 'RAND.AS', name: 'Randstad N.V.', sector: 'Industrials', isin: 'NL0000379121' },
+    { ticker: 'ABN.AS', name: 'ABN AMRO Bank N.V.', sector: 'Financials', isin: 'NL0011540547' },
+    { ticker: 'NN.AS', name: 'NN Group N.V.', sector: 'Financials', isin: 'NL0010773842' },
+    { ticker: 'KPN.AS', name: 'Koninklijke KPN N.V.', sector: 'Communication Services', isin: 'NL0000009082', aliases: ['KPN'] },
+    { ticker: 'ASM.AS', name: 'ASM International N.V.', sector: 'Technology', isin: 'NL0000334118' },
+    { ticker: 'BESI.AS', name: 'BE Semiconductor Industries N.V.', sector: 'Technology', isin: 'NL0012866412', aliases: ['Besi'] },
+    { ticker: 'IWDA.AS', name: 'iShares Core MSCI World UCITS ETF', sector: 'Diversified', isin: 'IE00B4L5Y983' },
+    { ticker: 'VWRL.AS', name: 'Vanguard FTSE All-World UCITS ETF', sector: 'Diversified', isin: 'IE00B3RBWM25' },
+
+    { ticker: 'MC.PA', name: 'LVMH Moët Hennessy Louis Vuitton SE', sector: 'Consumer Discretionary', isin: 'FR0000121014', aliases: ['LVMH'] },
+    { ticker: 'OR.PA', name: "L'Oréal S.A.", sector: 'Consumer Staples', isin: 'FR0000120321' },
+    { ticker: 'TTE.PA', name: 'TotalEnergies SE', sector: 'Energy', isin: 'FR0000120271' },
+    { ticker: 'AIR.PA', name: 'Airbus SE', sector: 'Industrials', isin: 'NL0000235190' },
+    { ticker: 'SAN.PA', name: 'Sanofi S.A.', sector: 'Health Care', isin: 'FR0000120578' },
+    { ticker: 'ABI.BR', name: 'Anheuser-Busch InBev S.A.', sector: 'Consumer Staples', isin: 'BE0974293251', aliases: ['AB InBev'] },
+    { ticker: 'ENI.MI', name: 'Eni S.p.A.', sector: 'Energy', isin: 'IT0003132476' },
+    { ticker: 'SAN.MC', name: 'Banco Santander S.A.', sector: 'Financials', isin: 'ES0113900J37' },
+    { ticker: 'SAP.DE', name: 'SAP SE', sector: 'Technology', isin: 'DE0007164600' },
+    { ticker: 'SIE.DE', name: 'Siemens AG', sector: 'Industrials', isin: 'DE0007236101' },
+    { ticker: 'ALV.DE', name: 'Allianz SE', sector: 'Financials', isin: 'DE0008404005' },
+    { ticker: 'BMW.DE', name: 'Bayerische Motoren Werke AG', sector: 'Consumer Discretionary', isin: 'DE0005190003', aliases: ['BMW'] },
+    { ticker: 'VOW3.DE', name: 'Volkswagen AG (Preferred)', sector: 'Consumer Discretionary', isin: 'DE0007664039' },
+
+    { ticker: 'AZN.L', name: 'AstraZeneca plc', sector: 'Health Care', isin: 'GB0009895292' },
+    { ticker: 'HSBA.L', name: 'HSBC Holdings plc', sector: 'Financials', isin: 'GB0005405286' },
+    { ticker: 'BP.L', name: 'BP plc', sector: 'Energy', isin: 'GB0007980591' },
+    { ticker: 'SHEL.L', name: 'Shell plc', sector: 'Energy', isin: 'GB00BP6MXD84' },
+    { ticker: 'ULVR.L', name: 'Unilever plc', sector: 'Consumer Staples', isin: 'GB00B10RZP78' },
+    { ticker: 'NESN.SW', name: 'Nestlé S.A.', sector: 'Consumer Staples', isin: 'CH0038863350' },
+    { ticker: 'NOVN.SW', name: 'Novartis AG', sector: 'Health Care', isin: 'CH0012005267' },
+    { ticker: 'ROG.SW', name: 'Roche Holding AG', sector: 'Health Care', isin: 'CH0012032048' },
+    { ticker: 'NOVO-B.CO', name: 'Novo Nordisk A/S Class B', sector: 'Health Care', isin: 'DK0062498333' },
+    { ticker: 'VOLV-B.ST', name: 'AB Volvo Class B', sector: 'Industrials', isin: 'SE0000115446' },
+    { ticker: 'ERIC-B.ST', name: 'Telefonaktiebolaget LM Ericsson Class B', sector: 'Technology', isin: 'SE0000108656', aliases: ['Ericsson'] },
+    { ticker: 'EQNR.OL', name: 'Equinor ASA', sector: 'Energy', isin: 'NO0010096985' },
+    { ticker: 'SHOP.TO', name: 'Shopify Inc.', sector: 'Technology', isin: 'CA82509L1076' },
+    { ticker: 'RY.TO', name: 'Royal Bank of Canada', sector: 'Financials', isin: 'CA7800871021' },
+    { ticker: '7203.T', name: 'Toyota Motor Corporation', sector: 'Consumer Discretionary', isin: 'JP3633400001', aliases: ['Toyota'] },
+    { ticker: '6758.T', name: 'Sony Group Corporation', sector: 'Consumer Discretionary', isin: 'JP3435000009', aliases: ['Sony'] }
+];
@@ -0,0 +1,323 @@
+// Transaction Ledger - buys, sells, income and cash movements replayed into positions and realized gains
+// Transactions are { id, type, date, symbol, currency, shares, price, amount, fee, ratio, note }; which fields apply
+// depends on type. Amounts stay in the transaction's own currency; conversion happens when reporting.
+
+class TransactionLedger {
+    // options.currencyFor(symbol) supplies the currency for entries recorded before currencies were stored
+    constructor(transactions = [], options = {}) {
+        this.baseCurrency = options.baseCurrency || 'EUR';
+        this.currencyFor = options.currencyFor || (() => this.baseCurrency);
+        this.transactions = transactions.map(transaction => this.withCurrency(TransactionLedger.normalize(transaction)));
+        this.costMethod = options.costMethod || 'fifo';
+        this.setCostMethod(this.costMethod);
+    }
+
+    // Reads what is stored under keesPortfolio: nothing, the legacy array of buy lots, or a versioned ledger
+    static fromStorage(saved, options = {}) {
+        if (!saved) return new TransactionLedger([], options);
+        if (Array.isArray(saved)) return new TransactionLedger(TransactionLedger.migrate(saved, options.currencyFor), options);
+        if (saved.version === TransactionLedger.VERSION) {
+            return new TransactionLedger(saved.transactions || [], {
+                ...options,
+                costMethod: saved.costMethod,
+                baseCurrency: saved.baseCurrency || options.baseCurrency
+            });
+        }
+        throw new Error(`Unsupported portfolio format version: ${saved.version}`);
+    }
+
+    withCurrency(transaction) {
+        if (transaction.currency) return transaction;
+        return { ...transaction, currency: transaction.symbol ? this.currencyFor(transaction.symbol) : this.baseCurrency };
+    }
+
+    // Each legacy lot becomes a buy funded by a same-day deposit, so the cash balance starts at zero
+    static migrate(lots, currencyFor = () => null) {
+        return lots.flatMap(lot => {
+            const currency = currencyFor(lot.symbol);
+            const buy = {
+                id: lot.id,
+                type: 'buy',
+                date: lot.purchaseDate,
+                symbol: lot.symbol,
+                currency: currency,
+                shares: lot.shares,
+                price: lot.purchasePrice,
+                fee: 0,
+                dateAdded: lot.dateAdded
+            };
+            return [
+                { id: `${lot.id}-deposit`, type: 'deposit', date: lot.purchaseDate, currency: currency, amount: lot.shares * lot.purchasePrice, note: 'Funds for migrated purchase', dateAdded: lot.dateAdded },
+                buy
+            ];
+        });
+    }
+
+    static normalize(transaction) {
+        const number = value => value === undefined || value === null || value === '' ? null : parseFloat(value);
+        return {
+            id: String(transaction.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`),
+            type: transaction.type,
+            date: transaction.date,
+            symbol: transaction.symbol ? String(transaction.symbol).trim().toUpperCase() : null,
+            currency: transaction.currency ? String(transaction.currency).trim().toUpperCase() : null,
+            shares: number(transaction.shares),
+            price: number(transaction.price),
+            amount: number(transaction.amount),
+            fee: number(transaction.fee) || 0,
+            ratio: number(transaction.ratio),
+            note: transaction.note || '',
+            dateAdded: transaction.dateAdded || new Date().toISOString()
+        };
+    }
+
+    static validate(transaction) {
+        const required = TransactionLedger.TYPES[transaction.type];
+        if (!required) {
+            throw new Error(`Unknown transaction type: ${transaction.type}`);
+        }
+        if (!transaction.date || Number.isNaN(new Date(transaction.date).getTime())) {
+            throw new Error(`A ${transaction.type} needs a valid date`);
+        }
+        required.forEach(field => {
+            const value = transaction[field];
+            if (field === 'symbol' ? !value : !(Number.isFinite(value) && value > 0)) {
+                throw new Error(`A ${transaction.type} needs ${TransactionLedger.FIELD_LABELS[field]}`);
+            }
+        });
+        if (transaction.fee < 0) {
+            throw new Error('Fees cannot be negative');
+        }
+        if (!/^[A-Z]{3}$/.test(transaction.currency || '')) {
+            throw new Error(`Unknown currency: ${transaction.currency}`);
+        }
+    }
+
+    // Validates against the whole history first, so an entry that would oversell is never stored
+    add(transaction) {
+        const entry = this.withCurrency(TransactionLedger.normalize(transaction));
+        TransactionLedger.validate(entry);
+        const listed = entry.symbol && this.currencyOf(entry.symbol);
+        if (listed && listed !== entry.currency && entry.type !== 'dividend' && entry.type !== 'fee') {
+            throw new Error(`${entry.symbol} is already recorded in ${listed}, not ${entry.currency}`);
+        }
+        this.replay(this.costMethod, [...this.transactions, entry]);
+        this.transactions.push(entry);
+        return entry;
+    }
+
+    remove(id) {
+        const remaining = this.transactions.filter(transaction => transaction.id !== id);
+        if (remaining.length === this.transactions.length) {
+            throw new Error(`No transaction with id ${id}`);
+        }
+        this.replay(this.costMethod, remaining);
+        this.transactions = remaining;
+    }
+
+    // Trading currency of a symbol, taken from its first buy or sell
+    currencyOf(symbol) {
+        const trade = this.transactions.find(transaction => transaction.symbol === symbol && (transaction.type === 'buy' || transaction.type === 'sell'));
+        return trade ? trade.currency : null;
+    }
+
+    setBaseCurrency(currency) {
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`Unknown currency: ${currency}`);
+        }
+        this.baseCurrency = currency;
+    }
+
+    setCostMethod(method) {
+        if (!TransactionLedger.COST_METHODS.includes(method)) {
+            throw new Error(`Unknown cost basis method: ${method}`);
+        }
+        this.costMethod = method;
+    }
+
+    // Date order; entries on the same date keep the order they were recorded in
+    sorted(transactions = this.transactions) {
+        return transactions
+            .map((transaction, index) => ({ transaction, index }))
+            .sort((a, b) => a.transaction.date.localeCompare(b.transaction.date) || a.index - b.index)
+            .map(item => item.transaction);
+    }
+
+    // Totals are kept per currency ({ EUR: {...}, USD: {...} }) because they cannot be added up without FX rates
+    replay(method = this.costMethod, transactions = this.transactions) {
+        const positions = {};
+        const sales = [];
+        const balances = {};
+        const position = (symbol, currency) => positions[symbol] = positions[symbol] || {
+            symbol: symbol, currency: currency, lots: [], realizedGain: 0, dividends: 0, fees: 0
+        };
+
+        this.sorted(transactions).forEach(transaction => {
+            const { type, symbol, shares, price, amount, fee, currency } = transaction;
+            const totals = balances[currency] = balances[currency] || { cash: 0, deposits: 0, withdrawals: 0, realizedGain: 0, dividends: 0, fees: 0 };
+            totals.fees += fee;
+
+            switch (type) {
+                case 'deposit':
+                    totals.cash += amount;
+                    totals.deposits += amount;
+                    break;
+                case 'withdrawal':
+                    totals.cash -= amount;
+                    totals.withdrawals += amount;
+                    break;
+                case 'fee':
+                    totals.cash -= amount;
+                    totals.fees += amount;
+                    if (symbol) position(symbol, currency).fees += amount;
+                    break;
+                case 'dividend':
+                    totals.cash += amount - fee;
+                    totals.dividends += amount;
+                    position(symbol, currency).dividends += amount;
+                    break;
+                case 'buy': {
+                    // The buy fee is part of what the shares cost
+                    totals.cash -= shares * price + fee;
+                    const holding = position(symbol, currency);
+                    holding.fees += fee;
+                    holding.lots.push({ id: transaction.id, date: transaction.date, shares: shares, costPerShare: (shares * price + fee) / shares, price: price });
+                    if (method === 'average') this.averageLots(holding.lots);
+                    break;
+                }
+                case 'sell': {
+                    totals.cash += shares * price - fee;
+                    const holding = position(symbol, currency);
+                    holding.fees += fee;
+                    const sale = this.matchLots(holding, transaction, method);
+                    holding.realizedGain += sale.gain;
+                    totals.realizedGain += sale.gain;
+                    sales.push(sale);
+                    break;
+                }
+                case 'split':
+                    position(symbol, currency).lots.forEach(lot => {
+                        lot.shares *= transaction.ratio;
+                        lot.costPerShare /= transaction.ratio;
+                        lot.price /= transaction.ratio;
+                    });
+                    break;
+            }
+        });
+
+        Object.values(positions).forEach(holding => {
+            holding.shares = holding.lots.reduce((sum, lot) => sum + lot.shares, 0);
+            holding.costBasis = holding.lots.reduce((sum, lot) => sum + lot.shares * lot.costPerShare, 0);
+            holding.avgCost = holding.shares > 0 ? holding.costBasis / holding.shares : 0;
+        });
+
+        return { method, positions, sales, balances };
+    }
+
+    // Removes sold shares from the lots the method picks and returns the realized result
+    matchLots(holding, transaction, method) {
+        const held = holding.lots.reduce((sum, lot) => sum + lot.shares, 0);
+        if (transaction.shares > held + TransactionLedger.EPSILON) {
+            throw new Error(`Cannot sell ${transaction.shares} ${transaction.symbol} on ${transaction.date}: only ${parseFloat(held.toFixed(6))} held`);
+        }
+
+        const queue = method === 'lifo' ? [...holding.lots].reverse() : holding.lots;
+        const matches = [];
+        let remaining = transaction.shares;
+        for (const lot of queue) {
+            if (remaining <= TransactionLedger.EPSILON) break;
+            const taken = Math.min(lot.shares, remaining);
+            matches.push({ lotId: lot.id, date: lot.date, shares: taken, cost: taken * lot.costPerShare });
+            lot.shares -= taken;
+            remaining -= taken;
+        }
+        holding.lots = holding.lots.filter(lot => lot.shares > TransactionLedger.EPSILON);
+
+        const costBasis = matches.reduce((sum, match) => sum + match.cost, 0);
+        const proceeds = transaction.shares * transaction.price - transaction.fee;
+        return {
+            id: transaction.id,
+            symbol: transaction.symbol,
+            currency: transaction.currency,
+            date: transaction.date,
+            shares: transaction.shares,
+            proceeds: proceeds,
+            costBasis: costBasis,
+            gain: proceeds - costBasis,
+            matches: matches
+        };
+    }
+
+    // Average cost: every open lot carries the pooled cost per share
+    averageLots(lots) {
+        const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+        const cost = lots.reduce((sum, lot) => sum + lot.shares * lot.costPerShare, 0);
+        lots.forEach(lot => { lot.costPerShare = cost / shares; });
+    }
+
+    // Open lots in the original { symbol, shares, purchasePrice, purchaseDate } shape
+    openLots(method = this.costMethod) {
+        const { positions } = this.replay(method);
+        return Object.values(positions).flatMap(holding => holding.lots.map(lot => ({
+            id: lot.id,
+            symbol: holding.symbol,
+            currency: holding.currency,
+            shares: lot.shares,
+            purchasePrice: lot.costPerShare,
+            purchaseDate: lot.date
+        })));
+    }
+
+    // Buys and sells as signed lots for PerformanceAnalyzer, restated for later splits
+    // so they line up with split-adjusted price history
+    performanceLots() {
+        const splits = this.transactions.filter(transaction => transaction.type === 'split');
+        const splitFactor = (symbol, date) => splits
+            .filter(split => split.symbol === symbol && split.date > date)
+            .reduce((factor, split) => factor * split.ratio, 1);
+
+        return this.sorted()
+            .filter(transaction => transaction.type === 'buy' || transaction.type === 'sell')
+            .map(transaction => {
+                const factor = splitFactor(transaction.symbol, transaction.date);
+                const sign = transaction.type === 'sell' ? -1 : 1;
+                return {
+                    symbol: transaction.symbol,
+                    currency: transaction.currency,
+                    shares: sign * transaction.shares * factor,
+                    purchasePrice: transaction.price / factor,
+                    purchaseDate: transaction.date
+                };
+            });
+    }
+
+    toJSON() {
+        return { version: TransactionLedger.VERSION, costMethod: this.costMethod, baseCurrency: this.baseCurrency, transactions: this.transactions };
+    }
+}
+
+TransactionLedger.VERSION = 2;
+
+// Fields each transaction type must carry; fee is optional everywhere
+TransactionLedger.TYPES = {
+    buy: ['symbol', 'shares', 'price'],
+    sell: ['symbol', 'shares', 'price'],
+    dividend: ['symbol', 'amount'],
+    split: ['symbol', 'ratio'],
+    fee: ['amount'],
+    deposit: ['amount'],
+    withdrawal: ['amount']
+};
+
+TransactionLedger.FIELD_LABELS = {
+    symbol: 'a symbol',
+    shares: 'a positive number of shares',
+    price: 'a positive price',
+    amount: 'a positive amount',
+    ratio: 'a positive split ratio'
+};
+
+TransactionLedger.COST_METHODS = ['fifo', 'lifo', 'average'];
+
+// Fractional shares are stored as floats; anything smaller than this counts as zero
+TransactionLedger.EPSILON = 1e-9;
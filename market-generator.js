@@ -0,0 +1,214 @@
+// Synthetic Market Generator - deterministic OHLCV demo data keyed by symbol and seed
+
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed));
+        this.spare = null;
+    }
+
+    // xmur3-style string hash, so 'AAPL:demo' always maps to the same 32-bit state
+    static hash(text) {
+        let h = 1779033703 ^ text.length;
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^= h >>> 16) >>> 0;
+    }
+
+    // mulberry32: uniform in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Standard normal via Box-Muller, caching the second value
+    normal() {
+        if (this.spare !== null) {
+            const value = this.spare;
+            this.spare = null;
+            return value;
+        }
+        let u = 0;
+        while (u === 0) u = this.next();
+        const v = this.next();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        this.spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    }
+
+    between(min, max) {
+        return min + (max - min) * this.next();
+    }
+}
+
+class MarketGenerator {
+    constructor(options = {}) {
+        this.options = { ...MarketGenerator.DEFAULT_OPTIONS, ...options };
+        if (!['gbm', 'garch'].includes(this.options.model)) {
+            throw new Error(`Unknown volatility model: ${this.options.model}`);
+        }
+    }
+
+    // regimes: a regime name, 'auto' for a seeded Markov chain, or [{ regime, bars }] segments
+    buildRegimeSchedule(random, bars) {
+        const { regimes } = this.options;
+
+        if (Array.isArray(regimes)) {
+            const schedule = [];
+            regimes.forEach(segment => {
+                this.regimeParams(segment.regime);
+                for (let i = 0; i < segment.bars && schedule.length < bars; i++) schedule.push(segment.regime);
+            });
+            // The last segment carries on to fill the series
+            while (schedule.length < bars) schedule.push(schedule[schedule.length - 1] || 'sideways');
+            return schedule;
+        }
+
+        if (regimes !== 'auto') {
+            this.regimeParams(regimes);
+            return new Array(bars).fill(regimes);
+        }
+
+        const schedule = [];
+        let current = 'bull';
+        for (let i = 0; i < bars; i++) {
+            if (random.next() < 1 / MarketGenerator.REGIMES[current].meanBars) {
+                current = this.nextRegime(random, current);
+            }
+            schedule.push(current);
+        }
+        return schedule;
+    }
+
+    nextRegime(random, current) {
+        const transitions = MarketGenerator.TRANSITIONS[current];
+        let roll = random.next();
+        for (const [regime, probability] of Object.entries(transitions)) {
+            roll -= probability;
+            if (roll <= 0) return regime;
+        }
+        return 'sideways';
+    }
+
+    regimeParams(regime) {
+        const params = MarketGenerator.REGIMES[regime];
+        if (!params) {
+            throw new Error(`Unknown market regime: ${regime}`);
+        }
+        return params;
+    }
+
+    // Business days ending on endDate (inclusive when it is a weekday)
+    tradingDates(bars, endDate) {
+        const dates = [];
+        const date = new Date(`${endDate}T00:00:00Z`);
+        while (dates.length < bars) {
+            if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) {
+                dates.push(date.toISOString().split('T')[0]);
+            }
+            date.setUTCDate(date.getUTCDate() - 1);
+        }
+        return dates.reverse();
+    }
+
+    generate(symbol) {
+        const o = this.options;
+        const random = new SeededRandom(`${symbol}:${o.seed}`);
+        const dt = 1 / 252;
+        const schedule = this.buildRegimeSchedule(random, o.bars);
+        const baseVolume = Math.round(random.between(2, 20) * 1000000);
+        const endDate = o.endDate || new Date().toISOString().split('T')[0];
+
+        const garch = { alpha: 0.08, beta: 0.9 };
+        let variance = Math.pow(this.regimeParams(schedule[0]).volatility, 2) * dt;
+        let lastShock = 0;
+        let close = 100;
+
+        const bars = [];
+        for (let i = 0; i < o.bars; i++) {
+            const regime = this.regimeParams(schedule[i]);
+            const longRunVariance = Math.pow(regime.volatility * o.volatilityScale, 2) * dt;
+
+            if (o.model === 'garch') {
+                // GARCH(1,1) with the regime's volatility as the long-run level: shocks cluster
+                variance = longRunVariance * (1 - garch.alpha - garch.beta) + garch.alpha * lastShock * lastShock + garch.beta * variance;
+            } else {
+                variance = longRunVariance;
+            }
+
+            const sigma = Math.sqrt(variance);
+            const drift = (regime.drift + o.driftAdjustment) * dt;
+            const shock = sigma * random.normal();
+            const logReturn = drift - variance / 2 + shock;
+            lastShock = shock;
+
+            // Overnight gap is a small slice of the day's move; the rest happens intraday
+            const open = close * Math.exp(sigma * 0.25 * random.normal());
+            const nextClose = close * Math.exp(logReturn);
+            const wick = () => Math.abs(random.normal()) * sigma * 0.5;
+            const high = Math.max(open, nextClose) * (1 + wick());
+            const low = Math.min(open, nextClose) * (1 - wick());
+
+            // Volume rises with the size of the move relative to normal volatility
+            const surprise = Math.abs(logReturn) / Math.sqrt(longRunVariance);
+            const volume = baseVolume * (0.6 + 0.4 * surprise) * Math.exp(0.25 * random.normal());
+
+            bars.push({ open, high, low, close: nextClose, volume: Math.round(volume), regime: schedule[i] });
+            close = nextClose;
+        }
+
+        // Anchor the path so the latest close lands on the symbol's reference price
+        const scale = o.basePrice / close;
+        const round = value => parseFloat((value * scale).toFixed(2));
+        const dates = this.tradingDates(o.bars, endDate);
+
+        const prices = bars.map(bar => round(bar.close));
+        return {
+            symbol: symbol,
+            interval: 'daily',
+            dates: dates,
+            opens: bars.map(bar => round(bar.open)),
+            prices: prices,
+            // Rounding can nudge a wick inside the body; keep highs and lows enclosing open and close
+            highs: bars.map((bar, i) => Math.max(round(bar.high), round(bar.open), prices[i])),
+            lows: bars.map((bar, i) => Math.min(round(bar.low), round(bar.open), prices[i])),
+            volumes: bars.map(bar => bar.volume),
+            regimes: bars.map(bar => bar.regime),
+            currentPrice: prices[prices.length - 1],
+            lastUpdate: new Date().toISOString(),
+            isDemo: true,
+            seed: o.seed
+        };
+    }
+}
+
+// Annualized drift and volatility per regime; meanBars is the expected length in 'auto' mode
+MarketGenerator.REGIMES = {
+    bull: { drift: 0.25, volatility: 0.18, meanBars: 120 },
+    bear: { drift: -0.30, volatility: 0.30, meanBars: 60 },
+    crash: { drift: -2.5, volatility: 0.70, meanBars: 8 },
+    sideways: { drift: 0, volatility: 0.14, meanBars: 80 }
+};
+
+MarketGenerator.TRANSITIONS = {
+    bull: { sideways: 0.6, bear: 0.3, crash: 0.1 },
+    bear: { sideways: 0.5, bull: 0.3, crash: 0.2 },
+    crash: { bear: 0.6, sideways: 0.4 },
+    sideways: { bull: 0.55, bear: 0.4, crash: 0.05 }
+};
+
+MarketGenerator.DEFAULT_OPTIONS = {
+    seed: 'demo',
+    bars: 1305, // five years of weekdays
+    basePrice: 100,
+    regimes: 'auto',
+    model: 'garch',
+    volatilityScale: 1,
+    driftAdjustment: 0,
+    endDate: null
+};
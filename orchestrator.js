@@ -0,0 +1,230 @@
+// Research Orchestrator - runs the five agents as one pipeline
+
+class ResearchPipelineError extends Error {
+    constructor(stage, cause) {
+        super(`${stage} stage failed: ${cause && cause.message ? cause.message : cause}`);
+        this.name = 'ResearchPipelineError';
+        this.stage = stage;
+        this.cause = cause;
+    }
+}
+
+class ResearchCancelledError extends Error {
+    constructor(stage) {
+        super(`Research cancelled during ${stage} stage`);
+        this.name = 'ResearchCancelledError';
+        this.stage = stage;
+    }
+}
+
+class ResearchOrchestrator {
+    constructor(agents = {}) {
+        this.name = "Research Orchestrator";
+        this.dataAgent = agents.dataAgent || new DataAgent();
+        this.fundamentalsAgent = agents.fundamentalsAgent || new FundamentalsAgent({
+            instruments: this.dataAgent.instruments,
+            cacheStore: this.dataAgent.cache.store,
+            budget: this.dataAgent.callBudget
+        });
+        this.analysisAgent = agents.analysisAgent || new AnalysisAgent();
+        this.sentimentAgent = agents.sentimentAgent || new SentimentAgent();
+        this.reportAgent = agents.reportAgent || new ReportAgent();
+        this.listeners = new Map();
+        this.controllers = new Set();
+    }
+
+    // Stages run in order; each reads from and writes to the shared context
+    getStages() {
+        return [
+            {
+                name: 'data',
+                agent: this.dataAgent,
+                run: (context) => this.dataAgent.fetchStockData(context.symbol, { ...context.dataOptions, signal: context.signal }),
+                store: (context, result) => { context.stockData = result; }
+            },
+            {
+                name: 'fundamentals',
+                agent: this.fundamentalsAgent,
+                run: (context) => this.fundamentalsAgent.analyzeFundamentals(context.symbol, context.stockData, { signal: context.signal }),
+                store: (context, result) => { context.fundamentals = result; }
+            },
+            {
+                name: 'analysis',
+                agent: this.analysisAgent,
+                run: (context) => this.analysisAgent.analyze(context.stockData, { fundamentals: context.fundamentals }),
+                store: (context, result) => { context.analysis = result; }
+            },
+            {
+                name: 'sentiment',
+                agent: this.sentimentAgent,
+                run: (context) => this.sentimentAgent.analyzeSentiment(context.symbol, { signal: context.signal }),
+                store: (context, result) => { context.sentiment = result; }
+            },
+            {
+                name: 'report',
+                agent: this.reportAgent,
+                run: (context) => this.reportAgent.generateReport(context.stockData, context.analysis, context.sentiment, context.mode),
+                store: (context, result) => { context.report = result; }
+            }
+        ];
+    }
+
+    // options.stages limits a run to some stages, e.g. ['data', 'analysis'] when no report is needed
+    selectStages(names) {
+        const stages = this.getStages();
+        if (!names) return stages;
+        const unknown = names.filter(name => !stages.some(stage => stage.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown pipeline stage: ${unknown.join(', ')}`);
+        }
+        return stages.filter(stage => names.includes(stage.name));
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) handlers.delete(handler);
+    }
+
+    emit(event, detail) {
+        const handlers = [...(this.listeners.get(event) || []), ...(this.listeners.get('*') || [])];
+        handlers.forEach(handler => {
+            try {
+                handler({ type: event, ...detail });
+            } catch (error) {
+                console.warn(`Listener for ${event} failed:`, error);
+            }
+        });
+    }
+
+    async run(symbol, mode = 'beginner', options = {}) {
+        if (!symbol) {
+            throw new Error('A stock symbol is required');
+        }
+        if (mode !== 'beginner' && mode !== 'advanced') {
+            throw new Error(`Unknown report mode: ${mode}`);
+        }
+
+        const stages = this.selectStages(options.stages);
+        const controller = new AbortController();
+        const unlink = this.linkSignal(options.signal, controller);
+        this.controllers.add(controller);
+
+        const context = {
+            symbol: symbol.trim().toUpperCase(),
+            mode: mode,
+            dataOptions: { range: options.range, interval: options.interval },
+            signal: controller.signal,
+            timings: {}
+        };
+        const runStarted = Date.now();
+
+        this.emit('run:start', { symbol: context.symbol, mode, stages: stages.map(s => s.name) });
+
+        try {
+            for (let i = 0; i < stages.length; i++) {
+                await this.runStage(stages[i], i, stages.length, context, options);
+            }
+
+            const result = {
+                symbol: context.symbol,
+                mode: mode,
+                stockData: context.stockData,
+                fundamentals: context.fundamentals,
+                analysis: context.analysis,
+                sentiment: context.sentiment,
+                report: context.report,
+                timings: context.timings,
+                durationMs: Date.now() - runStarted
+            };
+            this.emit('run:complete', { symbol: context.symbol, result, durationMs: result.durationMs });
+            return result;
+
+        } catch (error) {
+            const type = error instanceof ResearchCancelledError ? 'run:cancelled' : 'run:error';
+            this.emit(type, { symbol: context.symbol, stage: error.stage, error, durationMs: Date.now() - runStarted });
+            throw error;
+        } finally {
+            // Also stops requests a timed-out stage left running
+            controller.abort();
+            unlink();
+            this.controllers.delete(controller);
+        }
+    }
+
+    async runStage(stage, index, total, context, options) {
+        const detail = { symbol: context.symbol, stage: stage.name, agent: stage.agent.name, index, total };
+
+        if (context.signal.aborted) {
+            throw new ResearchCancelledError(stage.name);
+        }
+
+        this.emit('stage:start', { ...detail, progress: index / total });
+        const started = Date.now();
+
+        try {
+            const result = await this.withCancellation(stage.run(context), context.signal, stage.name, options.stageTimeoutMs);
+            const durationMs = Date.now() - started;
+            stage.store(context, result);
+            context.timings[stage.name] = durationMs;
+            this.emit('stage:complete', { ...detail, durationMs, progress: (index + 1) / total });
+        } catch (error) {
+            const durationMs = Date.now() - started;
+            context.timings[stage.name] = durationMs;
+
+            if (error instanceof ResearchCancelledError) {
+                this.emit('stage:cancelled', { ...detail, durationMs });
+                throw error;
+            }
+
+            const failure = new ResearchPipelineError(stage.name, error);
+            this.emit('stage:error', { ...detail, durationMs, error: failure });
+            throw failure;
+        }
+    }
+
+    withCancellation(promise, signal, stageName, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            // Whichever settles first clears the others, so no timer keeps a Node process alive
+            const cleanup = () => {
+                signal.removeEventListener('abort', onAbort);
+                if (timer) clearTimeout(timer);
+            };
+            const onAbort = () => { cleanup(); reject(new ResearchCancelledError(stageName)); };
+
+            signal.addEventListener('abort', onAbort);
+            if (timeoutMs) {
+                timer = setTimeout(() => { cleanup(); reject(new Error(`Timed out after ${timeoutMs}ms`)); }, timeoutMs);
+            }
+
+            Promise.resolve(promise).then(
+                value => { cleanup(); resolve(value); },
+                error => { cleanup(); reject(error); }
+            );
+        });
+    }
+
+    linkSignal(external, controller) {
+        if (!external) return () => {};
+        if (external.aborted) {
+            controller.abort();
+            return () => {};
+        }
+        const onAbort = () => controller.abort();
+        external.addEventListener('abort', onAbort);
+        return () => external.removeEventListener('abort', onAbort);
+    }
+
+    // Cancels every run in flight; the active stage rejects immediately
+    cancel() {
+        this.controllers.forEach(controller => controller.abort());
+    }
+}
@@ -0,0 +1,410 @@
+// Pattern Detector - swing pivots, support/resistance zones, Fibonacci retracements and classic chart patterns
+// Works on a DataAgent series (highs, lows, prices, dates). A pivot needs `pivotWindow` bars on each side,
+// so nothing here looks ahead: the newest pivots only appear once those bars exist.
+
+class PatternDetector {
+    constructor(options = {}) {
+        this.options = { ...PatternDetector.DEFAULT_OPTIONS, ...options };
+    }
+
+    analyze(data) {
+        const pivots = this.findPivots(data);
+        const swings = this.findSwings(pivots);
+        const patterns = [
+            ...this.detectDoubles(data, swings, 'high'),
+            ...this.detectDoubles(data, swings, 'low'),
+            ...this.detectHeadAndShoulders(data, swings, 'high'),
+            ...this.detectHeadAndShoulders(data, swings, 'low'),
+            ...this.detectTriangle(data, swings),
+            ...this.detectFlag(data)
+        ];
+        return {
+            zones: this.findZones(data, pivots),
+            fibonacci: this.fibonacci(data),
+            patterns: this.dedupe(patterns).sort((a, b) => b.endIndex - a.endIndex || b.confidence - a.confidence)
+        };
+    }
+
+    // Bars whose high (or low) is the extreme of the `window` bars on either side
+    findPivots(data, window = this.options.pivotWindow) {
+        const pivots = [];
+        for (let i = window; i < data.dates.length - window; i++) {
+            if (data.highs[i] === Math.max(...data.highs.slice(i - window, i + window + 1))) {
+                pivots.push({ kind: 'high', index: i, date: data.dates[i], price: data.highs[i] });
+            }
+            if (data.lows[i] === Math.min(...data.lows.slice(i - window, i + window + 1))) {
+                pivots.push({ kind: 'low', index: i, date: data.dates[i], price: data.lows[i] });
+            }
+        }
+        return pivots;
+    }
+
+    // Alternating highs and lows; moves smaller than minSwing are noise, and of two highs (or lows) in a row the extreme wins
+    findSwings(pivots) {
+        const swings = [];
+        pivots.forEach(pivot => {
+            const last = swings[swings.length - 1];
+            if (!last) {
+                swings.push(pivot);
+            } else if (last.kind === pivot.kind) {
+                if (pivot.kind === 'high' ? pivot.price >= last.price : pivot.price <= last.price) swings[swings.length - 1] = pivot;
+            } else if (Math.abs(pivot.price - last.price) / last.price >= this.options.minSwing) {
+                swings.push(pivot);
+            }
+        });
+        return swings;
+    }
+
+    // Pivots within zoneTolerance of each other form a zone; a zone below the last close is support, above it resistance
+    findZones(data, pivots) {
+        const last = data.dates.length - 1;
+        const close = data.prices[last];
+        const from = last - this.options.zoneLookback;
+        const clusters = [];
+
+        pivots
+            .filter(pivot => pivot.index >= from)
+            .sort((a, b) => a.price - b.price)
+            .forEach(pivot => {
+                const cluster = clusters[clusters.length - 1];
+                if (cluster && pivot.price - cluster.sum / cluster.pivots.length <= close * this.options.zoneTolerance) {
+                    cluster.pivots.push(pivot);
+                    cluster.sum += pivot.price;
+                } else {
+                    clusters.push({ pivots: [pivot], sum: pivot.price });
+                }
+            });
+
+        const zones = clusters
+            .filter(cluster => cluster.pivots.length >= this.options.minTouches)
+            .map(cluster => {
+                const price = cluster.sum / cluster.pivots.length;
+                const latest = Math.max(...cluster.pivots.map(pivot => pivot.index));
+                const touches = cluster.pivots.length;
+                // More touches and a recent test both make a level more likely to matter again
+                const recency = 1 - Math.min(1, (last - latest) / this.options.zoneLookback);
+                return {
+                    kind: price <= close ? 'support' : 'resistance',
+                    price: this.round(price),
+                    low: this.round(Math.min(...cluster.pivots.map(pivot => pivot.price))),
+                    high: this.round(Math.max(...cluster.pivots.map(pivot => pivot.price))),
+                    touches: touches,
+                    strength: this.round(0.6 * Math.min(1, (touches - 1) / 4) + 0.4 * recency),
+                    firstDate: data.dates[Math.min(...cluster.pivots.map(pivot => pivot.index))],
+                    lastDate: data.dates[latest]
+                };
+            });
+
+        // The nearest few on each side, listed from the highest price down
+        const nearest = kind => zones
+            .filter(zone => zone.kind === kind)
+            .sort((a, b) => Math.abs(a.price - close) - Math.abs(b.price - close))
+            .slice(0, this.options.maxZones);
+        return [...nearest('resistance'), ...nearest('support')].sort((a, b) => b.price - a.price);
+    }
+
+    // Retracements of the largest swing in the lookback; after a rally they are measured down from the high
+    fibonacci(data) {
+        const last = data.dates.length - 1;
+        const from = Math.max(0, last - this.options.fibonacciLookback);
+        let high = from;
+        let low = from;
+        for (let i = from; i <= last; i++) {
+            if (data.highs[i] > data.highs[high]) high = i;
+            if (data.lows[i] < data.lows[low]) low = i;
+        }
+        const range = data.highs[high] - data.lows[low];
+        if (!(range > 0)) return null;
+
+        const up = low < high;
+        const levels = PatternDetector.FIBONACCI_RATIOS.map(ratio => ({
+            ratio: ratio,
+            price: this.round(up ? data.highs[high] - range * ratio : data.lows[low] + range * ratio)
+        }));
+        const close = data.prices[last];
+        const inner = levels.filter(level => level.ratio > 0 && level.ratio < 1);
+        return {
+            direction: up ? 'up' : 'down',
+            high: { price: this.round(data.highs[high]), date: data.dates[high] },
+            low: { price: this.round(data.lows[low]), date: data.dates[low] },
+            levels: levels,
+            nearest: inner.reduce((best, level) => Math.abs(level.price - close) < Math.abs(best.price - close) ? level : best, inner[0])
+        };
+    }
+
+    // Two peaks (or troughs) at about the same price with a meaningful dip between; confirmed when the close breaks the dip
+    detectDoubles(data, swings, kind) {
+        const top = kind === 'high';
+        const { peakTolerance, minDepth, minPatternBars } = this.options;
+        const recent = this.recentSwings(data, swings);
+        const patterns = [];
+
+        for (let k = 0; k + 2 < recent.length; k++) {
+            const [first, middle, second] = recent.slice(k, k + 3);
+            if (first.kind !== kind || second.index - first.index < minPatternBars) continue;
+
+            const extreme = top ? Math.max(first.price, second.price) : Math.min(first.price, second.price);
+            const inner = top ? Math.min(first.price, second.price) : Math.max(first.price, second.price);
+            const difference = Math.abs(first.price - second.price) / extreme;
+            const depth = Math.abs(inner - middle.price) / inner;
+            if (difference > peakTolerance || depth < minDepth) continue;
+
+            const after = this.closesAfter(data, second.index);
+            // A close beyond both peaks means the level gave way instead
+            if (after.some(({ close }) => top ? close > extreme : close < extreme)) continue;
+            const breakout = after.find(({ close }) => top ? close < middle.price : close > middle.price);
+            if (!breakout && after.length > this.options.maxFormingBars) continue;
+
+            const height = Math.abs(extreme - middle.price);
+            const confidence = 0.35 + 0.25 * (1 - difference / peakTolerance) + 0.2 * Math.min(1, depth / (3 * minDepth)) + (breakout ? 0.2 : 0);
+            patterns.push(this.createPattern(data, {
+                type: top ? 'double_top' : 'double_bottom',
+                label: top ? 'Double Top' : 'Double Bottom',
+                direction: top ? 'bearish' : 'bullish',
+                startIndex: first.index,
+                endIndex: breakout ? breakout.index : second.index,
+                confirmed: Boolean(breakout),
+                confidence: confidence,
+                level: middle.price,
+                target: top ? middle.price - height : middle.price + height,
+                explanation: top
+                    ? `The price peaked near ${this.round(first.price)} on ${first.date} and again on ${second.date} without breaking higher. ${breakout ? `It then closed below the ${this.round(middle.price)} low between the peaks, which usually confirms a reversal down.` : `A close below ${this.round(middle.price)}, the low between the peaks, would confirm a reversal down.`}`
+                    : `The price bottomed near ${this.round(first.price)} on ${first.date} and again on ${second.date} without breaking lower. ${breakout ? `It then closed above the ${this.round(middle.price)} high between the lows, which usually confirms a reversal up.` : `A close above ${this.round(middle.price)}, the high between the lows, would confirm a reversal up.`}`
+            }));
+        }
+        return patterns;
+    }
+
+    // Shoulder, head, shoulder with the head beyond both shoulders; the neckline joins the two reactions between them
+    detectHeadAndShoulders(data, swings, kind) {
+        const top = kind === 'high';
+        const { shoulderTolerance, headMargin } = this.options;
+        const recent = this.recentSwings(data, swings);
+        const patterns = [];
+
+        for (let k = 0; k + 4 < recent.length; k++) {
+            const [left, neck1, head, neck2, right] = recent.slice(k, k + 5);
+            if (left.kind !== kind) continue;
+
+            const shoulder = top ? Math.max(left.price, right.price) : Math.min(left.price, right.price);
+            const difference = Math.abs(left.price - right.price) / shoulder;
+            const margin = top ? head.price / shoulder - 1 : 1 - head.price / shoulder;
+            if (difference > shoulderTolerance || margin < headMargin) continue;
+
+            const neckline = index => neck1.price + (neck2.price - neck1.price) * (index - neck1.index) / (neck2.index - neck1.index);
+            const after = this.closesAfter(data, right.index);
+            if (after.some(({ close }) => top ? close > head.price : close < head.price)) continue;
+            const breakout = after.find(({ close, index }) => top ? close < neckline(index) : close > neckline(index));
+            if (!breakout && after.length > this.options.maxFormingBars) continue;
+
+            const end = breakout ? breakout.index : right.index;
+            const height = Math.abs(head.price - neckline(head.index));
+            const confidence = 0.4 + 0.2 * (1 - difference / shoulderTolerance) + 0.2 * Math.min(1, margin / (2 * headMargin)) + (breakout ? 0.2 : 0);
+            patterns.push(this.createPattern(data, {
+                type: top ? 'head_and_shoulders' : 'inverse_head_and_shoulders',
+                label: top ? 'Head and Shoulders' : 'Inverse Head and Shoulders',
+                direction: top ? 'bearish' : 'bullish',
+                startIndex: left.index,
+                endIndex: end,
+                confirmed: Boolean(breakout),
+                confidence: confidence,
+                level: neckline(end),
+                target: top ? neckline(end) - height : neckline(end) + height,
+                explanation: top
+                    ? `Three peaks between ${left.date} and ${right.date}, the middle one (${this.round(head.price)}) highest. ${breakout ? 'The price has closed below the neckline joining the lows between them, a classic sign that an uptrend is over.' : `A close below the neckline, now near ${this.round(neckline(end))}, would signal that the uptrend is over.`}`
+                    : `Three troughs between ${left.date} and ${right.date}, the middle one (${this.round(head.price)}) lowest. ${breakout ? 'The price has closed above the neckline joining the highs between them, a classic sign that a downtrend is over.' : `A close above the neckline, now near ${this.round(neckline(end))}, would signal that the downtrend is over.`}`
+            }));
+        }
+        return patterns;
+    }
+
+    // Trend lines through the latest swing highs and lows that converge: flat top and rising bottom is ascending,
+    // falling top and flat bottom descending, both moving inwards symmetrical
+    detectTriangle(data, swings) {
+        const recent = this.recentSwings(data, swings).slice(-this.options.triangleSwings);
+        const highs = recent.filter(swing => swing.kind === 'high');
+        const lows = recent.filter(swing => swing.kind === 'low');
+        if (highs.length < 2 || lows.length < 2) return [];
+
+        const start = recent[0].index;
+        const last = data.dates.length - 1;
+        if (last - start < 2 * this.options.minPatternBars) return [];
+
+        const upper = this.fitLine(highs);
+        const lower = this.fitLine(lows);
+        const average = recent.reduce((sum, swing) => sum + swing.price, 0) / recent.length;
+        const slope = line => line.slope / average * 100;
+        const flat = this.options.flatSlope;
+        const upperSlope = slope(upper);
+        const lowerSlope = slope(lower);
+
+        let shape = null;
+        if (Math.abs(upperSlope) <= flat && lowerSlope > flat) shape = 'ascending';
+        else if (upperSlope < -flat && Math.abs(lowerSlope) <= flat) shape = 'descending';
+        else if (upperSlope < -flat && lowerSlope > flat) shape = 'symmetrical';
+        if (!shape) return [];
+
+        const lastSwing = recent[recent.length - 1].index;
+        const widthAt = index => upper.at(index) - lower.at(index);
+        if (!(widthAt(lastSwing) > 0) || widthAt(lastSwing) >= widthAt(start)) return [];
+
+        const breakout = this.closesAfter(data, lastSwing).find(({ close, index }) => close > upper.at(index) || close < lower.at(index));
+        const brokeUp = breakout && breakout.close > upper.at(breakout.index);
+        const direction = breakout ? (brokeUp ? 'bullish' : 'bearish') : PatternDetector.TRIANGLE_BIAS[shape];
+        const touches = highs.length + lows.length;
+        const confidence = 0.35 + Math.min(0.25, 0.08 * (touches - 4)) + 0.2 * (1 - Math.min(1, (upper.error + lower.error) / (average * this.options.peakTolerance))) + (breakout ? 0.2 : 0);
+        const end = breakout ? breakout.index : last;
+        const names = { ascending: 'Ascending Triangle', descending: 'Descending Triangle', symmetrical: 'Symmetrical Triangle' };
+        const lean = { ascending: 'Buyers keep paying more while sellers hold a ceiling, which usually resolves upward.', descending: 'Sellers keep asking less while buyers hold a floor, which usually resolves downward.', symmetrical: 'Highs are falling and lows rising; the breakout direction decides the next move.' };
+
+        return [this.createPattern(data, {
+            type: `${shape}_triangle`,
+            label: names[shape],
+            direction: direction,
+            startIndex: start,
+            endIndex: end,
+            confirmed: Boolean(breakout),
+            confidence: confidence,
+            level: brokeUp || (!breakout && shape !== 'descending') ? upper.at(end) : lower.at(end),
+            target: null,
+            explanation: `Since ${data.dates[start]} the price has narrowed between ${this.round(upper.at(end))} and ${this.round(lower.at(end))}. ${lean[shape]}${breakout ? ` It broke ${brokeUp ? 'above' : 'below'} the triangle on ${breakout.date}.` : ''}`
+        })];
+    }
+
+    // A sharp move (the pole) followed by a short, tight pause against it, ending at the latest bar
+    detectFlag(data) {
+        const { poleMinMove, poleMaxBars, flagMinBars, flagMaxBars, flagMaxRetrace } = this.options;
+        const closes = data.prices;
+        const last = closes.length - 1;
+        let best = null;
+
+        for (let poleEnd = last - flagMinBars; poleEnd >= Math.max(1, last - flagMaxBars); poleEnd--) {
+            for (let poleStart = poleEnd - 3; poleStart >= Math.max(0, poleEnd - poleMaxBars); poleStart--) {
+                const move = (closes[poleEnd] - closes[poleStart]) / closes[poleStart];
+                if (Math.abs(move) < poleMinMove) continue;
+
+                const up = move > 0;
+                const pole = Math.abs(closes[poleEnd] - closes[poleStart]);
+                const flagHigh = Math.max(...data.highs.slice(poleEnd + 1, last + 1));
+                const flagLow = Math.min(...data.lows.slice(poleEnd + 1, last + 1));
+                const range = flagHigh - flagLow;
+                // The pause may give back at most flagMaxRetrace of the pole (a Fibonacci 38.2%) and must not extend it
+                const retrace = up ? closes[poleEnd] - flagLow : flagHigh - closes[poleEnd];
+                const overshoots = up ? flagHigh > Math.max(...data.highs.slice(poleStart, poleEnd + 1)) * 1.01 : flagLow < Math.min(...data.lows.slice(poleStart, poleEnd + 1)) * 0.99;
+                if (range > flagMaxRetrace * pole || retrace > flagMaxRetrace * pole || overshoots) continue;
+
+                const confidence = 0.4 + 0.3 * Math.min(1, Math.abs(move) / (2 * poleMinMove)) + 0.3 * (1 - range / (flagMaxRetrace * pole));
+                if (!best || confidence > best.confidence) {
+                    best = { poleStart, poleEnd, up, move, pole, flagHigh, flagLow, confidence };
+                }
+            }
+        }
+        if (!best) return [];
+
+        const percent = Math.abs(best.move * 100).toFixed(1);
+        return [this.createPattern(data, {
+            type: best.up ? 'bull_flag' : 'bear_flag',
+            label: best.up ? 'Bull Flag' : 'Bear Flag',
+            direction: best.up ? 'bullish' : 'bearish',
+            startIndex: best.poleStart,
+            endIndex: last,
+            confirmed: false,
+            confidence: best.confidence,
+            level: best.up ? best.flagHigh : best.flagLow,
+            target: best.up ? best.flagHigh + best.pole : best.flagLow - best.pole,
+            explanation: `A sharp ${percent}% ${best.up ? 'rise' : 'fall'} from ${data.dates[best.poleStart]} to ${data.dates[best.poleEnd]} was followed by a tight pause. Flags like this often continue in the direction of the first move once the price breaks ${best.up ? `above ${this.round(best.flagHigh)}` : `below ${this.round(best.flagLow)}`}.`
+        })];
+    }
+
+    createPattern(data, pattern) {
+        return {
+            type: pattern.type,
+            label: pattern.label,
+            direction: pattern.direction,
+            status: pattern.confirmed ? 'confirmed' : 'forming',
+            startDate: data.dates[pattern.startIndex],
+            endDate: data.dates[pattern.endIndex],
+            startIndex: pattern.startIndex,
+            endIndex: pattern.endIndex,
+            confidence: this.round(Math.max(0, Math.min(1, pattern.confidence))),
+            level: this.round(pattern.level),
+            target: pattern.target === null ? null : this.round(pattern.target),
+            explanation: pattern.explanation
+        };
+    }
+
+    // Swings that start inside the pattern lookback
+    recentSwings(data, swings) {
+        const from = data.dates.length - 1 - this.options.patternLookback;
+        return swings.filter(swing => swing.index >= from);
+    }
+
+    closesAfter(data, index) {
+        const closes = [];
+        for (let i = index + 1; i < data.prices.length; i++) {
+            closes.push({ index: i, date: data.dates[i], close: data.prices[i] });
+        }
+        return closes;
+    }
+
+    // Least-squares line through pivots; error is the mean distance of the pivots from it
+    fitLine(points) {
+        const n = points.length;
+        const meanX = points.reduce((sum, point) => sum + point.index, 0) / n;
+        const meanY = points.reduce((sum, point) => sum + point.price, 0) / n;
+        const covariance = points.reduce((sum, point) => sum + (point.index - meanX) * (point.price - meanY), 0);
+        const variance = points.reduce((sum, point) => sum + Math.pow(point.index - meanX, 2), 0);
+        const slope = variance === 0 ? 0 : covariance / variance;
+        const at = index => meanY + slope * (index - meanX);
+        return { slope, at, error: points.reduce((sum, point) => sum + Math.abs(point.price - at(point.index)), 0) / n };
+    }
+
+    // Overlapping patterns of one type describe one formation, and a pattern inside a larger one is part of it;
+    // the most confident (then the longest) stays
+    dedupe(patterns) {
+        const kept = [];
+        [...patterns]
+            .sort((a, b) => b.confidence - a.confidence || (b.endIndex - b.startIndex) - (a.endIndex - a.startIndex))
+            .forEach(pattern => {
+                const covered = kept.some(other => other.type === pattern.type
+                    ? pattern.startIndex <= other.endIndex && other.startIndex <= pattern.endIndex
+                    : pattern.startIndex >= other.startIndex && pattern.endIndex <= other.endIndex);
+                if (!covered) kept.push(pattern);
+            });
+        return kept;
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+PatternDetector.DEFAULT_OPTIONS = {
+    pivotWindow: 5,
+    minSwing: 0.02,
+    zoneLookback: 250,
+    zoneTolerance: 0.015,
+    minTouches: 2,
+    maxZones: 3,
+    fibonacciLookback: 120,
+    patternLookback: 120,
+    minPatternBars: 8,
+    // An unconfirmed pattern whose last swing is older than this has stalled rather than still forming
+    maxFormingBars: 30,
+    peakTolerance: 0.03,
+    minDepth: 0.03,
+    shoulderTolerance: 0.05,
+    headMargin: 0.02,
+    triangleSwings: 6,
+    flatSlope: 0.03,
+    poleMinMove: 0.08,
+    poleMaxBars: 15,
+    flagMinBars: 5,
+    flagMaxBars: 20,
+    flagMaxRetrace: 0.38
+};
+
+PatternDetector.FIBONACCI_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+// Which way an unbroken triangle usually resolves
+PatternDetector.TRIANGLE_BIAS = { ascending: 'bullish', descending: 'bearish', symmetrical: 'neutral' };
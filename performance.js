@@ -0,0 +1,289 @@
+// Performance Analyzer - portfolio value history, TWR/IRR returns and benchmark comparison from purchase lots
+// Lots are { symbol, currency, shares, purchasePrice, purchaseDate }; negative shares record a sale at purchasePrice.
+// With a CurrencyConverter, prices and flows are converted into options.baseCurrency at each day's rate.
+
+class PerformanceAnalyzer {
+    constructor(options = {}) {
+        this.dataAgent = options.dataAgent || new DataAgent();
+        this.converter = options.converter || null;
+        this.options = { ...PerformanceAnalyzer.DEFAULT_OPTIONS, ...options };
+    }
+
+    async analyze(lots, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        if (lots.length === 0) {
+            throw new Error('Performance analysis needs at least one investment');
+        }
+
+        const firstDate = lots.map(lot => lot.purchaseDate).sort()[0];
+        const range = this.rangeCovering(firstDate);
+        const symbols = [...new Set(lots.map(lot => lot.symbol))];
+        const warnings = [];
+        if (this.converter) await this.converter.load(firstDate);
+
+        // A missing benchmark only loses the comparison; a missing holding loses the whole history
+        const [holdings, benchmark] = await Promise.all([
+            Promise.all(symbols.map(symbol => this.dataAgent.fetchStockData(symbol, { range }))),
+            options.benchmark
+                ? this.dataAgent.fetchStockData(options.benchmark, { range }).catch(error => {
+                    warnings.push(`Benchmark ${options.benchmark} unavailable: ${error.message}`);
+                    return null;
+                })
+                : Promise.resolve(null)
+        ]);
+
+        const seriesBySymbol = {};
+        symbols.forEach((symbol, i) => { seriesBySymbol[symbol] = holdings[i]; });
+        return this.compute(lots, seriesBySymbol, benchmark, { ...options, warnings });
+    }
+
+    // Pure part of analyze(): no fetching, so it can run on cached or CSV series
+    compute(lots, seriesBySymbol, benchmarkSeries = null, options = this.options) {
+        const warnings = [...(options.warnings || [])];
+        const firstDate = lots.map(lot => lot.purchaseDate).sort()[0];
+        const dates = this.tradingDates(Object.values(seriesBySymbol), firstDate);
+        if (dates.length === 0) {
+            throw new Error(`No price history on or after ${firstDate}`);
+        }
+
+        const currencies = {};
+        lots.forEach(lot => { currencies[lot.symbol] = lot.currency; });
+        const toBase = (amount, currency, date) => this.converter && currency && options.baseCurrency
+            ? this.converter.convert(amount, currency, options.baseCurrency, date)
+            : amount;
+        // Local close converted at the same day's rate; null before the series starts
+        const convertedLookup = (series, currency) => {
+            const lookup = this.priceLookup(series);
+            return date => {
+                const price = lookup(date);
+                return price === null ? null : toBase(price, currency, date);
+            };
+        };
+
+        const priceLookups = {};
+        Object.entries(seriesBySymbol).forEach(([symbol, series]) => {
+            priceLookups[symbol] = convertedLookup(series, currencies[symbol]);
+            if (series.isDemo) warnings.push(`${symbol} is valued with demo data, not market prices`);
+            if (series.dates[0] > firstDate) warnings.push(`${symbol} history starts ${series.dates[0]}; earlier days use the purchase price`);
+        });
+        const benchmarkPrice = benchmarkSeries ? convertedLookup(benchmarkSeries, options.benchmarkCurrency) : null;
+        if (benchmarkSeries?.isDemo) warnings.push(`Benchmark ${benchmarkSeries.symbol} uses demo data`);
+
+        // Lots bought on a weekend or holiday count from the next trading day
+        const flowIndex = lot => {
+            const index = dates.findIndex(date => date >= lot.purchaseDate);
+            return index === -1 ? dates.length - 1 : index;
+        };
+        const lotsByIndex = {};
+        lots.forEach(lot => {
+            const index = flowIndex(lot);
+            (lotsByIndex[index] = lotsByIndex[index] || []).push(lot);
+        });
+
+        const held = {};
+        const lastKnown = {};
+        const points = [];
+        let invested = 0;
+        let twrIndex = 100;
+        let benchmarkUnits = 0;
+        let benchmarkStart = null;
+        let peak = 100;
+
+        dates.forEach((date, i) => {
+            let flow = 0;
+            (lotsByIndex[i] || []).forEach(lot => {
+                const cost = toBase(lot.shares * lot.purchasePrice, lot.currency, lot.purchaseDate);
+                flow += cost;
+                held[lot.symbol] = (held[lot.symbol] || 0) + lot.shares;
+                lastKnown[lot.symbol] = lastKnown[lot.symbol] ?? toBase(lot.purchasePrice, lot.currency, lot.purchaseDate);
+                if (benchmarkPrice) {
+                    const price = benchmarkPrice(date);
+                    if (price) benchmarkUnits += cost / price;
+                }
+            });
+            invested += flow;
+
+            let value = 0;
+            Object.entries(held).forEach(([symbol, shares]) => {
+                const price = priceLookups[symbol](date);
+                if (price !== null) lastKnown[symbol] = price;
+                value += shares * lastKnown[symbol];
+            });
+
+            // Daily return net of that day's purchases, so new money is not counted as performance
+            const previous = points.length > 0 ? points[points.length - 1].value : 0;
+            const base = previous + flow;
+            const dailyReturn = base > 0 ? value / base - 1 : 0;
+            twrIndex *= 1 + dailyReturn;
+            peak = Math.max(peak, twrIndex);
+
+            const benchmarkClose = benchmarkPrice ? benchmarkPrice(date) : null;
+            if (benchmarkStart === null && benchmarkClose) benchmarkStart = benchmarkClose;
+
+            points.push({
+                date: date,
+                value: value,
+                invested: invested,
+                flow: flow,
+                dailyReturn: dailyReturn,
+                twrIndex: twrIndex,
+                drawdown: (twrIndex / peak - 1) * 100,
+                benchmarkIndex: benchmarkClose && benchmarkStart ? benchmarkClose / benchmarkStart * 100 : null,
+                benchmarkValue: benchmarkClose ? benchmarkUnits * benchmarkClose : null
+            });
+        });
+
+        return {
+            startDate: dates[0],
+            endDate: dates[dates.length - 1],
+            benchmark: benchmarkSeries ? benchmarkSeries.symbol : null,
+            series: points.map(point => ({
+                ...point,
+                value: this.round(point.value),
+                invested: this.round(point.invested),
+                flow: this.round(point.flow),
+                dailyReturn: parseFloat(point.dailyReturn.toFixed(6)),
+                twrIndex: this.round(point.twrIndex),
+                drawdown: this.round(point.drawdown),
+                benchmarkIndex: point.benchmarkIndex === null ? null : this.round(point.benchmarkIndex),
+                benchmarkValue: point.benchmarkValue === null ? null : this.round(point.benchmarkValue)
+            })),
+            baseCurrency: this.converter ? options.baseCurrency || null : null,
+            metrics: this.calculateMetrics(points, lots, options, toBase),
+            contributions: this.calculateContributions(lots, held, lastKnown, invested, toBase),
+            provenance: Object.fromEntries(Object.entries(seriesBySymbol).map(([symbol, series]) => [symbol, {
+                isDemo: Boolean(series.isDemo),
+                provider: series.provenance?.providerName || series.provenance?.provider || null
+            }])),
+            warnings: warnings
+        };
+    }
+
+    calculateMetrics(points, lots, options, toBase) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const years = (new Date(last.date) - new Date(first.date)) / (365.25 * 24 * 3600 * 1000);
+        const annualize = total => years >= 1 ? (Math.pow(1 + total / 100, 1 / years) - 1) * 100 : null;
+
+        // Day one measures purchase price to close, not a full day, so it is left out of volatility
+        const returns = points.slice(1).map(point => point.dailyReturn);
+        const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length > 1 ? returns.length - 1 : 1);
+
+        const trough = points.reduce((worst, point) => point.drawdown < worst.drawdown ? point : worst, first);
+        const twr = last.twrIndex - 100;
+        const benchmarkReturn = last.benchmarkIndex !== null ? last.benchmarkIndex - 100 : null;
+        const irr = this.irr([
+            ...lots.map(lot => ({ date: lot.purchaseDate, amount: -toBase(lot.shares * lot.purchasePrice, lot.currency, lot.purchaseDate) })),
+            { date: last.date, amount: last.value }
+        ]);
+
+        return {
+            currentValue: this.round(last.value),
+            totalInvested: this.round(last.invested),
+            totalGain: this.round(last.value - last.invested),
+            simpleReturn: last.invested > 0 ? this.round((last.value / last.invested - 1) * 100) : 0,
+            twr: this.round(twr),
+            twrAnnualized: years >= 1 ? this.round(annualize(twr)) : null,
+            irr: irr === null ? null : this.round(irr * 100),
+            benchmarkReturn: benchmarkReturn === null ? null : this.round(benchmarkReturn),
+            benchmarkAnnualized: benchmarkReturn === null || years < 1 ? null : this.round(annualize(benchmarkReturn)),
+            excessReturn: benchmarkReturn === null ? null : this.round(twr - benchmarkReturn),
+            maxDrawdown: this.round(-trough.drawdown),
+            maxDrawdownDate: trough.drawdown < 0 ? trough.date : null,
+            volatility: this.round(Math.sqrt(variance) * Math.sqrt(options.periodsPerYear) * 100),
+            days: points.length
+        };
+    }
+
+    // Each position's gain as a share of everything invested; the contributions sum to the simple return
+    calculateContributions(lots, held, lastKnown, invested, toBase) {
+        const totalValue = Object.entries(held).reduce((sum, [symbol, shares]) => sum + shares * lastKnown[symbol], 0);
+        return Object.keys(held).map(symbol => {
+            const cost = lots.filter(lot => lot.symbol === symbol).reduce((sum, lot) => sum + toBase(lot.shares * lot.purchasePrice, lot.currency, lot.purchaseDate), 0);
+            const value = held[symbol] * lastKnown[symbol];
+            return {
+                symbol: symbol,
+                cost: this.round(cost),
+                value: this.round(value),
+                gain: this.round(value - cost),
+                returnPct: cost > 0 ? this.round((value / cost - 1) * 100) : 0,
+                weight: totalValue > 0 ? this.round(value / totalValue * 100) : 0,
+                contribution: invested > 0 ? this.round((value - cost) / invested * 100) : 0
+            };
+        }).sort((a, b) => b.contribution - a.contribution);
+    }
+
+    // Annualized money-weighted return (XIRR): Newton's method, bisection if it does not settle
+    irr(flows) {
+        const t0 = Math.min(...flows.map(flow => new Date(flow.date).getTime()));
+        const timed = flows.map(flow => ({ amount: flow.amount, years: (new Date(flow.date).getTime() - t0) / (365 * 24 * 3600 * 1000) }));
+        if (Math.max(...timed.map(flow => flow.years)) < 1 / 365) return null;
+        if (!timed.some(flow => flow.amount > 0) || !timed.some(flow => flow.amount < 0)) return null;
+
+        const npv = rate => timed.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+        const slope = rate => timed.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0);
+
+        let rate = 0.1;
+        for (let i = 0; i < 50; i++) {
+            const value = npv(rate);
+            const derivative = slope(rate);
+            if (!Number.isFinite(value) || derivative === 0) break;
+            const next = rate - value / derivative;
+            if (!Number.isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-9) return next;
+            rate = next;
+        }
+
+        let low = -0.9999;
+        let high = 10;
+        if (npv(low) * npv(high) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (npv(low) * npv(mid) <= 0) high = mid; else low = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    // Union of trading days across holdings from the first purchase onwards
+    tradingDates(seriesList, fromDate) {
+        const dates = new Set();
+        seriesList.forEach(series => series.dates.forEach(date => {
+            if (date >= fromDate) dates.add(date);
+        }));
+        return [...dates].sort();
+    }
+
+    // Close on a date, or the latest close before it; null before the series starts
+    priceLookup(series) {
+        const closes = new Map(series.dates.map((date, i) => [date, series.prices[i]]));
+        return date => {
+            if (closes.has(date)) return closes.get(date);
+            let low = 0;
+            let high = series.dates.length - 1;
+            let found = -1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (series.dates[mid] <= date) { found = mid; low = mid + 1; } else { high = mid - 1; }
+            }
+            return found === -1 ? null : series.prices[found];
+        };
+    }
+
+    // Shortest DataAgent range that reaches back to the first purchase
+    rangeCovering(date) {
+        return Object.keys(DataAgent.RANGES).find(range => {
+            const start = this.dataAgent.getRangeStart(range);
+            return start === null || start <= date;
+        });
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+PerformanceAnalyzer.DEFAULT_OPTIONS = {
+    benchmark: 'SPY',
+    periodsPerYear: 252
+};
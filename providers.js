@@ -0,0 +1,397 @@
+// Market Data Providers - pluggable price sources used by DataAgent
+
+// daily: the provider's quota for the day is spent. Otherwise it is a short throttle, such as a per-minute limit,
+// and retryAfterMs holds the provider's Retry-After when it sent one.
+class ProviderRateLimitError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ProviderRateLimitError';
+        this.daily = Boolean(options.daily);
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+
+    static fromResponse(response) {
+        const seconds = Number(response.headers && response.headers.get('Retry-After'));
+        return new ProviderRateLimitError('HTTP 429 Too Many Requests', { retryAfterMs: seconds > 0 ? seconds * 1000 : null });
+    }
+}
+
+class MarketDataProvider {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        this.apiKey = options.apiKey || null;
+        this.enabled = options.enabled !== false;
+        this.requiresApiKey = false;
+        this.isDemo = false;
+    }
+
+    // Returns a reason string when the provider cannot be used right now
+    unavailableReason() {
+        if (!this.enabled) return 'disabled';
+        if (this.requiresApiKey && !this.apiKey) return 'no API key configured';
+        return null;
+    }
+
+    // request: { range, interval, startDate, signal } - providers may return daily bars for any interval
+    async fetchSeries(symbol, request = {}) {
+        throw new Error(`${this.name} does not implement fetchSeries`);
+    }
+
+    // options.signal aborts the request when the research run is cancelled
+    async fetchJSON(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (response.status === 429) {
+            throw ProviderRateLimitError.fromResponse(response);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Turns [{ date, open, high, low, close, volume }] into DataAgent's column layout, oldest first
+    buildSeries(symbol, bars, interval = 'daily') {
+        const valid = bars
+            .filter(bar => bar.date && Number.isFinite(bar.close))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (valid.length === 0) return null;
+
+        return {
+            symbol: symbol,
+            interval: interval,
+            dates: valid.map(bar => bar.date),
+            opens: valid.map(bar => Number.isFinite(bar.open) ? bar.open : bar.close),
+            prices: valid.map(bar => bar.close),
+            highs: valid.map(bar => Number.isFinite(bar.high) ? bar.high : bar.close),
+            lows: valid.map(bar => Number.isFinite(bar.low) ? bar.low : bar.close),
+            volumes: valid.map(bar => Number.isFinite(bar.volume) ? bar.volume : 0),
+            currentPrice: valid[valid.length - 1].close,
+            lastUpdate: new Date().toISOString()
+        };
+    }
+}
+
+class AlphaVantageProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('alphaVantage', { name: 'Alpha Vantage', ...options });
+        this.requiresApiKey = true;
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        const interval = request.interval || 'daily';
+        const functions = { daily: 'TIME_SERIES_DAILY', weekly: 'TIME_SERIES_WEEKLY', monthly: 'TIME_SERIES_MONTHLY' };
+        // Compact output holds the latest 100 bars, enough for ranges up to ~4 months of daily data
+        const outputSize = interval === 'daily' && ['1M', '3M'].includes(request.range) ? 'compact' : 'full';
+        const url = `https://www.alphavantage.co/query?function=${functions[interval]}&symbol=${encodeURIComponent(symbol)}&outputsize=${outputSize}&apikey=${this.apiKey}`;
+        const data = await this.fetchJSON(url, request);
+
+        const seriesKey = Object.keys(data).find(key => key.includes('Time Series'));
+        if (seriesKey) {
+            return this.parse(data[seriesKey], symbol, interval);
+        }
+        // The same fields carry the per-minute throttle and the daily quota; only the wording tells them apart,
+        // and the per-minute note mentions the daily figure as well
+        const notice = data['Note'] || data['Information'];
+        if (notice) {
+            throw new ProviderRateLimitError(`API limit reached: ${notice}`, { daily: /per day/i.test(notice) && !/per minute/i.test(notice) });
+        }
+        if (data['Error Message']) {
+            throw new Error(data['Error Message']);
+        }
+        return null;
+    }
+
+    parse(timeSeries, symbol, interval) {
+        const bars = Object.keys(timeSeries).map(date => ({
+            date: date,
+            open: parseFloat(timeSeries[date]['1. open']),
+            high: parseFloat(timeSeries[date]['2. high']),
+            low: parseFloat(timeSeries[date]['3. low']),
+            close: parseFloat(timeSeries[date]['4. close']),
+            volume: parseInt(timeSeries[date]['5. volume'])
+        }));
+        return this.buildSeries(symbol, bars, interval);
+    }
+}
+
+class FMPProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('fmp', { name: 'Financial Modeling Prep', ...options });
+        this.requiresApiKey = true;
+    }
+
+    // Daily bars only; DataAgent resamples weekly/monthly requests
+    async fetchSeries(symbol, request = {}) {
+        const from = request.startDate ? `&from=${request.startDate}` : '';
+        const url = `https://financialmodelingprep.com/api/v3/historical-price-full/${encodeURIComponent(symbol)}?apikey=${this.apiKey}${from}`;
+        const data = await this.fetchJSON(url, request);
+
+        if (data.historical && data.historical.length > 0) {
+            return this.parse(data, symbol);
+        }
+        if (data['Error Message']) {
+            throw new Error(data['Error Message']);
+        }
+        return null;
+    }
+
+    parse(data, symbol) {
+        const bars = data.historical.map(h => ({
+            date: h.date,
+            open: h.open,
+            high: h.high,
+            low: h.low,
+            close: h.close,
+            volume: h.volume || 1000000 // Default volume if missing
+        }));
+        return this.buildSeries(symbol, bars, 'daily');
+    }
+}
+
+class YahooFinanceProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('yahoo', { name: 'Yahoo Finance', ...options });
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        const ranges = { '1M': '1mo', '3M': '3mo', '6M': '6mo', '1Y': '1y', '2Y': '2y', '5Y': '5y', 'MAX': 'max' };
+        const intervals = { daily: '1d', weekly: '1wk', monthly: '1mo' };
+        const interval = request.interval || 'daily';
+        const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${ranges[request.range] || '1y'}&interval=${intervals[interval]}`;
+        const data = await this.fetchJSON(url, request);
+
+        if (data.chart && data.chart.result && data.chart.result[0]) {
+            return this.parse(data.chart.result[0], symbol, interval);
+        }
+        if (data.chart && data.chart.error) {
+            throw new Error(data.chart.error.description || data.chart.error.code);
+        }
+        return null;
+    }
+
+    parse(result, symbol, interval = 'daily') {
+        const timestamps = result.timestamp || [];
+        const quote = result.indicators.quote[0];
+
+        // Yahoo pads halted sessions with nulls; buildSeries drops bars without a close
+        const bars = timestamps.map((ts, i) => ({
+            date: new Date(ts * 1000).toISOString().split('T')[0],
+            open: quote.open[i],
+            high: quote.high[i],
+            low: quote.low[i],
+            close: quote.close[i],
+            volume: quote.volume[i]
+        }));
+        return this.buildSeries(symbol, bars, interval);
+    }
+}
+
+class PolygonProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('polygon', { name: 'Polygon.io', ...options });
+        this.requiresApiKey = true;
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        const timespans = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const interval = request.interval || 'daily';
+        const to = new Date().toISOString().split('T')[0];
+        const from = request.startDate || '2000-01-01';
+        const url = `https://api.polygon.io/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/${timespans[interval]}/${from}/${to}?adjusted=true&sort=asc&limit=50000&apiKey=${this.apiKey}`;
+        const data = await this.fetchJSON(url, request);
+
+        if (data.results && data.results.length > 0) {
+            return this.parse(data, symbol, interval);
+        }
+        if (data.status === 'ERROR') {
+            throw new Error(data.error || 'Polygon request failed');
+        }
+        return null;
+    }
+
+    parse(data, symbol, interval = 'daily') {
+        const bars = data.results.map(r => ({
+            date: new Date(r.t).toISOString().split('T')[0],
+            open: r.o,
+            high: r.h,
+            low: r.l,
+            close: r.c,
+            volume: r.v
+        }));
+        return this.buildSeries(symbol, bars, interval);
+    }
+}
+
+// Serves series already in DataAgent's shape, either inline or from a URL template
+class LocalFileProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super(options.id || 'local', { name: 'Local File', ...options });
+        this.data = options.data || null;
+        this.urlTemplate = options.url || null; // e.g. 'data/{symbol}.json'
+    }
+
+    unavailableReason() {
+        if (!this.data && !this.urlTemplate) return 'no data or url configured';
+        return super.unavailableReason();
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        let series = null;
+        if (this.data) {
+            series = this.data[symbol] || null;
+        } else {
+            series = await this.fetchJSON(this.urlTemplate.replace('{symbol}', encodeURIComponent(symbol)), request);
+        }
+        if (!series) return null;
+        if (!Array.isArray(series.dates) || !Array.isArray(series.prices) || series.prices.length === 0) {
+            throw new Error('file is missing dates or prices');
+        }
+
+        return {
+            symbol: symbol,
+            interval: 'daily',
+            ...series,
+            opens: series.opens || series.prices,
+            highs: series.highs || series.prices,
+            lows: series.lows || series.prices,
+            volumes: series.volumes || series.prices.map(() => 0),
+            currentPrice: series.currentPrice || series.prices[series.prices.length - 1],
+            lastUpdate: series.lastUpdate || new Date().toISOString()
+        };
+    }
+}
+
+class DemoDataProvider extends MarketDataProvider {
+    constructor(generate, options = {}) {
+        super('demo', { name: 'Demo Data', ...options });
+        this.generate = generate;
+        this.isDemo = true;
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        return this.generate(symbol, request);
+    }
+}
+
+class ProviderRegistry {
+    constructor(providers = [], options = {}) {
+        this.providers = [];
+        this.budget = options.budget || null; // CallBudget shared across sessions
+        providers.forEach(provider => this.register(provider));
+    }
+
+    // position may be an index or { before: id } / { after: id }
+    register(provider, position) {
+        if (this.get(provider.id)) {
+            throw new Error(`Provider already registered: ${provider.id}`);
+        }
+
+        let index = this.providers.length;
+        if (typeof position === 'number') {
+            index = Math.max(0, Math.min(position, this.providers.length));
+        } else if (position && position.before) {
+            index = this.indexOf(position.before);
+        } else if (position && position.after) {
+            index = this.indexOf(position.after) + 1;
+        }
+
+        this.providers.splice(index, 0, provider);
+        return this;
+    }
+
+    unregister(id) {
+        this.providers = this.providers.filter(provider => provider.id !== id);
+        return this;
+    }
+
+    get(id) {
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+
+    indexOf(id) {
+        const index = this.providers.findIndex(provider => provider.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown provider: ${id}`);
+        }
+        return index;
+    }
+
+    // Listed ids move to the front in the given order; the rest keep their relative order
+    setOrder(ids) {
+        const ordered = ids.map(id => this.providers[this.indexOf(id)]);
+        const rest = this.providers.filter(provider => !ids.includes(provider.id));
+        this.providers = [...ordered, ...rest];
+        return this;
+    }
+
+    enable(id) {
+        this.providers[this.indexOf(id)].enabled = true;
+        return this;
+    }
+
+    disable(id) {
+        this.providers[this.indexOf(id)].enabled = false;
+        return this;
+    }
+
+    list() {
+        return this.providers.map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            enabled: provider.enabled,
+            isDemo: provider.isDemo,
+            unavailableReason: provider.unavailableReason()
+        }));
+    }
+
+    async fetchSeries(symbol, request = {}) {
+        const skipped = [];
+
+        for (const provider of this.providers) {
+            const reason = provider.unavailableReason();
+            if (reason) {
+                skipped.push({ provider: provider.id, reason });
+                continue;
+            }
+
+            if (this.budget && !this.budget.canCall(provider.id)) {
+                skipped.push({ provider: provider.id, reason: this.budget.describe(provider.id) });
+                continue;
+            }
+
+            try {
+                if (this.budget) this.budget.record(provider.id);
+                const series = await provider.fetchSeries(symbol, request);
+                if (!series) {
+                    skipped.push({ provider: provider.id, reason: 'no data returned' });
+                    continue;
+                }
+
+                series.isDemo = provider.isDemo;
+                series.provenance = {
+                    provider: provider.id,
+                    providerName: provider.name,
+                    isDemo: provider.isDemo,
+                    fetchedAt: new Date().toISOString(),
+                    skipped: skipped
+                };
+                return series;
+            } catch (error) {
+                // A cancelled run stops here rather than falling through to the next provider
+                if (request.signal && request.signal.aborted) throw error;
+                console.warn(`${provider.name} fetch failed:`, error);
+                if (this.budget && error instanceof ProviderRateLimitError) {
+                    this.budget.throttle(provider.id, error);
+                }
+                skipped.push({ provider: provider.id, reason: error.message || String(error) });
+            }
+        }
+
+        const summary = skipped.map(s => `${s.provider}: ${s.reason}`).join('; ');
+        const error = new Error(`No provider returned data for ${symbol} (${summary})`);
+        error.skipped = skipped;
+        throw error;
+    }
+}
@@ -0,0 +1,222 @@
+// Rebalancing Planner - compares grouped positions with target weights and lists the trades that restore them
+// Positions are the grouped positions from PortfolioTracker.calculatePortfolioStats(); values are in the base currency.
+// Targets are { by: 'symbol' | 'sector', weights: { AAPL: 40, ... } } in percent and must add up to 100.
+
+class RebalancePlanner {
+    constructor(options = {}) {
+        this.instruments = options.instruments || new InstrumentMaster();
+        this.options = { ...RebalancePlanner.DEFAULT_OPTIONS, ...options };
+    }
+
+    static validateTargets(targets) {
+        if (!targets || !['symbol', 'sector'].includes(targets.by)) {
+            throw new Error('Targets must be set by symbol or by sector');
+        }
+        const entries = Object.entries(targets.weights || {});
+        if (entries.length === 0) {
+            throw new Error('Set at least one target weight');
+        }
+        entries.forEach(([key, weight]) => {
+            if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+                throw new Error(`Bad target for ${key}: ${weight}`);
+            }
+        });
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (Math.abs(total - 100) > RebalancePlanner.WEIGHT_TOLERANCE) {
+            throw new Error(`Targets add up to ${parseFloat(total.toFixed(2))}%, not 100%`);
+        }
+        return targets;
+    }
+
+    // quotes: { SYMBOL: { price, currency, rate } } with the local price and its rate into the base currency
+    plan(positions, targets, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        RebalancePlanner.validateTargets(targets);
+        if (options.cash < 0) throw new Error('Cash to invest cannot be negative');
+        const warnings = [];
+        const keyOf = symbol => targets.by === 'sector' ? this.instruments.sectorOf(symbol) : symbol;
+
+        // Unpriced positions keep their cost as value but cannot be traded
+        const holdings = Object.values(positions).filter(position => position.totalShares > 0).map(position => {
+            const quote = options.quotes[position.symbol];
+            if (!quote) warnings.push(`${position.symbol} has no price yet; it counts at cost and is not traded`);
+            return {
+                symbol: position.symbol,
+                key: keyOf(position.symbol),
+                shares: position.totalShares,
+                value: position.marketValue ?? position.totalCost,
+                quote: quote || null
+            };
+        });
+
+        const total = holdings.reduce((sum, holding) => sum + holding.value, 0) + options.cash;
+        if (total <= 0) {
+            throw new Error('Nothing to rebalance: no positions and no cash');
+        }
+
+        const groups = this.group(holdings, targets, total);
+        const wanted = this.wantedAmounts(groups, options, warnings);
+        const orders = this.toOrders(wanted, holdings, targets, options, warnings);
+
+        const bought = orders.filter(order => order.side === 'buy').reduce((sum, order) => sum + order.amount, 0);
+        const sold = orders.filter(order => order.side === 'sell').reduce((sum, order) => sum + order.amount, 0);
+        const after = {};
+        holdings.forEach(holding => { after[holding.key] = (after[holding.key] || 0) + holding.value; });
+        orders.forEach(order => {
+            const key = keyOf(order.symbol);
+            after[key] = (after[key] || 0) + (order.side === 'buy' ? order.amount : -order.amount);
+        });
+
+        return {
+            by: targets.by,
+            totalValue: this.round(total),
+            cashBefore: this.round(options.cash),
+            cashAfter: this.round(options.cash + sold - bought),
+            rows: groups.map(group => ({
+                key: group.key,
+                symbols: group.symbols,
+                currentValue: this.round(group.value),
+                currentWeight: this.round(group.value / total * 100),
+                targetWeight: group.target,
+                drift: this.round(group.value / total * 100 - group.target),
+                afterWeight: this.round((after[group.key] || 0) / total * 100)
+            })),
+            orders: [...orders.filter(order => order.side === 'sell'), ...orders.filter(order => order.side === 'buy')],
+            warnings
+        };
+    }
+
+    // Every targeted key and every held key; held keys without a target are sold down to zero
+    group(holdings, targets, total) {
+        const keys = [...new Set([...Object.keys(targets.weights), ...holdings.map(holding => holding.key)])];
+        return keys.map(key => {
+            const members = holdings.filter(holding => holding.key === key);
+            const value = members.reduce((sum, holding) => sum + holding.value, 0);
+            const target = targets.weights[key] || 0;
+            return { key, symbols: members.map(holding => holding.symbol), value, target, delta: target / 100 * total - value };
+        }).sort((a, b) => a.delta - b.delta);
+    }
+
+    // With newCashOnly nothing is sold: cash goes to the most underweight keys in proportion to their shortfall
+    wantedAmounts(groups, options, warnings) {
+        if (!options.newCashOnly) {
+            return groups.map(group => ({ ...group, amount: group.delta }));
+        }
+        const shortfall = groups.reduce((sum, group) => sum + Math.max(0, group.delta), 0);
+        const scale = shortfall > options.cash ? options.cash / shortfall : 1;
+        if (scale < 1) {
+            warnings.push('New cash alone cannot restore the targets; it goes to the most underweight positions first');
+        }
+        return groups.map(group => ({ ...group, amount: Math.max(0, group.delta) * scale }));
+    }
+
+    toOrders(wanted, holdings, targets, options, warnings) {
+        const orders = [];
+        wanted.forEach(group => {
+            if (group.amount === 0 || Math.abs(group.amount) < options.minTrade) return;
+            const tradable = holdings.filter(holding => holding.key === group.key && holding.quote);
+
+            if (group.amount < 0) {
+                // Sells come out of every holding in the key, in proportion to its value
+                const value = tradable.reduce((sum, holding) => sum + holding.value, 0);
+                tradable.forEach(holding => {
+                    const amount = -group.amount * holding.value / value;
+                    orders.push(this.order(holding.symbol, 'sell', amount, holding.quote, options, holding.shares));
+                });
+                return;
+            }
+
+            if (targets.by === 'symbol') {
+                const quote = options.quotes[group.key];
+                if (!quote) {
+                    warnings.push(`No price for ${group.key}; its buy is left out`);
+                    return;
+                }
+                orders.push(this.order(group.key, 'buy', group.amount, quote, options));
+                return;
+            }
+            if (tradable.length === 0) {
+                warnings.push(`No holding in ${group.key} to buy; add a position in that sector first`);
+                return;
+            }
+            const value = tradable.reduce((sum, holding) => sum + holding.value, 0);
+            tradable.forEach(holding => {
+                orders.push(this.order(holding.symbol, 'buy', group.amount * holding.value / value, holding.quote, options));
+            });
+        });
+
+        return this.fund(orders, options);
+    }
+
+    // Whole shares round down, so an order never spends more than planned or sells more than is held
+    order(symbol, side, amount, quote, options, held = Infinity) {
+        const priceInBase = quote.price * quote.rate;
+        const exact = Math.min(amount / priceInBase, held);
+        // Selling (almost) everything sells all of it, fractional remainder included
+        const shares = exact >= held - RebalancePlanner.SHARE_STEP ? held : options.fractional
+            ? Math.floor(exact / RebalancePlanner.SHARE_STEP) * RebalancePlanner.SHARE_STEP
+            : Math.floor(exact + RebalancePlanner.SHARE_STEP);
+        return {
+            symbol,
+            side,
+            shares: parseFloat(shares.toFixed(6)),
+            price: quote.price,
+            currency: quote.currency,
+            amount: this.round(shares * priceInBase),
+            wanted: amount,
+            priceInBase
+        };
+    }
+
+    // Buys are trimmed, largest first, until they fit in cash plus sale proceeds.
+    // Cash left over from rounding down buys single shares where the shortfall is largest.
+    fund(orders, options) {
+        const tradable = order => order.shares > 0 && order.amount >= options.minTrade;
+        const sells = orders.filter(order => order.side === 'sell' && tradable(order));
+        let available = options.cash + sells.reduce((sum, order) => sum + order.amount, 0);
+        const buys = orders.filter(order => order.side === 'buy').sort((a, b) => b.wanted - a.wanted);
+        buys.forEach(order => {
+            if (order.shares * order.priceInBase > available + RebalancePlanner.CASH_TOLERANCE) {
+                order.shares = options.fractional
+                    ? Math.floor(available / order.priceInBase / RebalancePlanner.SHARE_STEP) * RebalancePlanner.SHARE_STEP
+                    : Math.floor(available / order.priceInBase);
+            }
+            available -= order.shares * order.priceInBase;
+        });
+
+        if (!options.fractional) {
+            for (;;) {
+                const next = buys
+                    .filter(order => order.priceInBase <= available + RebalancePlanner.CASH_TOLERANCE)
+                    .filter(order => order.wanted - order.shares * order.priceInBase > order.priceInBase / 2)
+                    .sort((a, b) => (b.wanted - b.shares * b.priceInBase) - (a.wanted - a.shares * a.priceInBase))[0];
+                if (!next) break;
+                next.shares += 1;
+                available -= next.priceInBase;
+            }
+        }
+
+        const funded = buys.map(order => ({
+            ...order,
+            shares: parseFloat(order.shares.toFixed(6)),
+            amount: this.round(order.shares * order.priceInBase)
+        }));
+        return [...sells, ...funded.filter(tradable)].map(({ priceInBase, wanted, ...order }) => order);
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+RebalancePlanner.DEFAULT_OPTIONS = {
+    cash: 0,
+    minTrade: 0,
+    fractional: false,
+    newCashOnly: false,
+    quotes: {}
+};
+
+RebalancePlanner.WEIGHT_TOLERANCE = 0.01;
+RebalancePlanner.CASH_TOLERANCE = 0.005;
+RebalancePlanner.SHARE_STEP = 1e-6;
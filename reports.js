@@ -0,0 +1,258 @@
+// Report Renderers - turn the ReportAgent's report document into HTML, Markdown, JSON or a printable page
+// A report is plain data: { symbol, mode, recommendation, sections: [{ id, title, icon, wide, items }], warnings, provenance }.
+// Items are metrics ({ type: 'metric', id, label, value, format }), text ({ type: 'text', label, text }) or lists
+// ({ type: 'list', entries: [{ label, detail, value, format, tone, url }] }). Every renderer escapes what it prints.
+
+class ReportRenderer {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        this.extension = options.extension || 'txt';
+        this.mimeType = options.mimeType || 'text/plain';
+    }
+
+    render(report) {
+        throw new Error(`${this.name} does not implement render()`);
+    }
+
+    static create(format) {
+        const Renderer = ReportRenderer.FORMATS[format];
+        if (!Renderer) {
+            throw new Error(`Unknown report format: ${format}; use one of ${Object.keys(ReportRenderer.FORMATS).join(', ')}`);
+        }
+        return new Renderer();
+    }
+
+    static filename(report, renderer) {
+        return `${report.symbol}-${report.mode}-report-${report.generatedAt.split('T')[0]}.${renderer.extension}`;
+    }
+
+    // Display text for a metric value; missing values read "n/a"
+    formatValue(value, format, currency = 'USD') {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return 'n/a';
+        switch (format) {
+            case 'currency': return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+            case 'percent': return `${value}%`;
+            case 'score': return `${value}/100`;
+            case 'points': return `${value > 0 ? '+' : ''}${value}`;
+            default: return String(value);
+        }
+    }
+
+    provenanceLine(report) {
+        const provenance = report.provenance;
+        return [
+            `Prices: ${provenance.isDemo ? 'demo data' : provenance.providerName || provenance.provider || 'unknown source'}`,
+            provenance.asOf ? `as of ${provenance.asOf}` : null,
+            provenance.cache ? `cache ${provenance.cache}` : null,
+            `news: ${provenance.newsSource || 'none'} (${provenance.articleCount || 0} articles)`,
+            provenance.fundamentalsAsOf ? `financials: ${provenance.fundamentalsSource} to ${provenance.fundamentalsAsOf}` : null,
+            `generated ${report.generatedAt}`
+        ].filter(Boolean).join(' · ');
+    }
+}
+
+// Same markup and classes as the original report cards
+class HtmlReportRenderer extends ReportRenderer {
+    constructor() {
+        super('html', { name: 'HTML', extension: 'html', mimeType: 'text/html' });
+    }
+
+    render(report) {
+        const recommendation = report.recommendation;
+        const cards = report.sections.filter(section => !section.wide).map(section => this.renderSection(section, report)).join('');
+        const wide = report.sections.filter(section => section.wide).map(section => this.renderSection(section, report)).join('');
+        return `
+                <div class="recommendation ${HtmlReportRenderer.RECOMMENDATION_CLASSES[recommendation.tone] || ''}">
+                    <h3>${this.escape(recommendation.icon)} ${this.escape(recommendation.title)}</h3>
+                    <p><strong>${this.escape(recommendation.headline)}</strong></p>
+                    <p>${this.escape(recommendation.detail)}</p>
+                </div>
+                ${report.warnings.length > 0 ? `
+                <div class="report-warnings">
+                    ${report.warnings.map(warning => `<p>⚠️ ${this.escape(warning)}</p>`).join('')}
+                </div>` : ''}
+                <div class="analysis-grid">${cards}
+                </div>
+                ${wide}
+                <p class="report-provenance">${this.escape(this.provenanceLine(report))}</p>
+            `;
+    }
+
+    renderSection(section, report) {
+        return `
+                    <div class="analysis-card">
+                        <h4>${this.escape(section.icon)} ${this.escape(section.title)}</h4>
+                        ${section.items.map(item => this.renderItem(item, report)).join('')}
+                    </div>`;
+    }
+
+    renderItem(item, report) {
+        switch (item.type) {
+            case 'metric':
+                return `
+                        <div class="metric">
+                            <span class="metric-label">${this.labelWithHint(item.label, item.hint)}</span>
+                            <span class="metric-value ${this.toneClass(item.tone)}">${this.escape(this.formatValue(item.value, item.format, report.currency))}</span>
+                        </div>`;
+            case 'text':
+                return `<p>${item.label ? `<strong>${this.escape(item.label)}:</strong> ` : ''}${this.escape(item.text)}</p>`;
+            case 'list':
+                if (item.entries.length === 0) return `<p>${this.escape(item.empty || 'Nothing to show')}</p>`;
+                return item.entries.map(entry => `
+                        <div class="metric">
+                            <span class="metric-label">${this.entryLabel(entry)}</span>
+                            <span class="metric-value ${this.toneClass(entry.tone)}">${this.escape(this.formatValue(entry.value, entry.format, report.currency))}</span>
+                        </div>`).join('');
+            default:
+                return '';
+        }
+    }
+
+    entryLabel(entry) {
+        if (/^https?:\/\//i.test(entry.url || '')) {
+            return `<a href="${this.escape(entry.url)}" target="_blank" rel="noopener">${this.escape(entry.label)}</a>`;
+        }
+        return this.labelWithHint(entry.label, entry.detail);
+    }
+
+    labelWithHint(label, hint) {
+        if (!hint) return this.escape(label);
+        return `<span class="tooltip">${this.escape(label)}
+                                    <span class="tooltiptext">${this.escape(hint)}</span>
+                                </span>`;
+    }
+
+    toneClass(tone) {
+        return tone === 'positive' ? 'text-success' : tone === 'negative' ? 'text-danger' : '';
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// The recommendation tones map onto the page's existing banner styles
+HtmlReportRenderer.RECOMMENDATION_CLASSES = { positive: '', warning: 'warning', danger: 'danger' };
+
+class MarkdownReportRenderer extends ReportRenderer {
+    constructor() {
+        super('markdown', { name: 'Markdown', extension: 'md', mimeType: 'text/markdown' });
+    }
+
+    render(report) {
+        const recommendation = report.recommendation;
+        const lines = [
+            `# ${this.escape(report.symbol)}: ${recommendation.icon} ${this.escape(recommendation.title)}`,
+            '',
+            `**${this.escape(recommendation.headline)}**`,
+            '',
+            this.escape(recommendation.detail),
+            ''
+        ];
+        report.warnings.forEach(warning => lines.push(`> ⚠️ ${this.escape(warning)}`));
+        if (report.warnings.length > 0) lines.push('');
+
+        report.sections.forEach(section => {
+            lines.push(`## ${section.icon} ${this.escape(section.title)}`, '');
+            // Runs of metrics become one table; text and lists stay where the builder put them
+            section.items.forEach((item, index) => {
+                const previous = section.items[index - 1];
+                const next = section.items[index + 1];
+                if (item.type === 'metric') {
+                    if (!previous || previous.type !== 'metric') lines.push('| Metric | Value |', '| --- | --- |');
+                    lines.push(`| ${this.escape(item.label)} | ${this.escape(this.formatValue(item.value, item.format, report.currency))} |`);
+                    if (!next || next.type !== 'metric') lines.push('');
+                } else if (item.type === 'text') {
+                    lines.push(`${item.label ? `**${this.escape(item.label)}:** ` : ''}${this.escape(item.text)}`, '');
+                } else if (item.type === 'list') {
+                    if (item.entries.length === 0) lines.push(this.escape(item.empty || 'Nothing to show'));
+                    item.entries.forEach(entry => lines.push(`- ${this.entryLabel(entry)}${this.entryValue(entry, report)}${entry.detail ? `: ${this.escape(entry.detail)}` : ''}`));
+                    lines.push('');
+                }
+            });
+        });
+
+        lines.push('---', '', `_${this.escape(this.provenanceLine(report))}_`, '');
+        return lines.join('\n');
+    }
+
+    entryLabel(entry) {
+        if (!/^https?:\/\//i.test(entry.url || '')) return this.escape(entry.label);
+        const url = entry.url.replace(/[()<>\s]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+        return `[${this.escape(entry.label)}](${url})`;
+    }
+
+    entryValue(entry, report) {
+        return entry.value === undefined || entry.value === null ? '' : ` (${this.escape(this.formatValue(entry.value, entry.format, report.currency))})`;
+    }
+
+    // Markdown control characters in feed text would otherwise turn into links, emphasis or HTML
+    escape(value) {
+        return String(value ?? '').replace(/\s+/g, ' ').replace(/([\\`*_{}\[\]()<>#!|~])/g, '\\$1');
+    }
+}
+
+// Keys keep the builder's order, so two reports of the same symbol diff line by line
+class JsonReportRenderer extends ReportRenderer {
+    constructor() {
+        super('json', { name: 'JSON', extension: 'json', mimeType: 'application/json' });
+    }
+
+    render(report) {
+        return JSON.stringify(report, null, 2);
+    }
+}
+
+// A standalone page with print styles; the browser's "Save as PDF" turns it into a PDF
+class PrintReportRenderer extends ReportRenderer {
+    constructor() {
+        super('print', { name: 'Print', extension: 'html', mimeType: 'text/html' });
+        this.html = new HtmlReportRenderer();
+    }
+
+    render(report) {
+        const title = `${report.symbol} ${report.mode} report, ${report.generatedAt.split('T')[0]}`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.html.escape(title)}</title>
+<style>
+    body { font-family: system-ui, -apple-system, sans-serif; color: #1e293b; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 1.4rem; margin-bottom: 4px; }
+    .recommendation { border: 2px solid #16a34a; border-radius: 8px; padding: 8px 16px; margin: 16px 0; }
+    .recommendation.warning { border-color: #d97706; }
+    .recommendation.danger { border-color: #dc2626; }
+    .report-warnings { color: #b45309; }
+    .analysis-card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 8px 16px; margin: 12px 0; break-inside: avoid; }
+    .analysis-card h4 { margin: 8px 0; }
+    .metric { display: flex; justify-content: space-between; gap: 16px; padding: 3px 0; border-bottom: 1px dotted #e2e8f0; }
+    .tooltiptext { display: none; }
+    .text-success { color: #16a34a; }
+    .text-danger { color: #dc2626; }
+    .report-provenance { color: #64748b; font-size: 0.8rem; margin-top: 16px; }
+    a { color: inherit; }
+    @media print { body { margin: 0; } @page { margin: 16mm; } }
+</style>
+</head>
+<body>
+<h1>${this.html.escape(report.name ? `${report.name} (${report.symbol})` : report.symbol)}</h1>
+${this.html.render(report)}
+</body>
+</html>
+`;
+    }
+}
+
+ReportRenderer.FORMATS = {
+    html: HtmlReportRenderer,
+    markdown: MarkdownReportRenderer,
+    json: JsonReportRenderer,
+    print: PrintReportRenderer
+};
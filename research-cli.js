@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// research - runs the research agents from a terminal, a cron job or a CI step
+//
+//   research AAPL --mode advanced --format json
+//   research screen watchlist.txt --filter "score > 60" --sort score
+//   research portfolio portfolio.csv --base EUR
+//
+// Exit codes: 0 ok, 1 bad arguments, unreadable input or another error, 2 a data fetch failed,
+// 3 data came from demo fallback or a stale cache.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const research = require('./research');
+
+const { ResearchSession, ReportRenderer, ScreenerQuery, CsvCodec } = research;
+const EXIT = ResearchSession.EXIT_CODES;
+
+const USAGE = `Usage:
+  research <symbol> [--mode beginner|advanced] [--format markdown|json|html|print]
+  research screen <file|-|symbols...> [--filter QUERY] [--sort FIELD[:asc|desc]] [--format table|json|csv]
+  research portfolio <file.csv|backup.json|-> [--base EUR] [--mapping FORMAT] [--format table|json|csv]
+
+Options:
+  --range 1M|3M|6M|1Y|2Y|5Y|MAX   history to fetch (default 1Y)
+  --instruments FILE               JSON array of extra listings, for tickers the built-in set does not know
+  --interval daily|weekly|monthly
+  --offline                        use cached series only; never call a provider
+  --demo                           use generated demo data only
+  --cache FILE                     cache file (default $RESEARCH_CACHE or ~/.cache/research/cache.json)
+  --no-cache                       keep the cache in memory for this run
+  --concurrency N                  symbols in flight for screen and portfolio (default 3)
+  --verbose                        show provider warnings on stderr
+  --help
+
+Exit codes: 0 ok, 1 bad arguments, input or another error, 2 a data fetch failed, 3 demo fallback or stale cached data`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parse(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                mode: { type: 'string', default: 'beginner' },
+                format: { type: 'string' },
+                range: { type: 'string' },
+                interval: { type: 'string' },
+                filter: { type: 'string' },
+                sort: { type: 'string' },
+                base: { type: 'string' },
+                mapping: { type: 'string' },
+                instruments: { type: 'string' },
+                offline: { type: 'boolean', default: false },
+                demo: { type: 'boolean', default: false },
+                cache: { type: 'string' },
+                'no-cache': { type: 'boolean', default: false },
+                concurrency: { type: 'string' },
+                verbose: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function readInput(file) {
+    try {
+        return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function choose(value, allowed, label) {
+    if (!allowed.includes(value)) {
+        throw new UsageError(`Unknown ${label}: ${value}; use one of ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+// Files hold tickers, ISINs or names separated by commas or new lines; # starts a comment
+function symbolsFrom(session, args) {
+    const entries = args.flatMap(arg => arg === '-' || fs.existsSync(arg)
+        ? readInput(arg).split(/\r?\n/).map(line => line.replace(/#.*/, '')).flatMap(line => line.split(/[,;\t]/))
+        : [arg]);
+    const inputs = entries.map(entry => entry.trim()).filter(Boolean);
+    const unknown = inputs.filter(input => !session.resolveSymbol(input));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown ticker(s): ${unknown.join(', ')}; add unlisted ones with --instruments FILE`);
+    }
+    return [...new Set(inputs.map(input => session.resolveSymbol(input)))];
+}
+
+// Plain aligned columns; numbers right-aligned, missing values as "-"
+function table(columns, rows) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column.key];
+        return value === null || value === undefined ? '-' : String(value);
+    }));
+    const widths = columns.map((column, index) => Math.max(column.label.length, ...cells.map(row => row[index].length)));
+    const line = values => values.map((value, index) => columns[index].number ? value.padStart(widths[index]) : value.padEnd(widths[index])).join('  ').trimEnd();
+    return [line(columns.map(column => column.label)), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+function csv(columns, rows) {
+    return CsvCodec.stringify([columns.map(column => column.label), ...rows.map(row => columns.map(column => row[column.key]))]);
+}
+
+async function runReport(session, values, symbol) {
+    const resolved = session.resolveSymbol(symbol);
+    if (!resolved) throw new UsageError(`Unknown ticker: ${symbol}; add unlisted ones with --instruments FILE`);
+    const renderer = ReportRenderer.create(choose(values.format || 'markdown', Object.keys(ReportRenderer.FORMATS), 'format'));
+    const result = await session.research(resolved, choose(values.mode, ['beginner', 'advanced'], 'mode'), { range: values.range, interval: values.interval });
+    return renderer.render(result.report);
+}
+
+async function runScreen(session, values, args) {
+    if (args.length === 0) throw new UsageError('screen needs a file of symbols, - for stdin, or the symbols themselves');
+    const format = choose(values.format || 'table', ['table', 'json', 'csv'], 'format');
+    const [field, direction = 'desc'] = (values.sort || 'score').split(':');
+    if (!ScreenerQuery.FIELDS[field]) throw new UsageError(`Unknown sort field: ${field}`);
+    try {
+        ScreenerQuery.parse(values.filter || '');
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const result = await session.screen(symbolsFrom(session, args), {
+        filter: values.filter,
+        sort: { field, direction: choose(direction, ['asc', 'desc'], 'sort direction') },
+        range: values.range
+    });
+    result.warnings.forEach(warning => console.error(`warning: ${warning}`));
+    if (format === 'json') return JSON.stringify({ rows: result.rows, total: result.total, errors: result.errors, warnings: result.warnings }, null, 2);
+
+    const columns = Object.entries(ScreenerQuery.FIELDS)
+        .map(([key, spec]) => ({ key, label: spec.label, number: spec.type === 'number' }));
+    if (format === 'csv') return csv(columns, result.rows);
+    return `${table(columns, result.rows)}\n\n${result.rows.length} of ${result.total} symbols match`;
+}
+
+async function runPortfolio(session, values, args) {
+    if (args.length !== 1) throw new UsageError('portfolio needs one CSV export or JSON backup, or - for stdin');
+    const format = choose(values.format || 'table', ['table', 'json', 'csv'], 'format');
+    const base = values.base ? values.base.toUpperCase() : undefined;
+
+    let loaded;
+    try {
+        loaded = session.loadLedger(readInput(args[0]), { mapping: values.mapping, baseCurrency: base });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    loaded.problems.forEach(problem => console.error(`skipped ${problem}`));
+
+    const result = await session.portfolio(loaded.ledger, { baseCurrency: base, range: values.range });
+    result.warnings.forEach(warning => console.error(`warning: ${warning}`));
+    if (format === 'json') return JSON.stringify(result, null, 2);
+
+    const columns = [
+        { key: 'symbol', label: 'Symbol' },
+        { key: 'name', label: 'Name' },
+        { key: 'shares', label: 'Shares', number: true },
+        { key: 'price', label: 'Price', number: true },
+        { key: 'cost', label: `Cost ${result.baseCurrency}`, number: true },
+        { key: 'value', label: `Value ${result.baseCurrency}`, number: true },
+        { key: 'gain', label: 'Gain', number: true },
+        { key: 'gainPercent', label: 'Gain %', number: true },
+        { key: 'weight', label: 'Weight %', number: true },
+        { key: 'score', label: 'Score', number: true },
+        { key: 'rating', label: 'Rating' }
+    ];
+    if (format === 'csv') return csv(columns, result.positions);
+    const totals = { symbol: 'Total', ...result.totals, weight: 100 };
+    return `${table(columns, [...result.positions, totals])}\n\nRates: ${result.fxSource}`;
+}
+
+async function main(argv) {
+    const { values, positionals } = parse(argv);
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT.ok;
+    }
+    if (positionals.length === 0) {
+        console.error(USAGE);
+        return EXIT.usage;
+    }
+    if (values.concurrency !== undefined && !(Number.parseInt(values.concurrency, 10) > 0)) {
+        throw new UsageError(`--concurrency must be a positive whole number, not ${values.concurrency}`);
+    }
+    research.setLogger(values.verbose ? { log: console.error, warn: console.error, error: console.error } : { log() {}, warn() {}, error() {} });
+
+    let instruments;
+    if (values.instruments) {
+        try {
+            instruments = JSON.parse(readInput(values.instruments));
+        } catch (error) {
+            throw new UsageError(error instanceof UsageError ? error.message : `${values.instruments} is not JSON: ${error.message}`);
+        }
+        if (!Array.isArray(instruments)) throw new UsageError(`${values.instruments} must hold an array of instrument records`);
+    }
+
+    let session;
+    try {
+        session = new ResearchSession({
+            config: instruments ? { instruments } : undefined,
+            offline: values.offline,
+            demo: values.demo,
+            cacheFile: values['no-cache'] ? null : values.cache,
+            concurrency: values.concurrency ? Number.parseInt(values.concurrency, 10) : undefined
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const [command, ...args] = positionals;
+    try {
+        let output;
+        if (command === 'screen') output = await runScreen(session, values, args);
+        else if (command === 'portfolio') output = await runPortfolio(session, values, args);
+        else if (args.length > 0) throw new UsageError(`Unexpected argument(s): ${args.join(' ')}`);
+        else output = await runReport(session, values, command);
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    } catch (error) {
+        // A failed data stage already counts in the session; anything else is reported as it is
+        if (!(error.name === 'ResearchPipelineError' && error.stage === 'data')) throw error;
+    } finally {
+        session.close();
+    }
+
+    session.fetchProblems().forEach(problem => console.error(problem));
+    return session.exitCode();
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`research: ${error.message}`);
+    if (!(error instanceof UsageError) && error.stack) console.error(error.stack);
+    process.exitCode = EXIT.usage;
+});
@@ -0,0 +1,303 @@
+// Research module for Node - loads the browser agents into one script context and exports their classes
+// The page loads the same files with <script> tags; SCRIPTS keeps that order (instruments.js before agents.js).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = [
+    'providers.js', 'cache.js', 'market-generator.js', 'instruments.js', 'indicators.js', 'signals.js', 'patterns.js', 'scoring.js',
+    'sentiment.js', 'fundamentals.js', 'reports.js', 'agents.js', 'orchestrator.js', 'backtest.js', 'fx.js', 'ledger.js',
+    'performance.js', 'risk.js', 'rebalance.js', 'importer.js', 'alerts.js', 'screener.js'
+];
+
+const EXPORTS = [
+    'DataAgent', 'AnalysisAgent', 'SentimentAgent', 'FundamentalsAgent', 'ReportAgent', 'ResearchOrchestrator', 'ResearchPipelineError',
+    'ResearchCancelledError', 'ProviderRegistry', 'MarketDataProvider', 'LocalFileProvider', 'DemoDataProvider',
+    'MarketDataCache', 'MemoryCacheStore', 'CallBudget', 'InstrumentMaster', 'IndicatorEngine', 'SignalDetector', 'PatternDetector',
+    'ScoringModel', 'SentimentAnalyzer', 'FundamentalsSource', 'FixtureFundamentalsSource', 'FMPFundamentalsSource',
+    'FundamentalsAnalyzer', 'ReportRenderer', 'Backtester', 'CurrencyConverter', 'FixtureFxSource',
+    'TransactionLedger', 'PerformanceAnalyzer', 'PortfolioRiskAnalyzer', 'RebalancePlanner', 'CsvCodec',
+    'PortfolioImporter', 'AlertEngine', 'Screener', 'ScreenerQuery', 'ScreenerSyntaxError'
+];
+
+// Agents log through this; setLogger() lets a CLI keep provider chatter off stdout
+let logger = console;
+
+const context = vm.createContext({
+    console: {
+        log: (...args) => logger.log(...args),
+        info: (...args) => logger.log(...args),
+        warn: (...args) => logger.warn(...args),
+        error: (...args) => logger.error(...args)
+    },
+    fetch: (...args) => fetch(...args),
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    AbortController, AbortSignal, URL, URLSearchParams, TextEncoder, TextDecoder
+});
+SCRIPTS.forEach(file => vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: path.join(__dirname, file) }));
+const classes = vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+
+function setLogger(next) {
+    logger = next || console;
+}
+
+// Cache entries in one JSON file, so cached series survive between runs the way localStorage does in the page.
+// Writes are batched; call flush() (or ResearchSession.close()) before the process exits.
+class FileCacheStore {
+    constructor(file) {
+        this.file = file;
+        this.entries = {};
+        this.dirty = false;
+        try {
+            this.entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.warn(`Ignoring unreadable cache file ${file}: ${error.message}`);
+        }
+    }
+
+    get(key) {
+        return Object.prototype.hasOwnProperty.call(this.entries, key) ? this.entries[key] : null;
+    }
+
+    set(key, value) {
+        this.entries[key] = value;
+        this.dirty = true;
+    }
+
+    delete(key) {
+        delete this.entries[key];
+        this.dirty = true;
+    }
+
+    keys() {
+        return Object.keys(this.entries);
+    }
+
+    // Written to a temporary file first so an interrupted run never leaves half a cache behind
+    flush() {
+        if (!this.dirty) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.entries));
+        fs.renameSync(temporary, this.file);
+        this.dirty = false;
+    }
+
+    static defaultFile() {
+        return process.env.RESEARCH_CACHE || path.join(os.homedir(), '.cache', 'research', 'cache.json');
+    }
+}
+
+// One configured set of agents for scripts and the CLI.
+// options.offline serves only cached series; options.demo serves only generated demo data.
+// Every symbol's data fetch is recorded, so exitCode() can tell a clean run from a degraded or failed one.
+class ResearchSession {
+    constructor(options = {}) {
+        if (options.offline && options.demo) {
+            throw new Error('Choose either offline (cached data only) or demo data, not both');
+        }
+        this.source = options.offline ? 'offline' : options.demo ? 'demo' : 'live';
+        this.store = options.cacheFile === null
+            ? new classes.MemoryCacheStore()
+            : new FileCacheStore(options.cacheFile || FileCacheStore.defaultFile());
+        this.instruments = new classes.InstrumentMaster();
+        // Listings the built-in set lacks, in the shape RESEARCH_CONFIG.instruments takes in the page
+        if (options.config && options.config.instruments) this.instruments.load(options.config.instruments);
+        this.dataAgent = new classes.DataAgent({ ...options.config, cacheStore: this.store, instrumentMaster: this.instruments });
+        this.restrictProviders(this.dataAgent.providers);
+
+        const analysisAgent = new classes.AnalysisAgent({ simulatedLatency: false, scoringModel: options.scoringModel });
+        // Statements share the cache file; offline and demo runs read them from the cache or local fixtures
+        const fundamentalsAgent = new classes.FundamentalsAgent({
+            source: classes.FundamentalsAgent.createDefaultSource(options.config),
+            instruments: this.instruments,
+            cacheStore: this.store,
+            budget: this.dataAgent.callBudget,
+            offline: this.source !== 'live',
+            simulatedLatency: false
+        });
+        this.orchestrator = new classes.ResearchOrchestrator({
+            dataAgent: this.dataAgent,
+            fundamentalsAgent,
+            analysisAgent,
+            sentimentAgent: new classes.SentimentAgent({ simulatedLatency: false }),
+            reportAgent: new classes.ReportAgent({ instruments: this.instruments, simulatedLatency: false })
+        });
+        this.screener = new classes.Screener({ orchestrator: this.orchestrator, concurrency: options.concurrency || classes.Screener.DEFAULT_OPTIONS.concurrency });
+        this.converter = new classes.CurrencyConverter(this.source === 'live' ? {} : { source: new classes.FixtureFxSource() });
+
+        this.fetches = new Map();
+        this.orchestrator.on('run:complete', ({ symbol, result }) => this.recordFetch(symbol, result.stockData));
+        this.orchestrator.on('run:error', ({ symbol, stage, error }) => {
+            if (stage !== 'data') return;
+            const reason = this.source === 'offline' ? 'not in the cache; run once without offline mode to fetch it' : (error.cause || error).message;
+            this.fetches.set(symbol, { symbol, ok: false, error: reason });
+        });
+    }
+
+    // Offline keeps no provider, so only the cache answers; demo keeps only the demo generator
+    restrictProviders(registry) {
+        if (this.source === 'live') return;
+        registry.providers
+            .filter(provider => this.source === 'offline' || provider.id !== 'demo')
+            .forEach(provider => registry.disable(provider.id));
+        if (this.source === 'demo') registry.enable('demo');
+    }
+
+    recordFetch(symbol, stockData) {
+        const provenance = stockData.provenance || {};
+        this.fetches.set(symbol, {
+            symbol,
+            ok: true,
+            isDemo: Boolean(stockData.isDemo),
+            cache: provenance.cache || null,
+            provider: provenance.provider || null
+        });
+    }
+
+    // Demo fallbacks and stale cache hits are degraded unless the session asked for exactly that
+    isDegraded(fetch) {
+        if (!fetch.ok) return false;
+        if (fetch.isDemo && this.source !== 'demo') return true;
+        return fetch.cache === 'stale' && this.source === 'live';
+    }
+
+    exitCode() {
+        const fetches = [...this.fetches.values()];
+        if (fetches.some(fetch => !fetch.ok)) return ResearchSession.EXIT_CODES.fetchFailed;
+        if (fetches.some(fetch => this.isDegraded(fetch))) return ResearchSession.EXIT_CODES.degraded;
+        return ResearchSession.EXIT_CODES.ok;
+    }
+
+    fetchProblems() {
+        return [...this.fetches.values()]
+            .filter(fetch => !fetch.ok || this.isDegraded(fetch))
+            .map(fetch => !fetch.ok
+                ? `${fetch.symbol}: ${fetch.error}`
+                : `${fetch.symbol}: ${fetch.isDemo ? 'no provider answered; used demo data' : 'providers unreachable; used stale cached data'}`);
+    }
+
+    // Ticker, ISIN or company name to a listed ticker; null when the instrument master does not know it
+    resolveSymbol(input) {
+        const instrument = this.instruments.resolve(input);
+        return instrument ? instrument.ticker : null;
+    }
+
+    async research(symbol, mode = 'beginner', options = {}) {
+        const result = await this.orchestrator.run(symbol, mode, { range: options.range, interval: options.interval });
+        return { ...result, report: result.report.report, html: result.report.html };
+    }
+
+    async screen(symbols, options = {}) {
+        const query = classes.ScreenerQuery.parse(options.filter || '');
+        const result = await this.screener.run(symbols, { range: options.range, onProgress: options.onProgress });
+        let rows = query.filter(result.rows);
+        if (options.sort) rows = classes.Screener.sort(rows, options.sort.field, options.sort.direction);
+        return { ...result, total: result.rows.length, rows };
+    }
+
+    // Values open positions at today's prices; cost uses each lot's purchase-date exchange rate, as the page does
+    async portfolio(ledger, options = {}) {
+        const base = options.baseCurrency || ledger.baseCurrency;
+        const holdings = Object.values(ledger.replay().positions)
+            .filter(holding => holding.shares > classes.TransactionLedger.EPSILON);
+        if (holdings.length === 0) {
+            throw new Error('The portfolio has no open positions');
+        }
+
+        const firstDate = holdings.flatMap(holding => holding.lots.map(lot => lot.date)).sort()[0];
+        await this.converter.load(firstDate);
+        const screened = await this.screener.run(holdings.map(holding => holding.symbol), { range: options.range });
+
+        const positions = holdings.map(holding => {
+            const row = screened.rows.find(candidate => candidate.symbol === holding.symbol) || null;
+            const cost = holding.lots.reduce((sum, lot) => sum + this.converter.convert(lot.shares * lot.costPerShare, holding.currency, base, lot.date), 0);
+            const value = row ? this.converter.convert(holding.shares * row.price, this.instruments.currencyOf(holding.symbol), base) : null;
+            return {
+                symbol: holding.symbol,
+                name: row ? row.name : '',
+                shares: parseFloat(holding.shares.toFixed(6)),
+                currency: holding.currency,
+                price: row ? row.price : null,
+                cost: this.round(cost),
+                value: value === null ? null : this.round(value),
+                gain: value === null ? null : this.round(value - cost),
+                gainPercent: value === null || cost === 0 ? null : this.round((value - cost) / cost * 100),
+                weight: null,
+                score: row ? row.score : null,
+                rating: row ? row.rating : null,
+                trend: row ? row.trend : null,
+                isDemo: row ? row.isDemo : false
+            };
+        });
+
+        // Unpriced positions count at cost, so the weights still add up to 100
+        const totalValue = positions.reduce((sum, position) => sum + (position.value ?? position.cost), 0);
+        const totalCost = positions.reduce((sum, position) => sum + position.cost, 0);
+        positions.forEach(position => {
+            position.weight = totalValue > 0 ? this.round((position.value ?? position.cost) / totalValue * 100) : null;
+        });
+
+        return {
+            baseCurrency: base,
+            fxSource: this.converter.sourceName,
+            positions: positions.sort((a, b) => (b.value ?? b.cost) - (a.value ?? a.cost)),
+            totals: {
+                cost: this.round(totalCost),
+                value: this.round(totalValue),
+                gain: this.round(totalValue - totalCost),
+                gainPercent: totalCost > 0 ? this.round((totalValue - totalCost) / totalCost * 100) : null
+            },
+            errors: screened.errors,
+            warnings: screened.warnings
+        };
+    }
+
+    // A JSON backup from the page, or a broker CSV in any layout the importer recognises
+    loadLedger(text, options = {}) {
+        const currencyFor = symbol => this.instruments.currencyOf(symbol);
+        if (/^\s*[{\[]/.test(text)) {
+            return { ledger: classes.PortfolioImporter.restore(text, { currencyFor, baseCurrency: options.baseCurrency }), problems: [] };
+        }
+        const ledger = new classes.TransactionLedger([], { baseCurrency: options.baseCurrency, currencyFor });
+        const importer = new classes.PortfolioImporter(ledger, {
+            resolveSymbol: input => this.resolveSymbol(input) || input.trim().toUpperCase(),
+            isKnownSymbol: symbol => this.instruments.isKnown(symbol),
+            lookupIsin: (isin, currency) => this.instruments.byIsin(isin, currency)?.ticker,
+            currencyFor
+        });
+        const preview = importer.preview(text, { mapping: options.mapping });
+        importer.commit(preview);
+        const problems = preview.rows
+            .filter(row => row.errors.length > 0)
+            .map(row => `line ${row.line}: ${row.errors.join('; ')}`);
+        return { ledger, problems };
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+
+    close() {
+        if (this.store.flush) this.store.flush();
+    }
+}
+
+// 2 wins over 3: a symbol without any data is worse than one served from demo data or a stale cache.
+// 1 covers bad arguments, unreadable input and any other error.
+ResearchSession.EXIT_CODES = {
+    ok: 0,
+    usage: 1,
+    fetchFailed: 2,
+    degraded: 3
+};
+
+module.exports = {
+    ...classes,
+    FileCacheStore,
+    ResearchSession,
+    SCRIPTS,
+    setLogger
+};
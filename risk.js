@@ -0,0 +1,279 @@
+// Portfolio Risk Analyzer - correlation, beta, Value-at-Risk, Expected Shortfall and concentration for current holdings
+// Positions are the grouped positions from PortfolioTracker.calculatePortfolioStats():
+// { symbol, currency, totalShares, totalCost, marketValue }, with cost and value already in the base currency.
+// Weights are today's values, held fixed over the look-back window, so the figures describe the portfolio as it is now.
+
+class PortfolioRiskAnalyzer {
+    constructor(options = {}) {
+        this.dataAgent = options.dataAgent || new DataAgent();
+        this.converter = options.converter || null;
+        this.instruments = options.instruments || this.dataAgent.instruments || new InstrumentMaster();
+        this.options = { ...PortfolioRiskAnalyzer.DEFAULT_OPTIONS, ...options };
+    }
+
+    async analyze(positions, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const held = Object.values(positions).filter(position => position.totalShares > 0);
+        if (held.length === 0) {
+            throw new Error('Risk analysis needs at least one open position');
+        }
+
+        const warnings = [];
+        if (this.converter) await this.converter.load(this.dataAgent.getRangeStart(options.range));
+
+        // A missing benchmark only loses beta; a missing holding is left out with a warning.
+        // One symbol at a time so a large portfolio does not burst through provider rate limits.
+        const histories = [];
+        for (const position of held) {
+            histories.push(await this.dataAgent.fetchStockData(position.symbol, { range: options.range }).catch(error => {
+                warnings.push(`${position.symbol} left out of the risk figures: ${error.message}`);
+                return null;
+            }));
+        }
+        const benchmark = options.benchmark
+            ? await this.dataAgent.fetchStockData(options.benchmark, { range: options.range }).catch(error => {
+                warnings.push(`Benchmark ${options.benchmark} unavailable: ${error.message}`);
+                return null;
+            })
+            : null;
+
+        const seriesBySymbol = {};
+        held.forEach((position, i) => {
+            if (histories[i]) seriesBySymbol[position.symbol] = histories[i];
+        });
+        return this.compute(held, seriesBySymbol, benchmark, { ...options, warnings });
+    }
+
+    // Pure part of analyze(): no fetching, so it can run on cached or CSV series
+    compute(positions, seriesBySymbol, benchmarkSeries = null, options = this.options) {
+        const warnings = [...(options.warnings || [])];
+        const holdings = this.weigh(positions);
+        const totalValue = holdings.reduce((sum, holding) => sum + holding.value, 0);
+
+        const priced = holdings.filter(holding => seriesBySymbol[holding.symbol]);
+        priced.forEach(holding => {
+            if (seriesBySymbol[holding.symbol].isDemo) warnings.push(`${holding.symbol} risk is based on demo data, not market prices`);
+        });
+        if (benchmarkSeries?.isDemo) warnings.push(`Benchmark ${benchmarkSeries.symbol} uses demo data`);
+
+        const returns = this.alignedReturns(priced, seriesBySymbol, options);
+        if (returns.dates.length < options.minObservations) {
+            throw new Error(`Only ${returns.dates.length} days of overlapping history; risk figures need at least ${options.minObservations}`);
+        }
+
+        // Holdings without history are left out; the rest are re-weighted among themselves
+        const pricedValue = priced.reduce((sum, holding) => sum + holding.value, 0);
+        const portfolioReturns = returns.dates.map((_, day) =>
+            priced.reduce((sum, holding) => sum + holding.value / pricedValue * returns.bySymbol[holding.symbol][day], 0));
+
+        const benchmarkReturns = benchmarkSeries ? this.benchmarkReturns(returns.closeDates, benchmarkSeries) : null;
+        priced.forEach(holding => {
+            const series = returns.bySymbol[holding.symbol];
+            holding.volatility = this.round(this.standardDeviation(series) * Math.sqrt(options.periodsPerYear) * 100);
+            holding.beta = benchmarkReturns ? this.round(this.beta(series, benchmarkReturns)) : null;
+        });
+
+        const concentration = this.concentration(holdings, options);
+        warnings.push(...concentration.warnings);
+        const correlation = this.correlationMatrix(priced.map(holding => holding.symbol), returns.bySymbol);
+        warnings.push(...this.correlationWarnings(correlation, options));
+
+        return {
+            baseCurrency: options.baseCurrency || null,
+            benchmark: benchmarkSeries ? benchmarkSeries.symbol : null,
+            startDate: returns.dates[0],
+            endDate: returns.dates[returns.dates.length - 1],
+            observations: returns.dates.length,
+            totalValue: this.round(totalValue),
+            holdings: holdings,
+            sectors: concentration.sectors,
+            correlation: correlation,
+            volatility: this.round(this.standardDeviation(portfolioReturns) * Math.sqrt(options.periodsPerYear) * 100),
+            beta: benchmarkReturns ? this.round(this.beta(portfolioReturns, benchmarkReturns)) : null,
+            valueAtRisk: options.confidenceLevels.map(confidence => this.valueAtRisk(portfolioReturns, pricedValue, confidence, options.horizonDays)),
+            horizonDays: options.horizonDays,
+            herfindahl: concentration.herfindahl,
+            effectiveHoldings: concentration.effectiveHoldings,
+            warnings: warnings
+        };
+    }
+
+    // Unpriced positions count at cost, as on the dashboard
+    weigh(positions) {
+        const holdings = positions.map(position => ({
+            symbol: position.symbol,
+            currency: position.currency,
+            sector: this.instruments.sectorOf(position.symbol),
+            value: position.marketValue ?? position.totalCost,
+            volatility: null,
+            beta: null
+        }));
+        const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+        holdings.forEach(holding => { holding.weight = total > 0 ? this.round(holding.value / total * 100) : 0; });
+        return holdings.sort((a, b) => b.value - a.value);
+    }
+
+    // Daily returns in the base currency on the days every holding traded; closeDates[0] is the day before the first return
+    alignedReturns(holdings, seriesBySymbol, options) {
+        if (holdings.length === 0) return { dates: [], closeDates: [], bySymbol: {} };
+        const closes = holdings.map(holding => this.closesInBase(seriesBySymbol[holding.symbol], holding.currency, options));
+        const closeDates = [...closes[0].keys()].filter(date => closes.every(map => map.has(date))).sort();
+        const bySymbol = {};
+        holdings.forEach((holding, i) => {
+            bySymbol[holding.symbol] = closeDates.slice(1).map((date, day) => closes[i].get(date) / closes[i].get(closeDates[day]) - 1);
+        });
+        return { dates: closeDates.slice(1), closeDates, bySymbol };
+    }
+
+    // Benchmark moves over the same intervals, in its own currency; a benchmark holiday counts as no move
+    benchmarkReturns(closeDates, series) {
+        const closeOn = date => {
+            let found = -1;
+            for (let i = 0; i < series.dates.length && series.dates[i] <= date; i++) found = i;
+            return found === -1 ? null : series.prices[found];
+        };
+        const closes = closeDates.map(closeOn);
+        return closes.slice(1).map((close, i) => close !== null && closes[i] !== null ? close / closes[i] - 1 : 0);
+    }
+
+    closesInBase(series, currency, options) {
+        const convert = this.converter && options.baseCurrency && currency && currency !== options.baseCurrency;
+        return new Map(series.dates.map((date, i) => [
+            date,
+            convert ? this.converter.convert(series.prices[i], currency, options.baseCurrency, date) : series.prices[i]
+        ]));
+    }
+
+    correlationMatrix(symbols, returnsBySymbol) {
+        const matrix = symbols.map(a => symbols.map(b => a === b ? 1 : this.round(this.correlation(returnsBySymbol[a], returnsBySymbol[b]))));
+        return { symbols, matrix };
+    }
+
+    correlationWarnings(correlation, options) {
+        const warnings = [];
+        correlation.symbols.forEach((a, i) => correlation.symbols.slice(i + 1).forEach((b, k) => {
+            const value = correlation.matrix[i][i + 1 + k];
+            if (value >= options.highCorrelation) {
+                warnings.push(`${a} and ${b} move closely together (correlation ${value.toFixed(2)}), so they diversify each other little`);
+            }
+        }));
+        return warnings;
+    }
+
+    concentration(holdings, options) {
+        const warnings = [];
+        const bySector = {};
+        holdings.forEach(holding => {
+            const sector = bySector[holding.sector] = bySector[holding.sector] || { sector: holding.sector, weight: 0, symbols: [] };
+            sector.weight += holding.weight;
+            sector.symbols.push(holding.symbol);
+        });
+        const sectors = Object.values(bySector)
+            .map(sector => ({ ...sector, weight: this.round(sector.weight) }))
+            .sort((a, b) => b.weight - a.weight);
+
+        if (holdings.length > 1) {
+            holdings.filter(holding => holding.weight > options.maxPositionWeight).forEach(holding => {
+                warnings.push(`${holding.symbol} is ${holding.weight.toFixed(1)}% of the portfolio (above ${options.maxPositionWeight}%)`);
+            });
+        }
+        sectors.filter(sector => sector.sector !== 'Unknown' && sector.weight > options.maxSectorWeight).forEach(sector => {
+            warnings.push(`${sector.sector} is ${sector.weight.toFixed(1)}% of the portfolio (above ${options.maxSectorWeight}%)`);
+        });
+
+        // Herfindahl index of the weights; its inverse reads as "behaves like N equal positions"
+        const herfindahl = holdings.reduce((sum, holding) => sum + Math.pow(holding.weight / 100, 2), 0);
+        return {
+            sectors,
+            warnings,
+            herfindahl: parseFloat(herfindahl.toFixed(4)),
+            effectiveHoldings: herfindahl > 0 ? this.round(1 / herfindahl) : 0
+        };
+    }
+
+    // Losses are positive numbers. Historical figures use overlapping multi-day returns; parametric ones assume normal returns
+    valueAtRisk(returns, value, confidence, horizonDays = 1) {
+        const horizon = [];
+        for (let i = 0; i + horizonDays <= returns.length; i++) {
+            horizon.push(returns.slice(i, i + horizonDays).reduce((growth, r) => growth * (1 + r), 1) - 1);
+        }
+        const sorted = [...horizon].sort((a, b) => a - b);
+        const cutoff = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+        const tail = sorted.slice(0, cutoff);
+        const historicalVar = -sorted[cutoff - 1];
+        const historicalEs = -tail.reduce((sum, r) => sum + r, 0) / tail.length;
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length * horizonDays;
+        const sigma = this.standardDeviation(returns) * Math.sqrt(horizonDays);
+        const z = PortfolioRiskAnalyzer.normalQuantile(confidence);
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        const parametricVar = z * sigma - mean;
+        const parametricEs = sigma * density / (1 - confidence) - mean;
+
+        const figure = loss => ({ percent: this.round(loss * 100), amount: this.round(loss * value) });
+        return {
+            confidence,
+            historical: figure(historicalVar),
+            parametric: figure(parametricVar),
+            expectedShortfall: {
+                historical: figure(historicalEs),
+                parametric: figure(parametricEs)
+            }
+        };
+    }
+
+    beta(returns, benchmarkReturns) {
+        const variance = this.covariance(benchmarkReturns, benchmarkReturns);
+        return variance > 0 ? this.covariance(returns, benchmarkReturns) / variance : 0;
+    }
+
+    correlation(a, b) {
+        const denominator = Math.sqrt(this.covariance(a, a) * this.covariance(b, b));
+        return denominator > 0 ? this.covariance(a, b) / denominator : 0;
+    }
+
+    covariance(a, b) {
+        const meanA = a.reduce((sum, x) => sum + x, 0) / a.length;
+        const meanB = b.reduce((sum, x) => sum + x, 0) / b.length;
+        return a.reduce((sum, x, i) => sum + (x - meanA) * (b[i] - meanB), 0) / (a.length > 1 ? a.length - 1 : 1);
+    }
+
+    standardDeviation(values) {
+        return Math.sqrt(this.covariance(values, values));
+    }
+
+    // Inverse of the standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9)
+    static normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -PortfolioRiskAnalyzer.normalQuantile(1 - p);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+}
+
+PortfolioRiskAnalyzer.DEFAULT_OPTIONS = {
+    benchmark: 'SPY',
+    range: '1Y',
+    periodsPerYear: 252,
+    confidenceLevels: [0.95, 0.99],
+    horizonDays: 1,
+    minObservations: 30,
+    maxPositionWeight: 20,
+    maxSectorWeight: 40,
+    highCorrelation: 0.8
+};
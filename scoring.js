@@ -0,0 +1,292 @@
+// Scoring Model - factors, weights and recommendation thresholds defined as data
+
+class ScoringModel {
+    constructor(definition = ScoringModel.PRESETS.balanced) {
+        ScoringModel.validate(definition);
+        this.id = definition.id;
+        this.name = definition.name || definition.id;
+        this.description = definition.description || '';
+        this.base = definition.base ?? 50;
+        this.factors = definition.factors;
+        this.thresholds = definition.thresholds || ScoringModel.PRESETS.balanced.thresholds;
+    }
+
+    // Accepts a preset id, a definition object or an existing model
+    static from(model) {
+        if (!model) return new ScoringModel();
+        if (model instanceof ScoringModel) return model;
+        if (typeof model === 'string') {
+            if (!ScoringModel.PRESETS[model]) {
+                throw new Error(`Unknown scoring preset: ${model}`);
+            }
+            return new ScoringModel(ScoringModel.PRESETS[model]);
+        }
+        return new ScoringModel(model);
+    }
+
+    static validate(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Scoring model needs an id');
+        }
+        if (!Array.isArray(definition.factors) || definition.factors.length === 0) {
+            throw new Error(`Scoring model ${definition.id} has no factors`);
+        }
+        definition.factors.forEach(factor => {
+            if (!(factor.metric in ScoringModel.METRICS)) {
+                throw new Error(`Scoring factor ${factor.id} uses unknown metric: ${factor.metric}`);
+            }
+            if (factor.metric !== 'signals' && !factor.rules && !factor.scale) {
+                throw new Error(`Scoring factor ${factor.id} needs rules or a scale`);
+            }
+        });
+    }
+
+    evaluate(analysis, context = {}) {
+        const breakdown = [];
+
+        this.factors.forEach(factor => {
+            const weight = factor.weight ?? 1;
+
+            if (factor.metric === 'signals') {
+                (context.signalContributions || []).forEach(({ signal, age, points }) => {
+                    breakdown.push({
+                        factor: factor.id,
+                        label: signal.label,
+                        value: signal.strength,
+                        weight: weight,
+                        points: this.round(points * weight),
+                        detail: `${signal.date} (${age} bars ago), strength ${signal.strength}`
+                    });
+                });
+                return;
+            }
+
+            const value = ScoringModel.METRICS[factor.metric](analysis);
+            if (value === null || value === undefined || Number.isNaN(value)) return;
+
+            const outcome = factor.scale ? this.applyScale(factor.scale, value) : this.applyRules(factor.rules, value);
+            if (!outcome || outcome.points === 0) return;
+
+            breakdown.push({
+                factor: factor.id,
+                label: outcome.label || factor.label || factor.id,
+                value: value,
+                weight: weight,
+                points: this.round(outcome.points * weight),
+                detail: `${factor.label || factor.id} is ${typeof value === 'number' ? this.round(value) : value}`
+            });
+        });
+
+        const total = breakdown.reduce((sum, item) => sum + item.points, this.base);
+        return {
+            score: Math.max(0, Math.min(100, Math.round(total))),
+            breakdown: breakdown
+        };
+    }
+
+    // First matching rule wins
+    applyRules(rules, value) {
+        const tests = {
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '=': (a, b) => a === b
+        };
+        return rules.find(rule => tests[rule.when](value, rule.value)) || null;
+    }
+
+    // Linear interpolation between two anchor points, clamped at both ends
+    applyScale(scale, value) {
+        const [x1, x2] = scale.input;
+        const [p1, p2] = scale.points;
+        const t = Math.max(0, Math.min(1, (value - x1) / (x2 - x1)));
+        return { points: p1 + (p2 - p1) * t, label: scale.label };
+    }
+
+    // Rating keys, highest first: beginner -> positive/caution/negative, advanced -> strongBuy..strongSell
+    rate(score, mode) {
+        return ScoringModel.rateWith(this.thresholds, score, mode);
+    }
+
+    static rateWith(thresholds, score, mode) {
+        const levels = thresholds[mode];
+        const match = levels.find(level => score >= level.min);
+        return match ? match.rating : levels[levels.length - 1].rating;
+    }
+
+    describe() {
+        return { id: this.id, name: this.name, description: this.description, thresholds: this.thresholds };
+    }
+
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+
+    static fundamental(analysis, group, key) {
+        const fundamentals = analysis.fundamentals;
+        return fundamentals && fundamentals.available ? fundamentals[group][key] : null;
+    }
+}
+
+// Values a factor can score; each reads one number or label from an AnalysisAgent result
+ScoringModel.METRICS = {
+    rsi: a => a.technicalIndicators.rsi,
+    trend: a => a.trend,
+    momentum: a => a.priceAnalysis.momentum,
+    volatility: a => a.volatility,
+    dailyChange: a => a.priceAnalysis.dailyChange,
+    weeklyChange: a => a.priceAnalysis.weeklyChange,
+    percentFromHigh: a => a.priceAnalysis.highLow52.percentFromHigh,
+    macdHistogram: a => a.technicalIndicators.macdHistogram,
+    adx: a => a.technicalIndicators.adx,
+    stochasticK: a => a.technicalIndicators.stochasticK,
+    bollingerPosition: a => {
+        const { upper, lower } = a.technicalIndicators.bollinger;
+        return upper === lower ? null : (a.priceAnalysis.close - lower) / (upper - lower);
+    },
+    priceVsSma200: a => {
+        const sma200 = a.technicalIndicators.sma200;
+        return sma200 ? (a.priceAnalysis.close - sma200) / sma200 * 100 : null;
+    },
+    // Fundamentals read null when no statements were loaded, so these factors then drop out
+    peerPercentile: a => a.fundamentals && a.fundamentals.available ? a.fundamentals.peerPercentile : null,
+    pe: a => ScoringModel.fundamental(a, 'valuation', 'pe'),
+    revenueGrowth: a => ScoringModel.fundamental(a, 'growth', 'revenueCagr'),
+    netMargin: a => ScoringModel.fundamental(a, 'profitability', 'netMargin'),
+    debtToEquity: a => ScoringModel.fundamental(a, 'leverage', 'debtToEquity'),
+    signals: () => null
+};
+
+ScoringModel.DEFAULT_THRESHOLDS = {
+    beginner: [
+        { min: 70, rating: 'positive' },
+        { min: 50, rating: 'caution' },
+        { min: 0, rating: 'negative' }
+    ],
+    advanced: [
+        { min: 75, rating: 'strongBuy' },
+        { min: 60, rating: 'buy' },
+        { min: 40, rating: 'hold' },
+        { min: 25, rating: 'sell' },
+        { min: 0, rating: 'strongSell' }
+    ]
+};
+
+ScoringModel.PRESETS = {
+    balanced: {
+        id: 'balanced',
+        name: 'Balanced',
+        description: 'Trend, momentum and RSI extremes in equal measure, with a penalty for very volatile stocks and a nudge from fundamentals versus peers.',
+        base: 50,
+        factors: [
+            { id: 'rsi', label: 'RSI', metric: 'rsi', rules: [
+                { when: '>', value: 70, points: -10, label: 'RSI overbought' },
+                { when: '<', value: 30, points: 10, label: 'RSI oversold' }
+            ] },
+            { id: 'trend', label: 'Trend', metric: 'trend', rules: [
+                { when: '=', value: 'Uptrend', points: 15, label: 'Uptrend' },
+                { when: '=', value: 'Downtrend', points: -15, label: 'Downtrend' }
+            ] },
+            { id: 'momentum', label: '5-bar momentum (%)', metric: 'momentum', rules: [
+                { when: '>', value: 5, points: 10, label: 'Strong momentum' },
+                { when: '<', value: -5, points: -10, label: 'Weak momentum' }
+            ] },
+            { id: 'volatility', label: 'Annualized volatility (%)', metric: 'volatility', rules: [
+                { when: '>', value: 50, points: -5, label: 'High volatility' }
+            ] },
+            { id: 'peers', label: 'Fundamentals peer percentile', metric: 'peerPercentile', scale: { input: [0, 100], points: [-10, 10], label: 'Fundamentals vs peers' } },
+            { id: 'signals', label: 'Recent signals', metric: 'signals', weight: 1 }
+        ],
+        thresholds: ScoringModel.DEFAULT_THRESHOLDS
+    },
+
+    momentum: {
+        id: 'momentum',
+        name: 'Momentum',
+        description: 'Rewards strong trends and rising prices; overbought readings are not penalized.',
+        base: 50,
+        factors: [
+            { id: 'trend', label: 'Trend', metric: 'trend', rules: [
+                { when: '=', value: 'Uptrend', points: 20, label: 'Uptrend' },
+                { when: '=', value: 'Downtrend', points: -20, label: 'Downtrend' }
+            ] },
+            { id: 'momentum', label: '5-bar momentum (%)', metric: 'momentum', scale: { input: [-10, 10], points: [-15, 15], label: 'Momentum' } },
+            { id: 'macd', label: 'MACD histogram', metric: 'macdHistogram', rules: [
+                { when: '>', value: 0, points: 5, label: 'MACD above signal' },
+                { when: '<', value: 0, points: -5, label: 'MACD below signal' }
+            ] },
+            { id: 'longTrend', label: 'Price vs 200-day average (%)', metric: 'priceVsSma200', rules: [
+                { when: '>', value: 0, points: 10, label: 'Above 200-day average' },
+                { when: '<', value: 0, points: -10, label: 'Below 200-day average' }
+            ] },
+            { id: 'signals', label: 'Recent signals', metric: 'signals', weight: 1.5 }
+        ],
+        thresholds: ScoringModel.DEFAULT_THRESHOLDS
+    },
+
+    meanReversion: {
+        id: 'meanReversion',
+        name: 'Mean Reversion',
+        description: 'Looks for stretched prices likely to snap back: oversold is bullish, overbought is bearish.',
+        base: 50,
+        factors: [
+            { id: 'rsi', label: 'RSI', metric: 'rsi', scale: { input: [30, 70], points: [20, -20], label: 'RSI stretch' } },
+            { id: 'bollinger', label: 'Position in Bollinger Bands (0-1)', metric: 'bollingerPosition', scale: { input: [0, 1], points: [15, -15], label: 'Bollinger position' } },
+            { id: 'momentum', label: '5-bar momentum (%)', metric: 'momentum', rules: [
+                { when: '>', value: 5, points: -5, label: 'Extended rally' },
+                { when: '<', value: -5, points: 5, label: 'Extended sell-off' }
+            ] },
+            { id: 'signals', label: 'Recent signals', metric: 'signals', weight: 0.5 }
+        ],
+        thresholds: ScoringModel.DEFAULT_THRESHOLDS
+    },
+
+    conservative: {
+        id: 'conservative',
+        name: 'Conservative',
+        description: 'Penalizes volatility, deep drawdowns, losses and heavy debt, and asks for a higher score before recommending a buy.',
+        base: 50,
+        factors: [
+            { id: 'volatility', label: 'Annualized volatility (%)', metric: 'volatility', rules: [
+                { when: '>', value: 40, points: -20, label: 'Very high volatility' },
+                { when: '>', value: 25, points: -10, label: 'High volatility' },
+                { when: '<', value: 15, points: 5, label: 'Low volatility' }
+            ] },
+            { id: 'trend', label: 'Trend', metric: 'trend', rules: [
+                { when: '=', value: 'Uptrend', points: 10, label: 'Uptrend' },
+                { when: '=', value: 'Downtrend', points: -15, label: 'Downtrend' }
+            ] },
+            { id: 'drawdown', label: 'Distance from 52-week high (%)', metric: 'percentFromHigh', rules: [
+                { when: '<', value: -20, points: -10, label: 'Deep drawdown' }
+            ] },
+            { id: 'rsi', label: 'RSI', metric: 'rsi', rules: [
+                { when: '>', value: 70, points: -10, label: 'RSI overbought' },
+                { when: '<', value: 30, points: 5, label: 'RSI oversold' }
+            ] },
+            { id: 'profitability', label: 'Net margin (%)', metric: 'netMargin', rules: [
+                { when: '<', value: 0, points: -10, label: 'Loss-making' }
+            ] },
+            { id: 'leverage', label: 'Debt to equity', metric: 'debtToEquity', rules: [
+                { when: '>', value: 2, points: -10, label: 'Heavy debt' },
+                { when: '<', value: 0.5, points: 5, label: 'Little debt' }
+            ] },
+            { id: 'peers', label: 'Fundamentals peer percentile', metric: 'peerPercentile', scale: { input: [0, 100], points: [-10, 10], label: 'Fundamentals vs peers' } },
+            { id: 'signals', label: 'Recent signals', metric: 'signals', weight: 0.75 }
+        ],
+        thresholds: {
+            beginner: [
+                { min: 80, rating: 'positive' },
+                { min: 55, rating: 'caution' },
+                { min: 0, rating: 'negative' }
+            ],
+            advanced: [
+                { min: 85, rating: 'strongBuy' },
+                { min: 70, rating: 'buy' },
+                { min: 45, rating: 'hold' },
+                { min: 30, rating: 'sell' },
+                { min: 0, rating: 'strongSell' }
+            ]
+        }
+    }
+};
@@ -0,0 +1,324 @@
+// Screener - runs the research pipeline over many symbols and filters the results with a small query language
+
+class ScreenerSyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at character ${position + 1})`);
+        this.name = 'ScreenerSyntaxError';
+        this.position = position;
+    }
+}
+
+// Parses queries such as `score > 60 AND trend = Uptrend AND volatility < 30` into a predicate over screener rows.
+// AND binds tighter than OR; NOT and parentheses work as usual. Text comparisons ignore case.
+class ScreenerQuery {
+    constructor(text) {
+        this.text = String(text || '').trim();
+        this.tokens = ScreenerQuery.tokenize(this.text);
+        this.index = 0;
+        this.tree = this.tokens.length > 0 ? this.parseOr() : null;
+        if (this.index < this.tokens.length) {
+            const token = this.tokens[this.index];
+            throw new ScreenerSyntaxError(`Unexpected "${token.text}"`, token.position);
+        }
+    }
+
+    static parse(text) {
+        return new ScreenerQuery(text);
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|(>=|<=|!=|=|>|<)|"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w.\-]*))/y;
+        let match;
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < text.length) {
+            const start = pattern.lastIndex;
+            if (/^\s*$/.test(text.slice(start))) break;
+            match = pattern.exec(text);
+            if (!match) {
+                const position = start + (text.slice(start).length - text.slice(start).trimStart().length);
+                throw new ScreenerSyntaxError(`Unexpected "${text[position]}"`, position);
+            }
+            const position = match.index + match[0].length - match[0].trimStart().length;
+            const [, open, close, operator, double, single, number, word] = match;
+            if (open) tokens.push({ type: '(', text: open, position });
+            else if (close) tokens.push({ type: ')', text: close, position });
+            else if (operator) tokens.push({ type: 'operator', text: operator, position });
+            else if (double !== undefined || single !== undefined) tokens.push({ type: 'string', text: double ?? single, position });
+            else if (number) tokens.push({ type: 'number', text: number, value: Number(number), position });
+            else {
+                const keyword = word.toUpperCase();
+                const type = ['AND', 'OR', 'NOT'].includes(keyword) ? keyword : 'word';
+                tokens.push({ type, text: word, position });
+            }
+        }
+        return tokens;
+    }
+
+    peek(type) {
+        const token = this.tokens[this.index];
+        return token && token.type === type ? token : null;
+    }
+
+    next(expected) {
+        const token = this.tokens[this.index];
+        if (!token) {
+            throw new ScreenerSyntaxError(`Query ends early; expected ${expected}`);
+        }
+        this.index++;
+        return token;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek('OR')) {
+            this.index++;
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.peek('AND')) {
+            this.index++;
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.peek('NOT')) {
+            this.index++;
+            return { type: 'not', operand: this.parseNot() };
+        }
+        if (this.peek('(')) {
+            this.index++;
+            const node = this.parseOr();
+            const close = this.next('")"');
+            if (close.type !== ')') {
+                throw new ScreenerSyntaxError(`Expected ")" but found "${close.text}"`, close.position);
+            }
+            return node;
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const fieldToken = this.next('a field name');
+        const field = ScreenerQuery.FIELD_ALIASES[fieldToken.text.toLowerCase()];
+        if (fieldToken.type !== 'word' || !field) {
+            throw new ScreenerSyntaxError(`Unknown field "${fieldToken.text}"; use one of ${Object.keys(ScreenerQuery.FIELDS).join(', ')}`, fieldToken.position);
+        }
+        const operator = this.next('a comparison such as > or =');
+        if (operator.type !== 'operator') {
+            throw new ScreenerSyntaxError(`Expected a comparison after ${fieldToken.text} but found "${operator.text}"`, operator.position);
+        }
+        const valueToken = this.next('a value');
+        if (!['number', 'string', 'word'].includes(valueToken.type)) {
+            throw new ScreenerSyntaxError(`Expected a value but found "${valueToken.text}"`, valueToken.position);
+        }
+
+        const kind = ScreenerQuery.FIELDS[field].type;
+        if (kind === 'number' && valueToken.type !== 'number') {
+            throw new ScreenerSyntaxError(`${fieldToken.text} is a number; "${valueToken.text}" is not`, valueToken.position);
+        }
+        if (kind === 'text' && !['=', '!='].includes(operator.text)) {
+            throw new ScreenerSyntaxError(`${fieldToken.text} is text and can only be compared with = or !=`, operator.position);
+        }
+        const value = kind === 'number' ? valueToken.value : valueToken.text.toLowerCase();
+        return { type: 'compare', field, operator: operator.text, value };
+    }
+
+    test(row) {
+        return this.tree ? ScreenerQuery.evaluate(this.tree, row) : true;
+    }
+
+    filter(rows) {
+        return rows.filter(row => this.test(row));
+    }
+
+    static evaluate(node, row) {
+        switch (node.type) {
+            case 'and': return ScreenerQuery.evaluate(node.left, row) && ScreenerQuery.evaluate(node.right, row);
+            case 'or': return ScreenerQuery.evaluate(node.left, row) || ScreenerQuery.evaluate(node.right, row);
+            case 'not': return !ScreenerQuery.evaluate(node.operand, row);
+            default: {
+                const raw = row[node.field];
+                // Missing data never passes a comparison, so rows without sentiment are not counted as neutral
+                if (raw === null || raw === undefined) return false;
+                const actual = typeof node.value === 'number' ? raw : String(raw).toLowerCase();
+                switch (node.operator) {
+                    case '=': return actual === node.value;
+                    case '!=': return actual !== node.value;
+                    case '>': return actual > node.value;
+                    case '>=': return actual >= node.value;
+                    case '<': return actual < node.value;
+                    case '<=': return actual <= node.value;
+                    default: return false;
+                }
+            }
+        }
+    }
+}
+
+// Columns of a screener row that queries can use
+ScreenerQuery.FIELDS = {
+    symbol: { type: 'text', label: 'Symbol' },
+    name: { type: 'text', label: 'Name' },
+    sector: { type: 'text', label: 'Sector' },
+    price: { type: 'number', label: 'Price' },
+    change: { type: 'number', label: 'Day %' },
+    score: { type: 'number', label: 'Score' },
+    rating: { type: 'text', label: 'Rating' },
+    trend: { type: 'text', label: 'Trend' },
+    rsi: { type: 'number', label: 'RSI' },
+    volatility: { type: 'number', label: 'Volatility %' },
+    sentiment: { type: 'number', label: 'Sentiment' },
+    mood: { type: 'text', label: 'Mood' },
+    pe: { type: 'number', label: 'P/E' },
+    peers: { type: 'number', label: 'Peer %ile' }
+};
+
+ScreenerQuery.FIELD_ALIASES = {
+    ...Object.fromEntries(Object.keys(ScreenerQuery.FIELDS).map(field => [field.toLowerCase(), field])),
+    ticker: 'symbol', recommendation: 'rating', vol: 'volatility', daychange: 'change', peerpercentile: 'peers'
+};
+
+class Screener {
+    // The default pipeline skips the agents' simulated UI latency; options.dataAgent is shared with the page
+    constructor(options = {}) {
+        const dataAgent = options.orchestrator ? null : options.dataAgent || new DataAgent();
+        this.orchestrator = options.orchestrator || new ResearchOrchestrator({
+            dataAgent,
+            fundamentalsAgent: new FundamentalsAgent({
+                instruments: dataAgent.instruments,
+                cacheStore: dataAgent.cache.store,
+                budget: dataAgent.callBudget,
+                simulatedLatency: false
+            }),
+            analysisAgent: new AnalysisAgent({ simulatedLatency: false }),
+            sentimentAgent: new SentimentAgent({ simulatedLatency: false })
+        });
+        this.options = { ...Screener.DEFAULT_OPTIONS, ...options };
+        this.nextStart = 0;
+    }
+
+    // Runs at most `concurrency` symbols at once, starting them at least minIntervalMs apart
+    async run(symbols, options = {}) {
+        const list = [...new Set(symbols.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+        const rows = new Array(list.length).fill(null);
+        const errors = [];
+        const warnings = this.budgetWarnings(list, options.range);
+        const started = Date.now();
+        let cursor = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (cursor < list.length && !(options.signal && options.signal.aborted)) {
+                const index = cursor++;
+                const symbol = list[index];
+                await this.throttle();
+                try {
+                    const result = await this.orchestrator.run(symbol, 'advanced', {
+                        signal: options.signal,
+                        range: options.range,
+                        stages: ['data', 'fundamentals', 'analysis', 'sentiment']
+                    });
+                    rows[index] = this.toRow(result);
+                } catch (error) {
+                    if (error instanceof ResearchCancelledError) break;
+                    errors.push({ symbol, error: error.message });
+                }
+                done++;
+                if (options.onProgress) options.onProgress({ done, total: list.length, symbol });
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.options.concurrency, list.length) }, worker));
+        return {
+            rows: rows.filter(Boolean),
+            errors,
+            warnings,
+            cancelled: Boolean(options.signal && options.signal.aborted),
+            durationMs: Date.now() - started
+        };
+    }
+
+    async throttle() {
+        const now = Date.now();
+        const wait = Math.max(0, this.nextStart - now);
+        this.nextStart = Math.max(now, this.nextStart) + this.options.minIntervalMs;
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    // Symbols that need a network call, compared with what the metered providers have left today
+    budgetWarnings(symbols, range) {
+        const warnings = [];
+        const dataAgent = this.orchestrator.dataAgent;
+        if (!dataAgent.cache || !dataAgent.callBudget) return warnings;
+        const wanted = (range || dataAgent.config.defaultRange || '1Y').toUpperCase();
+        const uncached = symbols.filter(symbol => {
+            const cached = dataAgent.cache.lookup(symbol, 'daily', wanted);
+            return !(cached && cached.covers && cached.fresh);
+        });
+        const metered = dataAgent.providers.providers.filter(provider => dataAgent.callBudget.limits[provider.id] !== undefined && provider.enabled !== false);
+        const remaining = metered.reduce((sum, provider) => sum + dataAgent.callBudget.remaining(provider.id), 0);
+        if (metered.length > 0 && remaining < uncached.length) {
+            warnings.push(`${uncached.length} symbols need fresh data but metered providers have ${remaining} calls left today; the rest will come from other providers or demo data`);
+        }
+
+        // Statements from a metered source draw on a budget too, often the same one
+        const fundamentals = this.orchestrator.fundamentalsAgent;
+        const needed = fundamentals && fundamentals.callsNeeded ? fundamentals.callsNeeded(symbols) : 0;
+        if (needed > 0) {
+            const left = fundamentals.budget.remaining(fundamentals.source.budgetId);
+            if (left < needed) {
+                warnings.push(`Financial statements need ${needed} ${fundamentals.source.name} calls but ${left} are left today; symbols past that are screened without fundamentals`);
+            }
+        }
+        return warnings;
+    }
+
+    toRow(result) {
+        const { analysis, sentiment, stockData } = result;
+        const instrument = this.orchestrator.dataAgent.instruments ? this.orchestrator.dataAgent.instruments.get(result.symbol) : null;
+        const hasNews = sentiment && sentiment.articleCount > 0;
+        const fundamentals = analysis.fundamentals && analysis.fundamentals.available ? analysis.fundamentals : null;
+        return {
+            symbol: result.symbol,
+            name: instrument ? instrument.name : '',
+            sector: instrument ? instrument.sector : '',
+            price: stockData.currentPrice,
+            change: analysis.priceAnalysis.dailyChange,
+            score: analysis.score,
+            rating: this.orchestrator.reportAgent.getAdvancedRecommendation(analysis, sentiment).title,
+            trend: analysis.trend,
+            rsi: analysis.technicalIndicators.rsi,
+            volatility: analysis.volatility,
+            sentiment: hasNews ? sentiment.overall : null,
+            mood: hasNews ? sentiment.social : null,
+            pe: fundamentals ? fundamentals.valuation.pe : null,
+            peers: fundamentals ? fundamentals.peerPercentile : null,
+            isDemo: Boolean(stockData.isDemo)
+        };
+    }
+
+    // Missing values sort last in either direction
+    static sort(rows, field, direction = 'desc') {
+        const sign = direction === 'asc' ? 1 : -1;
+        return [...rows].sort((a, b) => {
+            const x = a[field];
+            const y = b[field];
+            if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+            if (y === null || y === undefined) return -1;
+            return sign * (typeof x === 'number' ? x - y : String(x).localeCompare(String(y)));
+        });
+    }
+}
+
+// Three symbols in flight keeps free tiers happy; cached symbols finish without touching a provider
+Screener.DEFAULT_OPTIONS = {
+    concurrency: 3,
+    minIntervalMs: 250
+};
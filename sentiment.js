@@ -0,0 +1,269 @@
+// Sentiment Pipeline - headline sources, finance lexicon scoring and recency-weighted aggregation
+// Articles are { title, summary, url, source, publishedAt } with publishedAt as an ISO date string.
+
+class NewsSource {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+    }
+
+    // options.signal aborts the request when the research run is cancelled
+    async fetchArticles(symbol, options = {}) {
+        throw new Error(`${this.name} does not implement fetchArticles`);
+    }
+
+    resolveUrl(template, symbol) {
+        return template.replace('{symbol}', encodeURIComponent(symbol));
+    }
+
+    // An unparseable date leaves the article undated rather than failing the whole feed
+    publishedDate(value) {
+        const published = new Date(value || '');
+        return Number.isNaN(published.getTime()) ? null : published.toISOString();
+    }
+}
+
+// JSON Feed (items[].title / summary / url / date_published) or any JSON array with a field map
+class JsonFeedSource extends NewsSource {
+    constructor(urlTemplate, options = {}) {
+        super(options.id || 'json', { name: 'JSON Feed', ...options });
+        this.urlTemplate = urlTemplate;
+        this.itemsPath = options.itemsPath || 'items';
+        this.fields = { title: 'title', summary: 'summary', url: 'url', source: 'source', publishedAt: 'date_published', ...(options.fields || {}) };
+    }
+
+    async fetchArticles(symbol, options = {}) {
+        const response = await fetch(this.resolveUrl(this.urlTemplate, symbol), { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const items = Array.isArray(data) ? data : (data[this.itemsPath] || []);
+
+        return items.map(item => ({
+            title: item[this.fields.title] || '',
+            summary: item[this.fields.summary] || item.content_text || '',
+            url: item[this.fields.url] || '',
+            source: item[this.fields.source] || this.name,
+            publishedAt: this.publishedDate(item[this.fields.publishedAt])
+        }));
+    }
+}
+
+class RssFeedSource extends NewsSource {
+    constructor(urlTemplate, options = {}) {
+        super(options.id || 'rss', { name: 'RSS Feed', ...options });
+        this.urlTemplate = urlTemplate;
+    }
+
+    async fetchArticles(symbol, options = {}) {
+        const response = await fetch(this.resolveUrl(this.urlTemplate, symbol), { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return this.parse(await response.text());
+    }
+
+    // Regex rather than DOMParser so the same code runs outside the browser
+    parse(xml) {
+        const items = xml.match(/<item[\s>][\s\S]*?<\/item>/g) || [];
+        const field = (item, tag) => {
+            const match = item.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`));
+            if (!match) return '';
+            return match[1]
+                .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+                .trim();
+        };
+
+        return items.map(item => ({
+            title: field(item, 'title'),
+            summary: field(item, 'description'),
+            url: field(item, 'link'),
+            source: field(item, 'source') || this.name,
+            publishedAt: this.publishedDate(field(item, 'pubDate'))
+        }));
+    }
+}
+
+// Local fixtures: an object keyed by symbol, or a URL template to a JSON file per symbol
+class FixtureNewsSource extends NewsSource {
+    constructor(fixtures = {}, options = {}) {
+        super(options.id || 'fixture', { name: 'Local Fixture', ...options });
+        this.fixtures = typeof fixtures === 'string' ? null : fixtures;
+        this.urlTemplate = typeof fixtures === 'string' ? fixtures : null;
+    }
+
+    async fetchArticles(symbol, options = {}) {
+        if (this.fixtures) {
+            return this.fixtures[symbol] || [];
+        }
+        const response = await fetch(this.resolveUrl(this.urlTemplate, symbol), { signal: options.signal });
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+class SentimentLexicon {
+    constructor(overrides = {}) {
+        this.words = { ...SentimentLexicon.WORDS, ...(overrides.words || {}) };
+        this.phrases = { ...SentimentLexicon.PHRASES, ...(overrides.phrases || {}) };
+        this.negations = new Set(overrides.negations || SentimentLexicon.NEGATIONS);
+        this.modifiers = { ...SentimentLexicon.MODIFIERS, ...(overrides.modifiers || {}) };
+        this.negationWindow = overrides.negationWindow || 3;
+    }
+
+    tokenize(text) {
+        return text.toLowerCase()
+            .replace(/[’']/g, "'")
+            .split(/[^a-z0-9'-]+/)
+            .filter(Boolean);
+    }
+
+    // Returns a raw score plus the terms that produced it
+    score(text) {
+        const tokens = this.tokenize(text);
+        const matches = [];
+        let total = 0;
+        let negateUntil = -1;
+        let modifier = 1;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (this.negations.has(token) || token.endsWith("n't")) {
+                negateUntil = i + this.negationWindow;
+                continue;
+            }
+            if (token in this.modifiers) {
+                modifier = this.modifiers[token];
+                continue;
+            }
+
+            // Two-word phrases take precedence over their single words
+            const pair = i + 1 < tokens.length ? `${token} ${tokens[i + 1]}` : null;
+            let term = null;
+            let value = 0;
+            if (pair && pair in this.phrases) {
+                term = pair;
+                value = this.phrases[pair];
+                i++;
+            } else if (token in this.words) {
+                term = token;
+                value = this.words[token];
+            }
+            if (term === null) continue;
+
+            const negated = i <= negateUntil;
+            const weighted = value * modifier * (negated ? -0.75 : 1);
+            total += weighted;
+            matches.push({ term: negated ? `not ${term}` : term, score: parseFloat(weighted.toFixed(2)) });
+            modifier = 1;
+        }
+
+        return { raw: total, matches };
+    }
+
+    // Squashes a raw sum into -1..1 so a pile of mild words cannot outweigh everything
+    normalize(raw, alpha = 15) {
+        return raw / Math.sqrt(raw * raw + alpha);
+    }
+}
+
+SentimentLexicon.WORDS = {
+    beat: 2, beats: 2, surge: 3, surges: 3, soar: 3, soars: 3, jump: 2, jumps: 2, rally: 2, rallies: 2,
+    gain: 1, gains: 1, rise: 1, rises: 1, climb: 1, climbs: 1, record: 2, upgrade: 3, upgrades: 3, upgraded: 3,
+    outperform: 2, outperforms: 2, bullish: 2, strong: 2, stronger: 2, growth: 1, profit: 1, profitable: 2,
+    buyback: 2, dividend: 1, approval: 2, approved: 2, partnership: 1, expands: 1, expansion: 1, wins: 2,
+    exceeds: 2, tops: 2, optimistic: 2, breakthrough: 3, boost: 2, boosts: 2, resilient: 1,
+    miss: -2, misses: -2, missed: -2, plunge: -3, plunges: -3, slump: -3, slumps: -3, tumble: -3, tumbles: -3,
+    fall: -1, falls: -1, drop: -2, drops: -2, decline: -1, declines: -1, sink: -2, sinks: -2,
+    downgrade: -3, downgrades: -3, downgraded: -3, underperform: -2, bearish: -2, weak: -2, weaker: -2,
+    loss: -2, losses: -2, lawsuit: -2, sued: -2, probe: -2, investigation: -2, recall: -2, fraud: -3,
+    bankruptcy: -3, default: -2, layoffs: -2, cuts: -1, warning: -2, warns: -2, concern: -1, concerns: -1,
+    risk: -1, risks: -1, volatile: -1, scrutiny: -2, fined: -2, delay: -1, delays: -1, halt: -2, halted: -2,
+    pessimistic: -2, slowdown: -2, shortfall: -2
+};
+
+SentimentLexicon.PHRASES = {
+    'beats estimates': 3, 'tops estimates': 3, 'raises guidance': 3, 'raised guidance': 3, 'record revenue': 3,
+    'price target': 0, 'all-time high': 2, 'dividend increase': 2, 'share buyback': 2,
+    'misses estimates': -3, 'cuts guidance': -3, 'lowers guidance': -3, 'profit warning': -3,
+    'job cuts': -2, 'all-time low': -2, 'going concern': -3, 'sec investigation': -3
+};
+
+SentimentLexicon.NEGATIONS = ['not', 'no', 'never', 'without', 'neither', 'nor', 'fails', 'failed'];
+
+SentimentLexicon.MODIFIERS = {
+    sharply: 1.5, significantly: 1.5, strongly: 1.5, massive: 1.5, huge: 1.5, very: 1.3,
+    slightly: 0.5, modest: 0.5, modestly: 0.5, marginally: 0.5, somewhat: 0.7
+};
+
+class SentimentAnalyzer {
+    constructor(options = {}) {
+        this.lexicon = options.lexicon || new SentimentLexicon(options.lexiconOverrides);
+        this.halfLifeHours = options.halfLifeHours || 48;
+        this.maxAgeDays = options.maxAgeDays || 14;
+        this.titleWeight = options.titleWeight || 2;
+    }
+
+    scoreArticle(article) {
+        const title = this.lexicon.score(article.title || '');
+        const summary = this.lexicon.score(article.summary || '');
+        const raw = title.raw * this.titleWeight + summary.raw;
+        return {
+            score: this.lexicon.normalize(raw),
+            matches: [...title.matches, ...summary.matches]
+        };
+    }
+
+    // Undated articles, or ones whose date does not parse, count as the oldest still in the window
+    aggregate(articles, now = Date.now()) {
+        const maxAgeMs = this.maxAgeDays * 24 * 3600 * 1000;
+        const scored = articles
+            .filter(article => article && article.title)
+            .map(article => {
+                const published = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+                const ageHours = Number.isNaN(published) ? this.maxAgeDays * 24 : Math.max(0, (now - published) / 3600000);
+                const { score, matches } = this.scoreArticle(article);
+                return {
+                    ...article,
+                    ageHours: ageHours,
+                    score: parseFloat(score.toFixed(3)),
+                    weight: Math.pow(0.5, ageHours / this.halfLifeHours),
+                    matches: matches
+                };
+            })
+            .filter(article => article.ageHours * 3600000 <= maxAgeMs);
+
+        const totalWeight = scored.reduce((sum, article) => sum + article.weight, 0);
+        const mean = totalWeight > 0 ? scored.reduce((sum, article) => sum + article.score * article.weight, 0) / totalWeight : 0;
+
+        // Confidence grows with the recency-weighted article count: ~1 article -> 22%, ~4 -> 63%, ~10 -> 92%
+        const confidence = Math.round((1 - Math.exp(-totalWeight / 4)) * 100);
+
+        const drivers = [...scored]
+            .sort((a, b) => Math.abs(b.score * b.weight) - Math.abs(a.score * a.weight))
+            .map(article => ({
+                title: article.title,
+                url: article.url,
+                source: article.source,
+                publishedAt: article.publishedAt,
+                score: article.score,
+                weight: parseFloat(article.weight.toFixed(3)),
+                terms: article.matches.map(match => match.term)
+            }));
+
+        return {
+            overall: Math.round(50 + mean * 50),
+            confidence: confidence,
+            articleCount: scored.length,
+            recentCount: scored.filter(article => article.ageHours <= 24 * 7).length,
+            headlines: drivers
+        };
+    }
+}
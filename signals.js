@@ -0,0 +1,215 @@
+// Signal Detector - dated crossover, divergence, breakout and volume events from indicator series
+
+class SignalDetector {
+    constructor(options = {}) {
+        this.options = { ...SignalDetector.DEFAULT_OPTIONS, ...options };
+        this.weights = { ...SignalDetector.DEFAULT_WEIGHTS, ...(options.weights || {}) };
+    }
+
+    // Signals from the last `lookback` bars, newest first
+    detect(data, series, lookback = this.options.lookback) {
+        const from = Math.max(1, data.dates.length - lookback);
+        return this.detectRange(data, series, from, data.dates.length)
+            .sort((a, b) => b.index - a.index || b.strength - a.strength);
+    }
+
+    detectRange(data, series, from, to) {
+        const signals = [];
+        for (let i = from; i < to; i++) {
+            signals.push(
+                ...this.detectMovingAverageCross(data, series, i),
+                ...this.detectMACDCross(data, series, i),
+                ...this.detectBollinger(data, series, i),
+                ...this.detectVolumeSpike(data, i)
+            );
+        }
+        signals.push(...this.detectRSIDivergence(data, series, from, to));
+        return signals;
+    }
+
+    createSignal(data, index, type, direction, strength, label, explanation) {
+        return {
+            type: type,
+            label: label,
+            date: data.dates[index],
+            index: index,
+            direction: direction,
+            strength: parseFloat(Math.max(0, Math.min(1, strength)).toFixed(2)),
+            explanation: explanation
+        };
+    }
+
+    crossed(fast, slow, i) {
+        if ([fast[i], slow[i], fast[i - 1], slow[i - 1]].some(value => value === null || value === undefined)) return 0;
+        if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) return 1;
+        if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) return -1;
+        return 0;
+    }
+
+    detectMovingAverageCross(data, series, i) {
+        const direction = this.crossed(series.smaSlow, series.smaLong, i);
+        if (direction === 0) return [];
+
+        const gap = Math.abs(series.smaSlow[i] - series.smaLong[i]) / series.smaLong[i];
+        const strength = 0.8 + Math.min(0.2, gap * 20);
+        const periods = series.periods || IndicatorEngine.DEFAULT_PERIODS;
+        const slow = this.barSpan(data, periods.smaSlow);
+        const long = this.barSpan(data, periods.smaLong);
+        if (direction > 0) {
+            return [this.createSignal(data, i, 'golden_cross', 'bullish', strength, 'Golden Cross',
+                `The ${slow} average crossed above the ${long} average, a classic sign of a new long-term uptrend.`)];
+        }
+        return [this.createSignal(data, i, 'death_cross', 'bearish', strength, 'Death Cross',
+            `The ${slow} average crossed below the ${long} average, a classic sign of a long-term downtrend.`)];
+    }
+
+    detectMACDCross(data, series, i) {
+        const { line, signal } = series.macd;
+        const direction = this.crossed(line, signal, i);
+        if (direction === 0) return [];
+
+        // Crosses on the far side of the zero line carry more weight
+        if (direction > 0) {
+            const strength = line[i] < 0 ? 0.7 : 0.5;
+            return [this.createSignal(data, i, 'macd_bullish_cross', 'bullish', strength, 'MACD Bullish Cross',
+                `MACD crossed above its signal line${line[i] < 0 ? ' while below zero' : ''}, showing momentum turning up.`)];
+        }
+        const strength = line[i] > 0 ? 0.7 : 0.5;
+        return [this.createSignal(data, i, 'macd_bearish_cross', 'bearish', strength, 'MACD Bearish Cross',
+            `MACD crossed below its signal line${line[i] > 0 ? ' while above zero' : ''}, showing momentum turning down.`)];
+    }
+
+    detectBollinger(data, series, i) {
+        const { upper, lower, bandwidth } = series.bollinger;
+        const close = data.prices[i];
+        const previous = data.prices[i - 1];
+        const signals = [];
+        if (upper[i] === null || upper[i - 1] === null) return signals;
+
+        const width = upper[i] - lower[i];
+        if (close > upper[i] && previous <= upper[i - 1]) {
+            signals.push(this.createSignal(data, i, 'bollinger_breakout_up', 'bullish', 0.4 + 0.6 * Math.min(1, (close - upper[i]) / width),
+                'Bollinger Breakout Up', 'The price closed above the upper Bollinger Band, breaking out of its normal range.'));
+        } else if (close < lower[i] && previous >= lower[i - 1]) {
+            signals.push(this.createSignal(data, i, 'bollinger_breakout_down', 'bearish', 0.4 + 0.6 * Math.min(1, (lower[i] - close) / width),
+                'Bollinger Breakout Down', 'The price closed below the lower Bollinger Band, breaking down out of its normal range.'));
+        }
+
+        // A squeeze starts when bandwidth falls to the bottom of its recent history
+        const window = bandwidth.slice(Math.max(0, i - this.options.squeezeLookback), i + 1).filter(value => value !== null);
+        if (window.length >= this.options.squeezeLookback / 2) {
+            const rank = window.filter(value => value <= bandwidth[i]).length / window.length;
+            const previousWindow = bandwidth.slice(Math.max(0, i - 1 - this.options.squeezeLookback), i).filter(value => value !== null);
+            const previousRank = previousWindow.filter(value => value <= bandwidth[i - 1]).length / previousWindow.length;
+            if (rank <= this.options.squeezePercentile && previousRank > this.options.squeezePercentile) {
+                signals.push(this.createSignal(data, i, 'bollinger_squeeze', 'neutral', 0.3 + 0.7 * (1 - rank / this.options.squeezePercentile),
+                    'Bollinger Squeeze', 'The Bollinger Bands are the narrowest they have been in months; quiet periods like this often precede a big move.'));
+            }
+        }
+        return signals;
+    }
+
+    detectVolumeSpike(data, i) {
+        const period = this.options.volumePeriod;
+        if (i < period) return [];
+
+        const average = data.volumes.slice(i - period, i).reduce((a, b) => a + b, 0) / period;
+        const ratio = average === 0 ? 0 : data.volumes[i] / average;
+        if (ratio < this.options.volumeSpikeRatio) return [];
+
+        const change = data.prices[i] - data.prices[i - 1];
+        const direction = change > 0 ? 'bullish' : change < 0 ? 'bearish' : 'neutral';
+        const move = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+        return [this.createSignal(data, i, 'volume_spike', direction, ratio / (this.options.volumeSpikeRatio * 2), 'Volume Spike',
+            `Trading volume was ${ratio.toFixed(1)}x the ${this.barSpan(data, period)} average on a ${this.barUnit(data)} the price closed ${move}.`)];
+    }
+
+    // "50-day" on daily bars, "50-week" on weekly ones
+    barSpan(data, count) {
+        return `${count}-${this.barUnit(data)}`;
+    }
+
+    barUnit(data) {
+        return SignalDetector.BAR_UNITS[data.interval] || 'day';
+    }
+
+    // Compares the last two swing lows (or highs) of price with RSI at the same bars
+    detectRSIDivergence(data, series, from, to) {
+        const rsi = series.rsi;
+        const window = this.options.pivotWindow;
+        const lows = [];
+        const highs = [];
+
+        for (let i = Math.max(window, from - this.options.divergenceLookback); i < Math.min(to, data.dates.length - window); i++) {
+            if (rsi[i] === null) continue;
+            const neighbours = data.prices.slice(i - window, i + window + 1);
+            if (data.prices[i] === Math.min(...neighbours)) lows.push(i);
+            if (data.prices[i] === Math.max(...neighbours)) highs.push(i);
+        }
+
+        const signals = [];
+        const check = (pivots, bullish) => {
+            for (let k = 1; k < pivots.length; k++) {
+                const a = pivots[k - 1];
+                const b = pivots[k];
+                if (b < from || b - a > this.options.divergenceLookback) continue;
+
+                const priceDiverges = bullish ? data.prices[b] < data.prices[a] : data.prices[b] > data.prices[a];
+                const rsiDiverges = bullish ? rsi[b] > rsi[a] : rsi[b] < rsi[a];
+                if (!priceDiverges || !rsiDiverges) continue;
+
+                const strength = 0.4 + 0.6 * Math.min(1, Math.abs(rsi[b] - rsi[a]) / 10);
+                // Confirmed once the pivot window has passed, so the signal is dated then
+                const confirmed = b + window;
+                signals.push(bullish
+                    ? this.createSignal(data, confirmed, 'rsi_bullish_divergence', 'bullish', strength, 'RSI Bullish Divergence',
+                        `The price made a lower low on ${data.dates[b]} but RSI made a higher low, suggesting selling pressure is fading.`)
+                    : this.createSignal(data, confirmed, 'rsi_bearish_divergence', 'bearish', strength, 'RSI Bearish Divergence',
+                        `The price made a higher high on ${data.dates[b]} but RSI made a lower high, suggesting buying pressure is fading.`));
+            }
+        };
+        check(lows, true);
+        check(highs, false);
+        return signals.filter(signal => signal.index >= from && signal.index < to);
+    }
+
+    // Points each signal adds to the score: weight x strength, halved every `halfLife` bars
+    scoreContributions(signals, lastIndex) {
+        return signals
+            .filter(signal => signal.direction !== 'neutral')
+            .map(signal => {
+                const age = lastIndex - signal.index;
+                const decay = Math.pow(0.5, age / this.options.halfLife);
+                const sign = signal.direction === 'bullish' ? 1 : -1;
+                const points = sign * (this.weights[signal.type] || 0) * signal.strength * decay;
+                return { signal, age, points: parseFloat(points.toFixed(2)) };
+            })
+            .filter(contribution => contribution.points !== 0);
+    }
+}
+
+SignalDetector.BAR_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+SignalDetector.DEFAULT_OPTIONS = {
+    lookback: 30,
+    halfLife: 10,
+    pivotWindow: 3,
+    divergenceLookback: 40,
+    squeezeLookback: 120,
+    squeezePercentile: 0.05,
+    volumePeriod: 20,
+    volumeSpikeRatio: 2
+};
+
+// Maximum score points per signal type, before strength and age decay
+SignalDetector.DEFAULT_WEIGHTS = {
+    golden_cross: 10,
+    death_cross: 10,
+    macd_bullish_cross: 6,
+    macd_bearish_cross: 6,
+    rsi_bullish_divergence: 8,
+    rsi_bearish_divergence: 8,
+    bollinger_breakout_up: 5,
+    bollinger_breakout_down: 5,
+    volume_spike: 3
+};
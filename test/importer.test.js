@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PortfolioImporter, TransactionLedger } = require('../research');
+
+const importer = new PortfolioImporter(new TransactionLedger());
+
+test('parseNumber reads the separator the mapping names', () => {
+    assert.strictEqual(importer.parseNumber('1,234.56', 'price'), 1234.56);
+    assert.strictEqual(importer.parseNumber('1.234,56', 'price', { decimal: ',' }), 1234.56);
+    assert.strictEqual(importer.parseNumber('€ 12,5', 'price', { decimal: ',' }), 12.5);
+    assert.strictEqual(importer.parseNumber('1,234', 'shares'), 1234);
+    assert.strictEqual(importer.parseNumber('1.234', 'shares'), 1.234);
+});
+
+test('parseNumber rejects numbers written with the other separator', () => {
+    assert.throws(() => importer.parseNumber('12,50', 'price'), /Bad price: 12,50 \(expected "\." as the decimal separator\)/);
+    assert.throws(() => importer.parseNumber('1.234.567', 'price', { decimal: ',', thousands: null }), /Bad price/);
+    assert.throws(() => importer.parseNumber('1,234.5', 'price', { thousands: null }), /Bad price/);
+});
+
+test('parseNumber handles missing, optional and negative values', () => {
+    assert.throws(() => importer.parseNumber('', 'price'), /Missing price/);
+    assert.strictEqual(importer.parseNumber('', 'fee', { optional: true }), null);
+    assert.throws(() => importer.parseNumber('-5', 'price'), /Negative price/);
+    assert.strictEqual(importer.parseNumber('-5,25', 'amount', { allowNegative: true, decimal: ',' }), -5.25);
+});
+
+test('parseNumber in auto mode infers the separators and refuses to guess', () => {
+    const auto = { decimal: 'auto' };
+    assert.strictEqual(importer.parseNumber('1.234,56', 'price', auto), 1234.56);
+    assert.strictEqual(importer.parseNumber('1,234.56', 'price', auto), 1234.56);
+    assert.strictEqual(importer.parseNumber('1.234.567', 'shares', auto), 1234567);
+    assert.strictEqual(importer.parseNumber('12,5', 'price', auto), 12.5);
+    assert.strictEqual(importer.parseNumber('0,123', 'price', auto), 0.123);
+    assert.throws(() => importer.parseNumber('1,234', 'shares', auto), /Ambiguous shares: 1,234/);
+    assert.throws(() => importer.parseNumber('1.000', 'shares', auto), /Ambiguous shares/);
+});
+
+test('parseDate reads ISO and day-first dates', () => {
+    assert.strictEqual(importer.parseDate('2024-03-05'), '2024-03-05');
+    assert.strictEqual(importer.parseDate('2024-03-05T10:00:00Z'), '2024-03-05');
+    assert.strictEqual(importer.parseDate('05-03-2024'), '2024-03-05');
+    assert.strictEqual(importer.parseDate('5/3/2024'), '2024-03-05');
+    assert.strictEqual(importer.parseDate('05.03.2024'), '2024-03-05');
+    assert.strictEqual(importer.parseDate('03/05/2024', 'MM/DD/YYYY'), '2024-03-05');
+});
+
+test('parseDate rejects impossible, future and unreadable dates', () => {
+    assert.throws(() => importer.parseDate('31-02-2024'), /Bad date: 31-02-2024/);
+    assert.throws(() => importer.parseDate('2024-13-01'), /Bad date/);
+    assert.throws(() => importer.parseDate('March 5th'), /Bad date: March 5th/);
+    assert.throws(() => importer.parseDate(''), /Bad date: \(empty\)/);
+    assert.throws(() => importer.parseDate('01-01-2999'), /Date is in the future/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TransactionLedger } = require('../research');
+
+// Two buys at different prices, then a partial sale
+function ledger(costMethod) {
+    return new TransactionLedger([
+        { id: 'b1', type: 'buy', date: '2024-01-10', symbol: 'AAPL', currency: 'USD', shares: 10, price: 100, fee: 0 },
+        { id: 'b2', type: 'buy', date: '2024-02-10', symbol: 'AAPL', currency: 'USD', shares: 10, price: 150, fee: 10 },
+        { id: 's1', type: 'sell', date: '2024-03-10', symbol: 'AAPL', currency: 'USD', shares: 15, price: 160, fee: 5 }
+    ], { costMethod });
+}
+
+test('FIFO sells the oldest lot first', () => {
+    const { positions, sales } = ledger('fifo').replay();
+    const [sale] = sales;
+    assert.deepEqual(sale.matches.map(match => [match.lotId, match.shares]), [['b1', 10], ['b2', 5]]);
+    // 10 x 100 plus 5 of the second lot at (1500 + 10 fee) / 10
+    assert.strictEqual(sale.costBasis, 1000 + 5 * 151);
+    assert.strictEqual(sale.proceeds, 15 * 160 - 5);
+    assert.strictEqual(sale.gain, 2395 - 1755);
+    assert.strictEqual(positions.AAPL.shares, 5);
+    assert.strictEqual(positions.AAPL.avgCost, 151);
+});
+
+test('LIFO sells the newest lot first', () => {
+    const { positions, sales } = ledger('lifo').replay();
+    const [sale] = sales;
+    assert.deepEqual(sale.matches.map(match => [match.lotId, match.shares]), [['b2', 10], ['b1', 5]]);
+    assert.strictEqual(sale.costBasis, 1510 + 5 * 100);
+    assert.strictEqual(sale.gain, 2395 - 2010);
+    assert.strictEqual(positions.AAPL.shares, 5);
+    assert.strictEqual(positions.AAPL.avgCost, 100);
+});
+
+test('the same history replays under another method without changing the ledger', () => {
+    const fifo = ledger('fifo');
+    assert.strictEqual(fifo.replay('lifo').sales[0].gain, 385);
+    assert.strictEqual(fifo.replay().sales[0].gain, 640);
+    assert.strictEqual(fifo.costMethod, 'fifo');
+});
+
+test('realized gains and cash are totalled per currency', () => {
+    const { balances } = ledger('fifo').replay();
+    assert.strictEqual(balances.USD.realizedGain, 640);
+    assert.strictEqual(balances.USD.fees, 15);
+    assert.strictEqual(balances.USD.cash, -1000 - 1510 + 2395);
+});
+
+test('a sale larger than the holding is refused and not stored', () => {
+    const book = ledger('fifo');
+    assert.throws(
+        () => book.add({ type: 'sell', date: '2024-04-01', symbol: 'AAPL', currency: 'USD', shares: 6, price: 170 }),
+        /Cannot sell 6 AAPL on 2024-04-01: only 5 held/
+    );
+    assert.strictEqual(book.transactions.length, 3);
+});
+
+test('a split restates open lots before a later sale', () => {
+    const book = new TransactionLedger([
+        { id: 'b1', type: 'buy', date: '2024-01-10', symbol: 'NVDA', currency: 'USD', shares: 2, price: 1000 },
+        { id: 'x1', type: 'split', date: '2024-06-10', symbol: 'NVDA', currency: 'USD', ratio: 10 },
+        { id: 's1', type: 'sell', date: '2024-07-10', symbol: 'NVDA', currency: 'USD', shares: 5, price: 120 }
+    ]);
+    const { positions, sales } = book.replay('lifo');
+    assert.strictEqual(sales[0].costBasis, 500);
+    assert.strictEqual(positions.NVDA.shares, 15);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RebalancePlanner } = require('../research');
+
+const planner = new RebalancePlanner();
+const quotes = {
+    AAPL: { price: 150, currency: 'USD', rate: 1 },
+    MSFT: { price: 300, currency: 'USD', rate: 1 },
+    NVDA: { price: 110, currency: 'USD', rate: 1 }
+};
+const positions = {
+    AAPL: { symbol: 'AAPL', totalShares: 10, marketValue: 1500 },
+    MSFT: { symbol: 'MSFT', totalShares: 2, marketValue: 600 }
+};
+const targets = { by: 'symbol', weights: { AAPL: 40, MSFT: 40, NVDA: 20 } };
+const summary = plan => plan.orders.map(order => `${order.side} ${order.shares} ${order.symbol} ${order.amount}`);
+
+test('whole shares round down and the buys never spend more than cash plus proceeds', () => {
+    const plan = planner.plan(positions, targets, { quotes, cash: 1000 });
+    // Wanted: sell 260 of AAPL, buy 640 of MSFT and 620 of NVDA
+    assert.deepEqual(summary(plan), ['sell 1 AAPL 150', 'buy 2 MSFT 600', 'buy 5 NVDA 550']);
+    assert.strictEqual(plan.cashAfter, 0);
+});
+
+test('fractional plans trade to six decimals and hit the targets', () => {
+    const plan = planner.plan(positions, targets, { quotes, cash: 1000, fractional: true });
+    assert.deepEqual(summary(plan), ['sell 1.733333 AAPL 260', 'buy 2.133333 MSFT 640', 'buy 5.636363 NVDA 620']);
+    assert.deepEqual(plan.rows.map(row => row.afterWeight), [40, 20, 40]);
+    assert.ok(plan.cashAfter >= 0);
+});
+
+test('cash left by rounding down buys a share where the shortfall is largest', () => {
+    const plan = planner.plan({}, { by: 'symbol', weights: { NVDA: 50, MSFT: 50 } }, { quotes, cash: 1000 });
+    // 500 each: 4 NVDA and 1 MSFT leave 260; one more NVDA (60 short of 500) fits, MSFT at 300 does not
+    assert.deepEqual(summary(plan), ['buy 5 NVDA 550', 'buy 1 MSFT 300']);
+    assert.strictEqual(plan.cashAfter, 150);
+});
+
+test('a position without a target is sold in full, fraction included', () => {
+    const plan = planner.plan({ ...positions, AAPL: { ...positions.AAPL, totalShares: 10.25, marketValue: 1537.5 } }, { by: 'symbol', weights: { MSFT: 100 } }, { quotes });
+    assert.deepEqual(summary(plan), ['sell 10.25 AAPL 1537.5', 'buy 5 MSFT 1500']);
+    assert.strictEqual(plan.cashAfter, 37.5);
+});
+
+test('orders below the minimum trade are dropped', () => {
+    const plan = planner.plan(positions, targets, { quotes, cash: 1000, minTrade: 200 });
+    // Without the AAPL sale only the cash is there: MSFT takes 600, NVDA gets 3 shares from the 400 left
+    assert.deepEqual(summary(plan), ['buy 2 MSFT 600', 'buy 3 NVDA 330']);
+    assert.strictEqual(plan.cashAfter, 70);
+});
+
+test('prices are converted into the base currency before rounding', () => {
+    const eurQuotes = { NVDA: { price: 110, currency: 'USD', rate: 0.9 } };
+    const plan = planner.plan({}, { by: 'symbol', weights: { NVDA: 100 } }, { quotes: eurQuotes, cash: 500 });
+    // 99 per share in the base currency: 5 shares for 495
+    assert.deepEqual(summary(plan), ['buy 5 NVDA 495']);
+    assert.strictEqual(plan.cashAfter, 5);
+});
+
+test('targets must add up to 100 and cash cannot be negative', () => {
+    assert.throws(() => planner.plan(positions, { by: 'symbol', weights: { AAPL: 60, MSFT: 30 } }, { quotes }), /Targets add up to 90%, not 100%/);
+    assert.throws(() => planner.plan(positions, targets, { quotes, cash: -1 }), /Cash to invest cannot be negative/);
+});
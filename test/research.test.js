@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every live provider fails, so nothing here touches the network
+globalThis.fetch = async () => { throw new Error('network disabled in tests'); };
+
+const research = require('../research');
+const { ResearchSession, FileCacheStore, MarketDataCache, DataAgent, MemoryCacheStore } = research;
+const EXIT = ResearchSession.EXIT_CODES;
+
+research.setLogger({ log() {}, warn() {}, error() {} });
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A cache file holding a real (non-demo) year of AAPL that expired ten days ago
+function staleCacheFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-test-'));
+    tempDirs.push(dir);
+    const file = path.join(dir, 'cache.json');
+    const series = new DataAgent({ cacheStore: new MemoryCacheStore() }).generateDemoData('AAPL');
+    const store = new FileCacheStore(file);
+    const tenDaysAgo = Date.now() - 10 * 24 * 3600 * 1000;
+    new MarketDataCache(store).save('AAPL', 'daily', '1Y', { ...series, isDemo: false, provenance: { provider: 'yahoo' } }, tenDaysAgo);
+    store.flush();
+    return file;
+}
+
+test('offline and demo modes cannot be combined', () => {
+    assert.throws(() => new ResearchSession({ offline: true, demo: true }), /either offline .* or demo/);
+});
+
+test('demo mode serves generated data and exits cleanly', async () => {
+    const session = new ResearchSession({ demo: true, cacheFile: null });
+    const result = await session.research('AAPL');
+    assert.strictEqual(result.stockData.isDemo, true);
+    assert.strictEqual(result.stockData.provenance.provider, 'demo');
+    assert.strictEqual(session.exitCode(), EXIT.ok);
+    assert.strictEqual(session.fetchProblems().length, 0);
+});
+
+test('a live run that falls back to demo data is degraded', async () => {
+    const session = new ResearchSession({ cacheFile: null });
+    const result = await session.research('AAPL');
+    assert.strictEqual(result.stockData.isDemo, true);
+    assert.strictEqual(session.exitCode(), EXIT.degraded);
+    assert.match(session.fetchProblems()[0], /^AAPL: no provider answered/);
+});
+
+test('offline mode fails for symbols missing from the cache', async () => {
+    const session = new ResearchSession({ offline: true, cacheFile: null });
+    await assert.rejects(session.research('AAPL'), /data stage failed/);
+    assert.strictEqual(session.exitCode(), EXIT.fetchFailed);
+    assert.match(session.fetchProblems()[0], /not in the cache/);
+});
+
+test('offline mode accepts stale cached data; live mode calls it degraded', async () => {
+    const file = staleCacheFile();
+
+    const offline = new ResearchSession({ offline: true, cacheFile: file });
+    const cached = await offline.research('AAPL');
+    assert.strictEqual(cached.stockData.isDemo, false);
+    assert.strictEqual(cached.stockData.provenance.cache, 'stale');
+    assert.strictEqual(offline.exitCode(), EXIT.ok);
+
+    const live = new ResearchSession({ cacheFile: file });
+    await live.research('AAPL');
+    assert.strictEqual(live.exitCode(), EXIT.degraded);
+    assert.match(live.fetchProblems()[0], /stale cached data/);
+});
+
+test('a failed symbol outranks a degraded one', async () => {
+    const session = new ResearchSession({ cacheFile: staleCacheFile(), config: { disabledProviders: ['demo'] } });
+    await session.research('AAPL');
+    assert.strictEqual(session.exitCode(), EXIT.degraded);
+    await assert.rejects(session.research('MSFT'), /No provider returned data for MSFT/);
+    assert.strictEqual(session.exitCode(), EXIT.fetchFailed);
+});
+
+test('resolveSymbol only answers for listed instruments', () => {
+    const session = new ResearchSession({ demo: true, cacheFile: null, config: { instruments: [{ ticker: 'IBM', name: 'IBM', sector: 'Technology' }] } });
+    assert.strictEqual(session.resolveSymbol('asml.as'), 'ASML.AS');
+    assert.strictEqual(session.resolveSymbol('IBM'), 'IBM');
+    assert.strictEqual(session.resolveSymbol('NOPE'), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ScreenerQuery, Screener } = require('../research');
+
+const rows = [
+    { symbol: 'AAPL', sector: 'Technology', score: 72, trend: 'Uptrend', volatility: 24, sentiment: 61, pe: 28 },
+    { symbol: 'MSFT', sector: 'Technology', score: 58, trend: 'Sideways', volatility: 21, sentiment: null, pe: 33 },
+    { symbol: 'SHEL.L', sector: 'Energy', score: 64, trend: 'Uptrend', volatility: 31, sentiment: 48, pe: null },
+    { symbol: 'ASML.AS', sector: 'Technology', score: 40, trend: 'Downtrend', volatility: 35, sentiment: 52, pe: 41 }
+];
+const symbols = query => ScreenerQuery.parse(query).filter(rows).map(row => row.symbol);
+
+test('an empty query keeps every row', () => {
+    assert.deepEqual(symbols(''), ['AAPL', 'MSFT', 'SHEL.L', 'ASML.AS']);
+});
+
+test('AND binds tighter than OR, and parentheses override it', () => {
+    assert.deepEqual(symbols('score > 60 AND trend = Uptrend'), ['AAPL', 'SHEL.L']);
+    assert.deepEqual(symbols('sector = energy OR score >= 58 AND volatility < 22'), ['MSFT', 'SHEL.L']);
+    assert.deepEqual(symbols('(sector = energy OR score >= 58) AND volatility < 30'), ['AAPL', 'MSFT']);
+    assert.deepEqual(symbols('NOT trend = uptrend'), ['MSFT', 'ASML.AS']);
+});
+
+test('text compares ignore case and accept quotes; aliases name fields', () => {
+    assert.deepEqual(symbols('ticker = "shel.l"'), ['SHEL.L']);
+    assert.deepEqual(symbols("trend != 'Uptrend' AND vol <= 21"), ['MSFT']);
+});
+
+test('missing values never pass a comparison', () => {
+    assert.deepEqual(symbols('sentiment < 100'), ['AAPL', 'SHEL.L', 'ASML.AS']);
+    assert.deepEqual(symbols('pe > 0'), ['AAPL', 'MSFT', 'ASML.AS']);
+});
+
+test('syntax errors name the problem and its position', () => {
+    assert.throws(() => ScreenerQuery.parse('price > 10 AND'), { name: 'ScreenerSyntaxError' });
+    assert.throws(() => ScreenerQuery.parse('colour = red'), /Unknown field "colour".*\(at character 1\)/);
+    assert.throws(() => ScreenerQuery.parse('score > high'), /score is a number; "high" is not \(at character 9\)/);
+    assert.throws(() => ScreenerQuery.parse('trend > Up'), /trend is text and can only be compared with = or !=/);
+    assert.throws(() => ScreenerQuery.parse('(score > 1'), { name: 'ScreenerSyntaxError' });
+    assert.throws(() => ScreenerQuery.parse('score > 1 $'), /Unexpected "\$" \(at character 11\)/);
+});
+
+test('Screener.sort orders by a field and puts missing values last', () => {
+    assert.deepEqual(Screener.sort(rows, 'pe', 'asc').map(row => row.symbol), ['AAPL', 'MSFT', 'ASML.AS', 'SHEL.L']);
+    assert.deepEqual(Screener.sort(rows, 'score').map(row => row.symbol), ['AAPL', 'SHEL.L', 'MSFT', 'ASML.AS']);
+});